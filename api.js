@@ -2,33 +2,265 @@
 // Frontend API layer for communicating with Netlify Functions
 
 window.api = (function () {
-  // Shared helper for POST requests with standard error handling
-  async function postJSON(endpoint, payload) {
-    const res = await fetch(endpoint, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
+  // The session lives in an HTTP-only cookie set by the login function, so
+  // requests carry it automatically. When the server rejects it the app is
+  // told through a window event and returns to the login screen.
+  function notifyIfSessionExpired(res, out) {
+    if (res.status === 401 && out && out.code === 'SESSION_EXPIRED') {
+      window.dispatchEvent(new CustomEvent('clinitrack:session-expired'));
+    }
+  }
+
+  // A movement was refused because the stock it was based on has since
+  // moved (409 STOCK_CHANGED from _inventory.js). The app reloads stock
+  // levels so the user can see what is actually left before retrying.
+  function notifyIfStockChanged(res, out) {
+    if (res.status === 409 && out && out.code === 'STOCK_CHANGED') {
+      window.dispatchEvent(new CustomEvent('clinitrack:stock-changed', { detail: out }));
+    }
+  }
+
+  // Every POST carries an Idempotency-Key (netlify/functions/_idempotency.js).
+  // The same key is reused when a request is retried after a network failure,
+  // so a request that reached the server but lost its response is not applied
+  // twice; the server replays the stored response instead.
+  function newIdempotencyKey() {
+    if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+  }
+
+  const NETWORK_RETRIES = 2;
+
+  async function fetchWithKey(endpoint, payload, key = newIdempotencyKey()) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+          body: JSON.stringify(payload)
+        });
+      } catch (err) {
+        // fetch only rejects on network failure — retry with the same key
+        if (attempt >= NETWORK_RETRIES) {
+          err.offline = true;
+          throw err;
+        }
+        await new Promise(resolve => setTimeout(resolve, 500 * (attempt + 1)));
+      }
+    }
+  }
+
+  // A double-tapped button sends the same request twice before the first has
+  // answered; the second call shares the first call's promise.
+  const inFlightPosts = new Map();
+
+  // Shared helper for POST requests with standard error handling.
+  // `key` is only passed when the caller must control the Idempotency-Key.
+  function postJSON(endpoint, payload, key) {
+    const signature = `${endpoint} ${JSON.stringify(payload)}`;
+    if (inFlightPosts.has(signature)) return inFlightPosts.get(signature);
+
+    const request = (async () => {
+      const res = await fetchWithKey(endpoint, payload, key);
+      const out = await res.json();
+      notifyIfSessionExpired(res, out);
+      notifyIfStockChanged(res, out);
+      if (!res.ok || !out.success) {
+        // status/code let callers branch on specific failures (e.g. WITNESS_REQUIRED)
+        const err = new Error(out.message || `Request to ${endpoint} failed`);
+        err.status = res.status;
+        err.code = out.code || null;
+        err.data = out;
+        throw err;
+      }
+      return out;
+    })();
+
+    inFlightPosts.set(signature, request);
+    request.then(() => inFlightPosts.delete(signature), () => inFlightPosts.delete(signature));
+    return request;
+  }
+
+  // Controlled drug movements need a second user's credentials, and taking a
+  // later-expiring batch while an earlier one is on the shelf needs a FEFO
+  // override reason; moving an expired batch needs a pharmacist's reason.
+  // The app registers providers that ask for them (resolving
+  // null if cancelled); the request is retried until the server accepts it or
+  // the user gives up.
+  let witnessProvider = null;
+  function setWitnessProvider(provider) {
+    witnessProvider = provider;
+  }
+  let fefoOverrideProvider = null;
+  function setFefoOverrideProvider(provider) {
+    fefoOverrideProvider = provider;
+  }
+  let expiredOverrideProvider = null;
+  function setExpiredOverrideProvider(provider) {
+    expiredOverrideProvider = provider;
+  }
+
+  async function postWithPrompts(endpoint, payload, key) {
+    let attempt = payload;
+    let fefoPrompt = null;  // the earlier batch, kept for a re-prompt after an invalid reason
+    for (;;) {
+      try {
+        // A re-sent body with a witness or override is a different request, so it gets a new key
+        return await postJSON(endpoint, attempt, attempt === payload ? key : undefined);
+      } catch (err) {
+        if (witnessProvider && (err.code === 'WITNESS_REQUIRED' || err.code === 'WITNESS_INVALID')) {
+          const witness = await witnessProvider({
+            medicationName: err.data.medicationName || payload.medicationName || null,
+            reason: err.data.witnessReason || null,
+            error: err.code === 'WITNESS_INVALID' ? err.message : ''
+          });
+          if (!witness) throw err;
+          attempt = { ...attempt, witness };
+        } else if (fefoOverrideProvider && (err.code === 'FEFO_OVERRIDE_REQUIRED' || err.code === 'FEFO_OVERRIDE_INVALID')) {
+          if (err.code === 'FEFO_OVERRIDE_REQUIRED') {
+            fefoPrompt = { selectedExpiry: err.data.selectedExpiry || null, earlierBatch: err.data.earlierBatch || null };
+          }
+          const fefoOverride = await fefoOverrideProvider({
+            medicationName: err.data.medicationName || payload.medicationName || null,
+            ...fefoPrompt,
+            error: err.code === 'FEFO_OVERRIDE_INVALID' ? err.message : ''
+          });
+          if (!fefoOverride) throw err;
+          attempt = { ...attempt, fefoOverride };
+        } else if (expiredOverrideProvider && err.code === 'BATCH_EXPIRED' && err.data.canOverride && !attempt.expiredOverride) {
+          const expiredOverride = await expiredOverrideProvider({
+            medicationName: payload.medicationName || null,
+            batchCode: err.data.batchCode || payload.batchCode || '',
+            expiryDate: err.data.expiryDate || null
+          });
+          if (!expiredOverride) throw err;
+          attempt = { ...attempt, expiredOverride };
+        } else {
+          throw err;
+        }
+      }
+    }
+  }
+
+  // Stock movements keep working with no signal: when a request cannot reach
+  // the server it is saved to the outbox (outbox.js) with the Idempotency-Key
+  // it was first sent with, and flushOutbox() sends it once the connection
+  // returns. Resolves { success: true, queued: true } when queued.
+  const describeMovement = (endpoint, payload) => {
+    const name = payload.medicationName || 'Stock';
+    const batch = payload.batchCode || payload.batchNumber;
+    if (endpoint.endsWith('/stock-transfer')) return `Transfer ${payload.quantity} × ${name}${batch ? ` (${batch})` : ''}`;
+    if (endpoint.endsWith('/batch-add')) return `Delivery of ${name}${batch ? ` (${batch})` : ''}`;
+    return `${payload.delta > 0 ? 'Add' : 'Remove'} ${Math.abs(payload.delta)} × ${name}${batch ? ` (${batch})` : ''}`;
+  };
+
+  function currentUserId() {
+    try {
+      return JSON.parse(sessionStorage.getItem('currentUser') || 'null')?.id ?? null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  async function postOrQueue(endpoint, payload, send) {
+    if (!window.outbox || !window.outbox.isSupported()) return send(payload);
+    const key = newIdempotencyKey();
+    if (navigator.onLine !== false) {
+      try {
+        return await send(payload, key);
+      } catch (err) {
+        if (!err.offline) throw err;
+      }
+    }
+    // Never keep a witness's password on the device; replay asks again if needed
+    const { witness, ...queued } = payload;
+    const entry = await window.outbox.add({
+      endpoint,
+      payload: queued,
+      key,
+      userId: currentUserId(),
+      description: describeMovement(endpoint, payload)
     });
-    const out = await res.json();
-    if (!res.ok || !out.success) {
-      throw new Error(out.message || `Request to ${endpoint} failed`);
+    return { success: true, queued: true, outboxId: entry.id };
+  }
+
+  // Send the signed-in user's queued movements in the order they were made.
+  // Stops at the first network or server error; a refusal (stock changed,
+  // witness required, ...) marks that entry as a conflict and carries on.
+  let flushing = false;
+  async function flushOutbox() {
+    if (flushing || !window.outbox || !window.outbox.isSupported() || navigator.onLine === false) return { sent: 0 };
+    flushing = true;
+    let sent = 0;
+    try {
+      const userId = currentUserId();
+      const entries = (await window.outbox.list()).filter(e => e.status === 'pending' && e.userId === userId);
+      for (const entry of entries) {
+        let res;
+        try {
+          res = await fetchWithKey(entry.endpoint, entry.payload, entry.key);
+        } catch (_) {
+          break; // still offline
+        }
+        const out = await res.json().catch(() => ({}));
+        notifyIfSessionExpired(res, out);
+        if (res.status === 401 || res.status >= 500 || out.code === 'REQUEST_IN_PROGRESS') break;
+        if (res.ok && out.success) {
+          await window.outbox.remove(entry.id);
+          sent++;
+        } else {
+          await window.outbox.update(entry.id, { status: 'conflict', error: out.message || 'The server refused this movement.', code: out.code || null });
+        }
+      }
+    } finally {
+      flushing = false;
     }
+    return { sent };
+  }
+
+  // Queued entries for the signed-in user (pending and conflicts)
+  async function getOutbox() {
+    if (!window.outbox || !window.outbox.isSupported()) return [];
+    const userId = currentUserId();
+    return (await window.outbox.list()).filter(e => e.userId === userId);
+  }
+
+  // Resolve a conflict by sending it again now (asking for a witness if needed)
+  async function retryOutboxEntry(entry) {
+    const out = await postWithPrompts(entry.endpoint, entry.payload);
+    await window.outbox.remove(entry.id);
     return out;
   }
 
+  const discardOutboxEntry = (entry) => window.outbox.remove(entry.id);
+
+  // meds-get answers 304 when nothing has changed since the copy we hold
+  let lastSnapshot = null;
+  let lastEtag = null;
+
   async function fetchAllData(retries = 3) {
     let lastError;
     for (let attempt = 0; attempt < retries; attempt++) {
       try {
-        const res = await fetch('/.netlify/functions/meds-get');
+        const headers = lastEtag && lastSnapshot ? { 'If-None-Match': lastEtag } : {};
+        const res = await fetch('/.netlify/functions/meds-get', { headers });
+        if (res.status === 304 && lastSnapshot) return lastSnapshot;
         if (!res.ok) {
           const errorData = await res.json().catch(() => ({}));
-          throw new Error(`Failed to load data: ${errorData.message || `Server returned ${res.status}`}`);
+          notifyIfSessionExpired(res, errorData);
+          const err = new Error(`Failed to load data: ${errorData.message || `Server returned ${res.status}`}`);
+          // Auth failures will not fix themselves on retry
+          err.retryable = res.status !== 401 && res.status !== 403;
+          throw err;
         }
-        return res.json();
+        const data = await res.json();
+        lastSnapshot = data;
+        lastEtag = res.headers.get('ETag');
+        return data;
       } catch (err) {
         lastError = err;
         console.warn(`fetchAllData attempt ${attempt + 1} failed:`, err.message);
+        if (err.retryable === false) break;
         if (attempt < retries - 1) {
           await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
         }
@@ -46,20 +278,63 @@ window.api = (function () {
     return res.json(); // Returns { success, user } or { success: false, ... }
   }
 
+  // Logs the logout server-side and clears the session cookie.
+  // method: 'manual' | 'auto_timeout'
+  async function logoutUser(method = 'manual') {
+    lastSnapshot = null;
+    lastEtag = null;
+    // Cached stock data must not be readable offline by the next user
+    if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+      navigator.serviceWorker.controller.postMessage({ type: 'clear-data-cache' });
+    }
+    const res = await fetch('/.netlify/functions/logout', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ method })
+    });
+    return res.json();
+  }
+
+  // Medications changed since `cursor` (changes-since.js). `full: true` means
+  // the server could not use the cursor and sent the whole snapshot instead.
+  async function fetchChangesSince(cursor) {
+    const res = await fetch(`/.netlify/functions/changes-since?${new URLSearchParams({ cursor: cursor || '' })}`);
+    const out = await res.json().catch(() => ({}));
+    notifyIfSessionExpired(res, out);
+    if (!res.ok || !out.success) throw new Error(out.message || 'Failed to fetch changes');
+    return out;
+  }
+
+  // One sync step: the full snapshot (onData) the first time, then only what
+  // changed since the previous step (onChanges). Without onChanges every step
+  // is a full meds-get, answered with 304 when nothing changed.
+  function createSync({ onData, onChanges }) {
+    let cursor = null;
+    return async () => {
+      if (!onChanges || !cursor) {
+        const data = await fetchAllData();
+        cursor = data.cursor || null;
+        onData(data);
+        return;
+      }
+      const changes = await fetchChangesSince(cursor);
+      cursor = changes.cursor || null;
+      if (changes.full) onData(changes);
+      else onChanges(changes);
+    };
+  }
+
   // Polling to keep all clients in sync (skips when tab is hidden to save bandwidth).
   // An in-flight guard prevents request pile-up when the server is slow: a
   // delayed response was previously allowed to overlap with the next tick,
   // which could multiply load on the already-struggling backend.
   let pollTimer = null;
   let pollInFlight = false;
-  function startPolling({ onData, intervalMs = 60000 }) {
-    stopPolling();
-
+  function schedulePolls(sync, intervalMs) {
     const runPoll = (label) => {
       if (pollInFlight) return;
       pollInFlight = true;
-      fetchAllData()
-        .then(onData)
+      sync()
         .catch(err => console.error(`${label} failed`, err))
         .finally(() => { pollInFlight = false; });
     };
@@ -72,9 +347,71 @@ window.api = (function () {
     }, intervalMs);
   }
 
+  function startPolling({ onData, onChanges, intervalMs = 60000 }) {
+    stopPolling();
+    schedulePolls(createSync({ onData, onChanges }), intervalMs);
+  }
+
+  // Live updates over Server-Sent Events (events-stream.mjs). Every event, and
+  // every (re)connect in case events were missed in between, runs a sync step.
+  // If the stream cannot be kept open this falls back to polling and tries the
+  // stream again after LIVE_RETRY_MS. Takes the same options as startPolling.
+  const LIVE_EVENT_TYPES = ['inventory', 'orders', 'draft-orders'];
+  const MAX_STREAM_FAILURES = 3;
+  const LIVE_RETRY_MS = 5 * 60 * 1000;
+  let eventSource = null;
+  let liveRetryTimer = null;
+
+  function startLiveUpdates(options) {
+    stopPolling();
+    if (typeof EventSource === 'undefined' || !options.onChanges) return startPolling(options);
+    const { intervalMs = 60000 } = options;
+    const sync = createSync(options);
+
+    // Events that arrive during a sync are folded into one more sync afterwards
+    let syncing = false;
+    let syncAgain = false;
+    const runSync = async () => {
+      if (syncing) { syncAgain = true; return; }
+      syncing = true;
+      try {
+        do {
+          syncAgain = false;
+          await sync();
+        } while (syncAgain);
+      } catch (err) {
+        console.error('live sync failed', err);
+      } finally {
+        syncing = false;
+      }
+    };
+
+    let failures = 0;
+    const source = new EventSource('/.netlify/functions/events-stream');
+    eventSource = source;
+    source.addEventListener('open', () => { failures = 0; runSync(); });
+    LIVE_EVENT_TYPES.forEach(type => source.addEventListener(type, runSync));
+    source.addEventListener('error', () => {
+      // The server ends every stream after a while and EventSource reconnects
+      // by itself; only repeated failures without an open mean it is unavailable
+      failures++;
+      if (source.readyState !== EventSource.CLOSED && failures < MAX_STREAM_FAILURES) return;
+      source.close();
+      eventSource = null;
+      console.warn('Live updates unavailable — falling back to polling');
+      schedulePolls(sync, intervalMs);
+      liveRetryTimer = setTimeout(() => startLiveUpdates(options), LIVE_RETRY_MS);
+    });
+  }
+
+  // Stops polling and live updates alike
   function stopPolling() {
     if (pollTimer) clearInterval(pollTimer);
     pollTimer = null;
+    if (liveRetryTimer) clearTimeout(liveRetryTimer);
+    liveRetryTimer = null;
+    if (eventSource) eventSource.close();
+    eventSource = null;
   }
 
   async function fetchActivityLog(params = {}) {
@@ -120,25 +457,38 @@ window.api = (function () {
     return out.tenant;
   }
 
+  async function fetchPermissions() {
+    const res = await fetch('/.netlify/functions/permissions');
+    const out = await res.json();
+    if (!res.ok || !out.success) throw new Error(out.message || 'Failed to fetch permissions');
+    window.permissionTable = out.permissions;
+    return out.permissions;
+  }
+
   return {
     fetchAllData,
     fetchTenantConfig,
-    adjustStock:          (payload)  => postJSON('/.netlify/functions/stock-adjust', payload),
+    fetchPermissions,
+    setWitnessProvider,
+    setFefoOverrideProvider,
+    setExpiredOverrideProvider,
+    flushOutbox,
+    getOutbox,
+    retryOutboxEntry,
+    discardOutboxEntry,
+    adjustStock:          (payload)  => postOrQueue('/.netlify/functions/stock-adjust', payload, (p, key) => postWithPrompts('/.netlify/functions/stock-adjust', p, key)),
     addMedication:        (payload)  => postJSON('/.netlify/functions/meds-add', payload),
-    addBatch:             (payload)  => postJSON('/.netlify/functions/batch-add', payload),
-    transferStock:        (payload)  => postJSON('/.netlify/functions/stock-transfer', payload),
+    addBatch:             (payload)  => postOrQueue('/.netlify/functions/batch-add', payload, (p, key) => postJSON('/.netlify/functions/batch-add', p, key)),
+    transferStock:        (payload)  => postOrQueue('/.netlify/functions/stock-transfer', payload, (p, key) => postWithPrompts('/.netlify/functions/stock-transfer', p, key)),
     checkBatch:           (batchCode) => postJSON('/.netlify/functions/batch-check', { batchCode }),
     lookupByBarcode:      (barcode)  => postJSON('/.netlify/functions/barcode-lookup', { barcode }),
     setMedicationActive:  (payload)  => postJSON('/.netlify/functions/medication-set-active', payload),
     deleteMedication: async (payload) => {
       // Custom handler so the UI can branch on HTTP status (401/403/404/409) and
       // on out.code (e.g. HAS_DEPENDENCIES) to offer the soft-delete fallback.
-      const res = await fetch('/.netlify/functions/medication-delete', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
+      const res = await fetchWithKey('/.netlify/functions/medication-delete', payload);
       const out = await res.json().catch(() => ({}));
+      notifyIfSessionExpired(res, out);
       if (!res.ok || !out.success) {
         const err = new Error(out.message || `Request to /medication-delete failed`);
         err.status = res.status;
@@ -149,12 +499,22 @@ window.api = (function () {
     },
     medicationUpsert:     (payload)  => postJSON('/.netlify/functions/medication-upsert', payload),
     setMedicationMinLevel:(payload)  => postJSON('/.netlify/functions/medication-minlevel-set', payload),
-    fetchUsers: async () => {
-      const res = await fetch('/.netlify/functions/users-list');
+    setControlledDrug:    (payload)  => postJSON('/.netlify/functions/medication-controlled-set', payload),
+    fetchUsers: async (params) => {
+      const qs = new URLSearchParams();
+      if (params?.includeInactive) qs.set('include_inactive', 'true');
+      const res = await fetch(`/.netlify/functions/users-list?${qs}`);
       const out = await res.json();
       if (!res.ok || !out.success) throw new Error(out.message || 'Failed to fetch users');
       return out.users;
     },
+
+    // User administration (Administrator only)
+    createUser:           (payload)  => postJSON('/.netlify/functions/users-create', payload),
+    updateUser:           (payload)  => postJSON('/.netlify/functions/users-update', payload),
+    setUserActive:        (payload)  => postJSON('/.netlify/functions/users-deactivate', payload),
+    resetUserPassword:    (payload)  => postJSON('/.netlify/functions/users-reset-password', payload),
+    unlockUser:           (payload)  => postJSON('/.netlify/functions/users-unlock', payload),
     setIntelligenceConfig:(payload)  => postJSON('/.netlify/functions/intelligence-config', payload),
     placeOrder:           (payload)  => postJSON('/.netlify/functions/order-place', payload),
     fulfillOrder:         (payload)  => postJSON('/.netlify/functions/order-fulfill', payload),
@@ -175,8 +535,12 @@ window.api = (function () {
     postActivityLog:      (payload)  => postJSON('/.netlify/functions/activity-log', payload),
     fetchActivityLog,
     loginUser,
+    logoutUser,
+    changePassword:       (payload)  => postJSON('/.netlify/functions/password-change', payload),
     startPolling,
+    startLiveUpdates,
     stopPolling,
+    fetchChangesSince,
 
     // Supplier management
     getSuppliers: async () => {
@@ -187,6 +551,15 @@ window.api = (function () {
     },
     upsertSupplier:       (payload)  => postJSON('/.netlify/functions/suppliers-upsert', payload),
 
+    // Stock-out reason codes (editing is Administrator only)
+    getReasonCodes: async () => {
+      const res = await fetch('/.netlify/functions/reason-codes-get');
+      const out = await res.json();
+      if (!res.ok || !out.success) throw new Error(out.message || 'Failed to fetch reason codes');
+      return out.reasonCodes;
+    },
+    upsertReasonCode:     (payload)  => postJSON('/.netlify/functions/reason-codes-upsert', payload),
+
     // Medication-supplier mappings
     getMedicationSuppliers: async (params) => {
       const qs = new URLSearchParams();
@@ -209,6 +582,127 @@ window.api = (function () {
       if (!res.ok || !out.success) throw new Error(out.message || 'Failed to fetch supplier orders');
       return out;
     },
-    updateSupplierOrder:  (payload)  => postJSON('/.netlify/functions/supplier-orders-update', payload)
+    updateSupplierOrder:  (payload)  => postJSON('/.netlify/functions/supplier-orders-update', payload),
+
+    // Controlled drug register
+    getCdRegister: async (params) => {
+      const qs = new URLSearchParams();
+      if (params?.medicationId) qs.set('medicationId', params.medicationId);
+      if (params?.locationId) qs.set('locationId', params.locationId);
+      if (params?.from) qs.set('from', params.from);
+      const res = await fetch(`/.netlify/functions/cd-register?${qs}`);
+      const out = await res.json();
+      if (!res.ok || !out.success) throw new Error(out.message || 'Failed to fetch controlled drug register');
+      return out;
+    },
+
+    // Stock-take (cycle count) sessions
+    getStockTakes: async (params) => {
+      const qs = new URLSearchParams();
+      if (params?.locationId) qs.set('locationId', params.locationId);
+      if (params?.status) qs.set('status', params.status);
+      const res = await fetch(`/.netlify/functions/stock-take-get?${qs}`);
+      const out = await res.json();
+      if (!res.ok || !out.success) throw new Error(out.message || 'Failed to fetch stock-takes');
+      return out;
+    },
+    getStockTake: async (id) => {
+      const res = await fetch(`/.netlify/functions/stock-take-get?id=${encodeURIComponent(id)}`);
+      const out = await res.json();
+      if (!res.ok || !out.success) throw new Error(out.message || 'Failed to fetch stock-take');
+      return out;
+    },
+    startStockTake:       (payload)  => postJSON('/.netlify/functions/stock-take-start', payload),
+    saveStockTakeCounts:  (payload)  => postJSON('/.netlify/functions/stock-take-count', payload),
+    approveStockTake:     (id)       => postWithPrompts('/.netlify/functions/stock-take-action', { id, action: 'approve' }),
+    cancelStockTake:      (id)       => postJSON('/.netlify/functions/stock-take-action', { id, action: 'cancel' }),
+
+    // Scheduled cycle counts
+    getCycleCountTasks: async (params) => {
+      const qs = new URLSearchParams();
+      if (params?.status) qs.set('status', params.status);
+      if (params?.locationId) qs.set('locationId', params.locationId);
+      if (params?.assignedTo) qs.set('assignedTo', params.assignedTo);
+      const res = await fetch(`/.netlify/functions/cycle-count-tasks?${qs}`);
+      const out = await res.json();
+      if (!res.ok || !out.success) throw new Error(out.message || 'Failed to fetch count tasks');
+      return out.tasks;
+    },
+    getCycleCountSummary: async () => {
+      const res = await fetch('/.netlify/functions/cycle-count-summary');
+      const out = await res.json();
+      if (!res.ok || !out.success) throw new Error(out.message || 'Failed to fetch cycle count summary');
+      return out;
+    },
+    planCycleCounts:      (payload)  => postJSON('/.netlify/functions/cycle-count-generate', payload || {}),
+    assignCycleCounts:    (taskIds, userId) => postJSON('/.netlify/functions/cycle-count-action', { action: 'assign', taskIds, userId }),
+    skipCycleCounts:      (taskIds)  => postJSON('/.netlify/functions/cycle-count-action', { action: 'skip', taskIds }),
+    completeCycleCount:   (payload)  => postWithPrompts('/.netlify/functions/cycle-count-complete', payload),
+
+    // Batch recalls and quarantine
+    getRecalls: async (params) => {
+      const qs = new URLSearchParams();
+      if (params?.status) qs.set('status', params.status);
+      const res = await fetch(`/.netlify/functions/recall-get?${qs}`);
+      const out = await res.json();
+      if (!res.ok || !out.success) throw new Error(out.message || 'Failed to fetch recalls');
+      return out.recalls;
+    },
+    getRecall: async (id) => {
+      const res = await fetch(`/.netlify/functions/recall-get?id=${encodeURIComponent(id)}`);
+      const out = await res.json();
+      if (!res.ok || !out.success) throw new Error(out.message || 'Failed to fetch recall');
+      return out.recall;
+    },
+    createRecall:         (payload)  => postJSON('/.netlify/functions/recall-create', payload),
+    recordRecallPull:     (payload)  => postWithPrompts('/.netlify/functions/recall-record', payload),
+    closeRecall:          (id, notes) => postJSON('/.netlify/functions/recall-action', { id, action: 'close', notes }),
+    cancelRecall:         (id, notes) => postJSON('/.netlify/functions/recall-action', { id, action: 'cancel', notes }),
+    // Recall notice files: { content, format, fileName } plus, to confirm, include and medicationIds
+    previewRecallNotice:  (payload)  => postJSON('/.netlify/functions/recall-import', { ...payload, action: 'preview' }),
+    importRecallNotice:   (payload)  => postJSON('/.netlify/functions/recall-import', { ...payload, action: 'confirm' }),
+
+    // Waste and destruction register
+    recordWaste:          (payload)  => postWithPrompts('/.netlify/functions/waste-record', payload),
+    getWasteReport: async (params) => {
+      const qs = new URLSearchParams();
+      if (params?.from) qs.set('from', params.from);
+      if (params?.to) qs.set('to', params.to);
+      if (params?.locationId) qs.set('locationId', params.locationId);
+      if (params?.medicationId) qs.set('medicationId', params.medicationId);
+      const res = await fetch(`/.netlify/functions/waste-report?${qs}`);
+      const out = await res.json();
+      if (!res.ok || !out.success) throw new Error(out.message || 'Failed to fetch waste report');
+      return out;
+    },
+
+    // FEFO override frequency per user and location
+    getFefoOverrideReport: async (params) => {
+      const qs = new URLSearchParams();
+      if (params?.from) qs.set('from', params.from);
+      if (params?.to) qs.set('to', params.to);
+      if (params?.locationId) qs.set('locationId', params.locationId);
+      const res = await fetch(`/.netlify/functions/fefo-override-report?${qs}`);
+      const out = await res.json();
+      if (!res.ok || !out.success) throw new Error(out.message || 'Failed to fetch FEFO override report');
+      return out;
+    },
+
+    // Expiry report
+    getExpiryReport: async (params) => {
+      const qs = new URLSearchParams();
+      if (params?.locationId) qs.set('locationId', params.locationId);
+      const res = await fetch(`/.netlify/functions/expiry-report?${qs}`);
+      const out = await res.json();
+      if (!res.ok || !out.success) throw new Error(out.message || 'Failed to fetch expiry report');
+      return out;
+    },
+    // Link target for the CSV download (the session cookie authenticates it)
+    expiryReportCsvUrl: (params) => {
+      const qs = new URLSearchParams({ format: 'csv' });
+      if (params?.locationId) qs.set('locationId', params.locationId);
+      return `/.netlify/functions/expiry-report?${qs}`;
+    },
+    setExpiryHorizons:    (horizons) => postJSON('/.netlify/functions/intelligence-config', { key: 'expiry_horizons', value: JSON.stringify(horizons) })
   };
 })();
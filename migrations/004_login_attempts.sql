@@ -0,0 +1,25 @@
+-- 004_login_attempts.sql
+-- Failed-login tracking for brute-force protection (netlify/functions/_login-guard.js).
+-- Every password check made by login.js and verify.js is recorded here, keyed
+-- by the username as typed (lower-cased) and the client IP. Lockout status is
+-- derived from recent uncleared failures rather than stored on users, so
+-- attempts against usernames that do not exist are throttled the same way.
+-- A successful login, or an administrator unlock, marks the username's
+-- earlier failures as cleared; rows are kept for the audit trail.
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id            SERIAL PRIMARY KEY,
+  username      TEXT NOT NULL,
+  ip_address    TEXT,
+  succeeded     BOOLEAN NOT NULL DEFAULT false,
+  cleared       BOOLEAN NOT NULL DEFAULT false,
+  attempted_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_username
+  ON login_attempts (username, attempted_at DESC)
+  WHERE succeeded = false AND cleared = false;
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip
+  ON login_attempts (ip_address, attempted_at DESC)
+  WHERE succeeded = false;
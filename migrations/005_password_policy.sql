@@ -0,0 +1,26 @@
+-- 005_password_policy.sql
+-- Server-enforced password policy (netlify/functions/_password-policy.js).
+--   must_change_password  login.js issues a restricted session until the user
+--                         sets their own password (new accounts, admin resets)
+--   password_changed_at   start of the per-tenant expiry period
+--   password_history      previous hashes, checked to stop reuse
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS password_history (
+  id             SERIAL PRIMARY KEY,
+  user_id        INTEGER NOT NULL REFERENCES users(id),
+  password_hash  TEXT NOT NULL,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_history_user
+  ON password_history (user_id, created_at DESC);
+
+-- Existing passwords start their expiry clock now rather than expiring at once
+UPDATE users SET password_changed_at = NOW() WHERE password_changed_at IS NULL;
+
+-- The accounts from migration 001 share a password published in that file
+UPDATE users SET must_change_password = true
+WHERE username IN ('admin1', 'admin2', 'admin3');
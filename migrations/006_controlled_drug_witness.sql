@@ -0,0 +1,13 @@
+-- 006_controlled_drug_witness.sql
+-- Controlled drugs (Schedule 2/3) need a second member of staff to witness
+-- every stock movement (netlify/functions/_controlled-drugs.js). The witness
+-- is stored alongside the acting user on both the ledger and the audit trail.
+
+ALTER TABLE medications ADD COLUMN IF NOT EXISTS controlled_drug BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS witness_user_id INTEGER REFERENCES users(id);
+ALTER TABLE activity_log ADD COLUMN IF NOT EXISTS witness_user_id INTEGER REFERENCES users(id);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_witness_user
+  ON transactions (witness_user_id)
+  WHERE witness_user_id IS NOT NULL;
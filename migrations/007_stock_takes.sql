@@ -0,0 +1,39 @@
+-- 007_stock_takes.sql
+-- Stock-take (cycle count) sessions (netlify/functions/stock-take-*.js).
+-- Starting a session snapshots the expected on_hand of every batch held at the
+-- location into stock_take_lines. Counted quantities are recorded against those
+-- lines; on approval each variance (counted - expected) is posted to
+-- transactions with a reason beginning 'Stock-take', which the intelligence
+-- usage filter excludes so counting corrections are not read as usage.
+-- Only one open session is allowed per location.
+
+CREATE TABLE IF NOT EXISTS stock_takes (
+  id            SERIAL PRIMARY KEY,
+  location_id   TEXT NOT NULL REFERENCES locations(id),
+  status        VARCHAR(20) NOT NULL DEFAULT 'counting'
+                  CHECK (status IN ('counting', 'approved', 'cancelled')),
+  notes         TEXT,
+  started_by    INTEGER REFERENCES users(id),
+  started_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  closed_by     INTEGER REFERENCES users(id),
+  closed_at     TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_takes_open_location
+  ON stock_takes (location_id)
+  WHERE status = 'counting';
+
+CREATE TABLE IF NOT EXISTS stock_take_lines (
+  id              SERIAL PRIMARY KEY,
+  stock_take_id   INTEGER NOT NULL REFERENCES stock_takes(id) ON DELETE CASCADE,
+  batch_id        INTEGER NOT NULL REFERENCES batches(id),
+  medication_id   TEXT NOT NULL REFERENCES medications(id),
+  expected_qty    INTEGER NOT NULL DEFAULT 0,
+  counted_qty     INTEGER CHECK (counted_qty >= 0),
+  counted_by      INTEGER REFERENCES users(id),
+  counted_at      TIMESTAMPTZ,
+  UNIQUE (stock_take_id, batch_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_take_lines_session
+  ON stock_take_lines (stock_take_id);
@@ -0,0 +1,40 @@
+-- 008_cycle_counts.sql
+-- Scheduled cycle counts (netlify/functions/_cycle-count.js).
+-- Each week every location gets a list of medications to count, chosen by ABC
+-- class: medications are ranked by the value of their recent usage (usage from
+-- transactions x medication_suppliers.unit_price), and A items fall due more
+-- often than B and C items. Tasks are assigned to users and completed by
+-- entering counted quantities per batch against inventory; any variance is
+-- posted with a 'Stock-take' reason so it stays out of usage figures.
+
+CREATE TABLE IF NOT EXISTS cycle_count_tasks (
+  id              SERIAL PRIMARY KEY,
+  location_id     TEXT NOT NULL REFERENCES locations(id),
+  medication_id   TEXT NOT NULL REFERENCES medications(id),
+  abc_class       CHAR(1) NOT NULL CHECK (abc_class IN ('A', 'B', 'C')),
+  usage_value     NUMERIC(12,2) NOT NULL DEFAULT 0,  -- ranking score when planned
+  week_start      DATE NOT NULL,
+  due_date        DATE NOT NULL,
+  assigned_to     INTEGER REFERENCES users(id),
+  status          VARCHAR(20) NOT NULL DEFAULT 'pending'
+                    CHECK (status IN ('pending', 'completed', 'skipped')),
+  expected_qty    INTEGER,          -- inventory on_hand when the count was entered
+  counted_qty     INTEGER,
+  accurate        BOOLEAN,          -- every batch matched inventory
+  counts          JSONB,            -- [{ batchId, batchCode, expectedQty, countedQty }]
+  completed_by    INTEGER REFERENCES users(id),
+  completed_at    TIMESTAMPTZ,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (location_id, medication_id, week_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cycle_count_tasks_status_due
+  ON cycle_count_tasks (status, due_date);
+
+CREATE INDEX IF NOT EXISTS idx_cycle_count_tasks_assigned
+  ON cycle_count_tasks (assigned_to)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_cycle_count_tasks_completed
+  ON cycle_count_tasks (completed_at DESC)
+  WHERE status = 'completed';
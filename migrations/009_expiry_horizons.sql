@@ -0,0 +1,9 @@
+-- 009_expiry_horizons.sql
+-- Expiry alert horizons (netlify/functions/_expiry.js, expiry-report.js).
+-- Stored in intelligence_config as JSON: a default list of day horizons plus
+-- optional per-location overrides keyed by location id. Edited from the
+-- Intelligent Stock tab via intelligence-config.js.
+
+INSERT INTO intelligence_config (key, value)
+VALUES ('expiry_horizons', '{"default":[30,60,90],"locations":{}}')
+ON CONFLICT (key) DO NOTHING;
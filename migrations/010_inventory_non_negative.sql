@@ -0,0 +1,14 @@
+-- 010_inventory_non_negative.sql
+-- Stock levels can never go below zero.
+-- stock-adjust.js and stock-transfer.js lock inventory rows before checking
+-- the level (netlify/functions/_inventory.js); this constraint catches any
+-- write that gets past them. NOT VALID so the migration does not fail on
+-- legacy negative rows — find them with:
+--   SELECT * FROM inventory WHERE on_hand < 0;
+-- correct them, then run the VALIDATE below.
+
+ALTER TABLE inventory DROP CONSTRAINT IF EXISTS inventory_on_hand_non_negative;
+ALTER TABLE inventory
+  ADD CONSTRAINT inventory_on_hand_non_negative CHECK (on_hand >= 0) NOT VALID;
+
+-- ALTER TABLE inventory VALIDATE CONSTRAINT inventory_on_hand_non_negative;
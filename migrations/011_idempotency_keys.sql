@@ -0,0 +1,20 @@
+-- 011_idempotency_keys.sql
+-- Stored responses for POST requests sent with an Idempotency-Key header
+-- (netlify/functions/_idempotency.js). A repeat of the same key by the same
+-- user at the same endpoint gets the stored response instead of running the
+-- handler again. status_code is NULL while the first request is still
+-- running. Rows older than the retention window are replaced on reuse and
+-- purged daily by idempotency-cleanup.js.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id          INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  endpoint         TEXT NOT NULL,
+  idempotency_key  TEXT NOT NULL,
+  request_hash     TEXT NOT NULL,   -- sha256 of the request body
+  status_code      INTEGER,
+  response_body    TEXT,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, endpoint, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys (created_at);
@@ -0,0 +1,88 @@
+-- 012_change_log.sql
+-- Change cursor for incremental sync (netlify/functions/changes-since.js).
+-- Triggers on inventory, batches, medications, orders and location_min_levels
+-- record the id of every medication whose stock entry in meds-get may have
+-- changed, together with the id of the writing transaction. One row per
+-- medication, overwritten on each change, so the table never grows past the
+-- medications table.
+--
+-- A client's cursor is the oldest transaction still running when it last
+-- synced (pg_snapshot_xmin). Every transaction older than that had committed
+-- and was included, so "txid >= cursor" returns everything the client may
+-- have missed — possibly a few medications it already has, which is harmless
+-- because each delta carries the full current entry. Requires PostgreSQL 13+.
+
+CREATE TABLE IF NOT EXISTS change_log (
+  medication_id  TEXT PRIMARY KEY,
+  txid           XID8 NOT NULL DEFAULT pg_current_xact_id(),
+  changed_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_change_log_txid ON change_log (txid);
+
+CREATE OR REPLACE FUNCTION record_medication_change(med_id TEXT) RETURNS VOID AS $$
+BEGIN
+  IF med_id IS NULL THEN
+    RETURN;
+  END IF;
+  INSERT INTO change_log (medication_id, txid, changed_at)
+  VALUES (med_id, pg_current_xact_id(), NOW())
+  ON CONFLICT (medication_id) DO UPDATE
+    SET txid = EXCLUDED.txid, changed_at = EXCLUDED.changed_at
+    WHERE change_log.txid IS DISTINCT FROM EXCLUDED.txid;
+END;
+$$ LANGUAGE plpgsql;
+
+-- medications, orders, location_min_levels and batches carry medication_id
+-- (or are the medication); inventory is looked up through its batch.
+CREATE OR REPLACE FUNCTION change_log_trigger() RETURNS TRIGGER AS $$
+DECLARE
+  row_data RECORD;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    row_data := OLD;
+  ELSE
+    row_data := NEW;
+  END IF;
+
+  IF TG_TABLE_NAME = 'medications' THEN
+    PERFORM record_medication_change(row_data.id::TEXT);
+  ELSIF TG_TABLE_NAME = 'inventory' THEN
+    PERFORM record_medication_change(
+      (SELECT medication_id::TEXT FROM batches WHERE id = row_data.batch_id)
+    );
+  ELSE
+    PERFORM record_medication_change(row_data.medication_id::TEXT);
+    IF TG_OP = 'UPDATE' AND OLD.medication_id IS DISTINCT FROM NEW.medication_id THEN
+      PERFORM record_medication_change(OLD.medication_id::TEXT);
+    END IF;
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS change_log_medications ON medications;
+CREATE TRIGGER change_log_medications
+  AFTER INSERT OR UPDATE OR DELETE ON medications
+  FOR EACH ROW EXECUTE FUNCTION change_log_trigger();
+
+DROP TRIGGER IF EXISTS change_log_batches ON batches;
+CREATE TRIGGER change_log_batches
+  AFTER INSERT OR UPDATE OR DELETE ON batches
+  FOR EACH ROW EXECUTE FUNCTION change_log_trigger();
+
+DROP TRIGGER IF EXISTS change_log_inventory ON inventory;
+CREATE TRIGGER change_log_inventory
+  AFTER INSERT OR UPDATE OR DELETE ON inventory
+  FOR EACH ROW EXECUTE FUNCTION change_log_trigger();
+
+DROP TRIGGER IF EXISTS change_log_orders ON orders;
+CREATE TRIGGER change_log_orders
+  AFTER INSERT OR UPDATE OR DELETE ON orders
+  FOR EACH ROW EXECUTE FUNCTION change_log_trigger();
+
+DROP TRIGGER IF EXISTS change_log_location_min_levels ON location_min_levels;
+CREATE TRIGGER change_log_location_min_levels
+  AFTER INSERT OR UPDATE OR DELETE ON location_min_levels
+  FOR EACH ROW EXECUTE FUNCTION change_log_trigger();
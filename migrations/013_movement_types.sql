@@ -0,0 +1,49 @@
+-- 013_movement_types.sql
+-- What each stock movement was, as a type instead of a reason prefix
+-- (netlify/functions/_movements.js). Intelligence usage, the transfer
+-- reconciliation and the SPA read movement_type; reason stays free text.
+--
+-- Existing rows are backfilled from the reason prefixes the handlers used to
+-- write. The column is then NOT NULL; rows from code that predates it get
+-- 'adjustment'.
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'movement_type') THEN
+    CREATE TYPE movement_type AS ENUM (
+      'dispense',      -- used on or issued to a patient / external department
+      'transfer_out',  -- moved to another location (paired with transfer_in)
+      'transfer_in',
+      'delivery',      -- received from a supplier
+      'removal',       -- batch taken out of stock (expired, damaged, recalled)
+      'stock_take',    -- stock-take or cycle-count correction
+      'return',        -- came back unused
+      'waste',         -- opened or prepared and discarded
+      'adjustment'     -- any other correction
+    );
+  END IF;
+END
+$$;
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS movement_type movement_type;
+
+UPDATE transactions
+SET movement_type = (CASE
+  WHEN reason LIKE 'Stock-take%' THEN 'stock_take'
+  WHEN reason LIKE 'Batch removed%' THEN 'removal'
+  WHEN reason LIKE 'Delivery%'
+    OR reason LIKE 'Order fulfilled%'
+    OR reason LIKE 'Stock received from Delivery%' THEN 'delivery'
+  WHEN reason LIKE 'Transfer%'
+    OR reason LIKE 'Intelligence-recommended%' THEN
+      CASE WHEN delta < 0 THEN 'transfer_out' ELSE 'transfer_in' END
+  WHEN delta < 0 THEN 'dispense'
+  ELSE 'adjustment'
+END)::movement_type
+WHERE movement_type IS NULL;
+
+ALTER TABLE transactions ALTER COLUMN movement_type SET DEFAULT 'adjustment';
+ALTER TABLE transactions ALTER COLUMN movement_type SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_movement_type
+  ON transactions (movement_type, occurred_at);
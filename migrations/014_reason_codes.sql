@@ -0,0 +1,60 @@
+-- 014_reason_codes.sql
+-- Stock-out reasons as master data (netlify/functions/_reason-codes.js),
+-- replacing the hard-coded per-location lists in the SPA. Administrators edit
+-- them through reason-codes-upsert.js.
+--
+-- location_groups decides where a code is offered. Entries match a location's
+-- group_name or display_name; a trailing * matches by prefix ('Ward*'):
+--   NULL        — fallback: offered only where no code names the location
+--   '{}'        — offered everywhere
+--   '{Wards}'   — offered at the listed groups / locations only
+-- counts_as_usage = false keeps a code's movements out of intelligence usage
+-- (getWeeklyUsageData). Codes are never deleted, only deactivated, because
+-- transactions.reason_code_id references them.
+
+CREATE TABLE IF NOT EXISTS reason_codes (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(50) NOT NULL UNIQUE,
+  label TEXT NOT NULL,
+  movement_type movement_type NOT NULL DEFAULT 'dispense',
+  location_groups TEXT[],
+  counts_as_usage BOOLEAN NOT NULL DEFAULT true,
+  requires_note BOOLEAN NOT NULL DEFAULT false,
+  requires_witness BOOLEAN NOT NULL DEFAULT false,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS reason_code_id INTEGER REFERENCES reason_codes(id);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_reason_code
+  ON transactions (reason_code_id) WHERE reason_code_id IS NOT NULL;
+
+-- The lists the SPA used to hard-code, with the same labels and matching
+-- (Theatre* / Ward* by name prefix).
+INSERT INTO reason_codes (code, label, movement_type, location_groups, counts_as_usage, requires_note, sort_order) VALUES
+  ('post-op',                'Post-op use',            'dispense', '{PACU}',            true,  false, 10),
+  ('pain-relief',            'Pain relief',            'dispense', '{PACU}',            true,  false, 20),
+  ('nausea',                 'Nausea',                 'dispense', '{PACU}',            true,  false, 30),
+  ('anaesthesia',            'Anaesthesia',            'dispense', '{Theatre*}',        true,  false, 10),
+  ('antibiotic-prophylaxis', 'Antibiotic prophylaxis', 'dispense', '{Theatre*}',        true,  false, 20),
+  ('emergency-use',          'Emergency use',          'dispense', '{Theatre*}',        true,  false, 30),
+  ('regular-dose',           'Regular dose',           'dispense', '{Ward*}',           true,  false, 10),
+  ('prn-use',                'PRN use',                'dispense', '{Ward*}',           true,  false, 20),
+  ('tto',                    'TTOs',                   'dispense', '{Ward*}',           true,  false, 30),
+  ('pre-op-prep',            'Pre-op prep',            'dispense', '{Sapphire Clinic}', true,  false, 10),
+  ('local-anaesthetic',      'Local anaesthetic',      'dispense', '{Sapphire Clinic}', true,  false, 20),
+  ('post-op-drop',           'Post-op drop',           'dispense', '{Sapphire Clinic}', true,  false, 30),
+  ('contrast',               'Contrast',               'dispense', '{Radiology}',       true,  false, 10),
+  ('sedation',               'Sedation',               'dispense', '{Radiology}',       true,  false, 20),
+  ('allergy-prophylaxis',    'Allergy prophylaxis',    'dispense', '{Radiology}',       true,  false, 30),
+  ('supply',                 'Supply',                 'dispense', '{Pharmacy}',        true,  false, 10),
+  ('restock',                'Re-stock',               'dispense', '{Pharmacy}',        false, false, 20),
+  ('disposal',               'Disposal',               'waste',    '{Pharmacy}',        false, false, 30),
+  ('general-use',            'General use',            'dispense', NULL,                true,  false, 10),
+  ('emergency',              'Emergency use',          'dispense', NULL,                true,  false, 20),
+  ('routine',                'Routine use',            'dispense', NULL,                true,  false, 30),
+  ('other',                  'Other',                  'dispense', '{}',                true,  true,  90)
+ON CONFLICT (code) DO NOTHING;
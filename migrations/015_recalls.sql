@@ -0,0 +1,47 @@
+-- 015_recalls.sql
+-- Batch recalls and quarantine (netlify/functions/recall-*.js).
+-- Opening a recall for a medication and a list of batch codes (e.g. from an
+-- MHRA drug alert) quarantines the matching batches everywhere: stock-adjust,
+-- stock-transfer, batch-add and FEFO selection refuse them. recall_lines
+-- snapshot the quantity held at each location when the recall was opened —
+-- the pull list — and accumulate what was returned or destroyed there.
+-- Pulled stock leaves inventory as a 'removal' transaction whose reason starts
+-- 'Recall'. A recall closes once no quarantined stock is left; cancelling one
+-- (alert withdrawn) releases its batches.
+
+CREATE TABLE IF NOT EXISTS recalls (
+  id              SERIAL PRIMARY KEY,
+  medication_id   TEXT NOT NULL REFERENCES medications(id),
+  reference       TEXT,             -- alert reference, e.g. MHRA EL(25)A/12
+  reason          TEXT,
+  batch_codes     TEXT[] NOT NULL,  -- as listed in the alert, matched or not
+  batch_ids       INTEGER[] NOT NULL DEFAULT '{}',  -- the batches those codes matched
+  status          VARCHAR(20) NOT NULL DEFAULT 'open'
+                    CHECK (status IN ('open', 'closed', 'cancelled')),
+  notes           TEXT,
+  opened_by       INTEGER REFERENCES users(id),
+  opened_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  closed_by       INTEGER REFERENCES users(id),
+  closed_at       TIMESTAMPTZ,
+  closing_notes   TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_recalls_status ON recalls (status, opened_at);
+
+ALTER TABLE batches ADD COLUMN IF NOT EXISTS quarantined BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE batches ADD COLUMN IF NOT EXISTS recall_id INTEGER REFERENCES recalls(id);
+
+CREATE TABLE IF NOT EXISTS recall_lines (
+  id              SERIAL PRIMARY KEY,
+  recall_id       INTEGER NOT NULL REFERENCES recalls(id) ON DELETE CASCADE,
+  batch_id        INTEGER NOT NULL REFERENCES batches(id),
+  location_id     TEXT NOT NULL REFERENCES locations(id),
+  quarantined_qty INTEGER NOT NULL DEFAULT 0,
+  returned_qty    INTEGER NOT NULL DEFAULT 0 CHECK (returned_qty >= 0),
+  destroyed_qty   INTEGER NOT NULL DEFAULT 0 CHECK (destroyed_qty >= 0),
+  updated_by      INTEGER REFERENCES users(id),
+  updated_at      TIMESTAMPTZ,
+  UNIQUE (recall_id, batch_id, location_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recall_lines_recall ON recall_lines (recall_id);
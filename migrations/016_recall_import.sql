@@ -0,0 +1,12 @@
+-- 016_recall_import.sql
+-- Recall notices imported from a file (netlify/functions/recall-import.js).
+-- A drug alert lists products by GTIN or name with the affected batch codes
+-- and an action class; each product matched to a medication opens its own
+-- recall. action_class follows the MHRA classes: 1 = act now (same day),
+-- 2 = within 48 hours, 3 = within 5 days, 4 = caution in use. NULL when the
+-- alert gives none. source_file records which uploaded notice a recall came
+-- from; manual recalls leave it NULL.
+
+ALTER TABLE recalls ADD COLUMN IF NOT EXISTS action_class SMALLINT
+  CHECK (action_class BETWEEN 1 AND 4);
+ALTER TABLE recalls ADD COLUMN IF NOT EXISTS source_file TEXT;
@@ -0,0 +1,33 @@
+-- 017_waste_register.sql
+-- Waste and destruction register (netlify/functions/waste-*.js).
+-- Stock that is expired, damaged, contaminated or a patient's return that
+-- cannot be reissued leaves inventory as a 'waste' transaction; its register
+-- entry records why, how it was disposed of, who witnessed the destruction
+-- and what it was worth. unit_cost is the price per item when the waste was
+-- recorded (preferred supplier's medication_suppliers.unit_price / pack size),
+-- so later price changes do not rewrite past waste values. NULL = unpriced.
+-- Intelligence usage excludes 'waste' movements (_movements.js).
+
+CREATE TABLE IF NOT EXISTS waste_records (
+  id               SERIAL PRIMARY KEY,
+  transaction_id   INTEGER NOT NULL UNIQUE REFERENCES transactions(id),
+  batch_id         INTEGER NOT NULL REFERENCES batches(id),
+  location_id      TEXT NOT NULL REFERENCES locations(id),
+  medication_id    TEXT NOT NULL REFERENCES medications(id),
+  quantity         INTEGER NOT NULL CHECK (quantity > 0),
+  reason           VARCHAR(20) NOT NULL
+                     CHECK (reason IN ('expired', 'damaged', 'contaminated', 'patient_returned')),
+  reason_note      TEXT,
+  unit_cost        NUMERIC(12, 4),
+  total_value      NUMERIC(12, 2),
+  disposal_method  VARCHAR(30) NOT NULL
+                     CHECK (disposal_method IN ('pharmaceutical_waste', 'cytotoxic_waste', 'cd_denaturing_kit', 'sharps', 'returned_to_supplier', 'other')),
+  disposal_note    TEXT,
+  recorded_by      INTEGER NOT NULL REFERENCES users(id),
+  witness_user_id  INTEGER REFERENCES users(id),
+  recorded_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_waste_records_recorded ON waste_records (recorded_at);
+CREATE INDEX IF NOT EXISTS idx_waste_records_location ON waste_records (location_id, recorded_at);
+CREATE INDEX IF NOT EXISTS idx_waste_records_medication ON waste_records (medication_id, recorded_at);
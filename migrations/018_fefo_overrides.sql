@@ -0,0 +1,30 @@
+-- 018_fefo_overrides.sql
+-- FEFO overrides as data (netlify/functions/_fefo.js).
+-- stock-adjust.js and stock-transfer.js refuse to take a later-expiring batch
+-- out of a location while an earlier-expiring one is on the shelf there,
+-- unless the request gives an override reason. The reason, an optional note
+-- and the batch that was passed over are kept on the outgoing transaction,
+-- so fefo-override-report.js can count overrides per user and location.
+--
+-- Before this the SPA appended "[FEFO OVERRIDE: ...]" to the free-text
+-- reason; those rows are backfilled as 'other' with the text as the note
+-- (the batch passed over was never recorded).
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS fefo_override_reason VARCHAR(30)
+  CHECK (fefo_override_reason IN (
+    'pack_size', 'patient_specific', 'brand_requested',
+    'earlier_batch_inaccessible', 'earlier_batch_damaged', 'other'
+  ));
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS fefo_override_note TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS fefo_skipped_batch_id INTEGER REFERENCES batches(id);
+
+UPDATE transactions
+SET fefo_override_reason = 'other',
+    fefo_override_note = NULLIF(TRIM(substring(reason from '\[FEFO OVERRIDE: (.*?)\]')), '')
+WHERE fefo_override_reason IS NULL
+  AND delta < 0
+  AND reason LIKE '%[FEFO OVERRIDE:%';
+
+CREATE INDEX IF NOT EXISTS idx_transactions_fefo_override
+  ON transactions (occurred_at)
+  WHERE fefo_override_reason IS NOT NULL;
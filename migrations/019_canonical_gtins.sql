@@ -0,0 +1,111 @@
+-- 019_canonical_gtins.sql
+-- Stores every medication barcode that is a GTIN as its GTIN-14 (utils/gtin.js):
+-- GTIN-8/12/13/14 left-padded with zeros. The barcode it replaces is kept in
+-- medications.barcode_before_gtin.
+-- Until now EAN-13s were stored as 13 digits and a leading-zero GTIN-14 was
+-- cut to 13, while barcode-lookup.js also tried the 14-digit form for older
+-- rows, so the same product could be stored either way and UPC-A never
+-- matched its EAN-13.
+--
+-- A stored 8-digit code could have been typed from a UPC-E or an EAN-8, and
+-- the digits cannot tell which (many EAN-8s pass the UPC-E check digit), so
+-- every 8-digit code is padded as a GTIN-8 and never expanded as UPC-E. Those
+-- that would also read as a valid UPC-E are listed by a NOTICE to check by
+-- hand against the pack; a UPC-E one then needs its 12-digit UPC-A entered.
+--
+-- Left as they are, and listed by the NOTICEs below:
+-- - barcodes that are all digits of a GTIN length but fail the check digit
+-- - rows whose GTIN-14 another medication already has (or would get); these
+--   are duplicates of one product to merge by hand
+-- Non-numeric and other-length codes are not GTINs and are not touched.
+
+CREATE FUNCTION pg_temp.gtin_check_digit(body TEXT) RETURNS INTEGER AS $$
+  SELECT ((10 - SUM(substr(reverse(body), i, 1)::INTEGER * CASE WHEN i % 2 = 1 THEN 3 ELSE 1 END) % 10) % 10)::INTEGER
+  FROM generate_series(1, length(body)) AS i
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Same rules as parseGtin() in utils/gtin.js with no scanner symbology (so
+-- no UPC-E); NULL when not a valid GTIN
+CREATE FUNCTION pg_temp.canonical_gtin(code TEXT) RETURNS TEXT AS $$
+DECLARE
+  digits TEXT := regexp_replace(COALESCE(code, ''), '\s+', '', 'g');
+BEGIN
+  IF digits !~ '^[0-9]+$'
+     OR length(digits) NOT IN (8, 12, 13, 14)
+     OR pg_temp.gtin_check_digit(left(digits, -1))::TEXT <> right(digits, 1) THEN
+    RETURN NULL;
+  END IF;
+  RETURN lpad(digits, 14, '0');
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Whether an 8-digit code would also read as a UPC-E (expandUpcE in utils/gtin.js)
+CREATE FUNCTION pg_temp.could_be_upc_e(code TEXT) RETURNS BOOLEAN AS $$
+DECLARE
+  digits TEXT := regexp_replace(COALESCE(code, ''), '\s+', '', 'g');
+  d TEXT := substr(digits, 2, 6);
+  body TEXT;
+BEGIN
+  IF digits !~ '^[01][0-9]{7}$' THEN
+    RETURN false;
+  END IF;
+  body := left(digits, 1) || CASE
+    WHEN right(d, 1) IN ('0', '1', '2') THEN substr(d, 1, 2) || right(d, 1) || '0000' || substr(d, 3, 3)
+    WHEN right(d, 1) = '3' THEN substr(d, 1, 3) || '00000' || substr(d, 4, 2)
+    WHEN right(d, 1) = '4' THEN substr(d, 1, 4) || '00000' || substr(d, 5, 1)
+    ELSE substr(d, 1, 5) || '0000' || right(d, 1)
+  END;
+  RETURN pg_temp.gtin_check_digit(body)::TEXT = right(digits, 1);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+ALTER TABLE medications ADD COLUMN IF NOT EXISTS barcode_before_gtin TEXT;
+
+CREATE TEMP TABLE gtin_canonical AS
+SELECT id, barcode, pg_temp.canonical_gtin(barcode) AS gtin
+FROM medications
+WHERE barcode IS NOT NULL AND barcode <> '';
+
+DO $$
+DECLARE
+  r RECORD;
+BEGIN
+  FOR r IN
+    SELECT id, barcode FROM gtin_canonical
+    WHERE gtin IS NULL AND barcode ~ '^\s*([0-9]{8}|[0-9]{12,14})\s*$'
+  LOOP
+    RAISE NOTICE 'medication %: barcode % has an invalid GTIN check digit, left unchanged', r.id, r.barcode;
+  END LOOP;
+
+  FOR r IN
+    SELECT id, barcode FROM gtin_canonical
+    WHERE gtin IS NOT NULL AND pg_temp.could_be_upc_e(barcode)
+  LOOP
+    RAISE NOTICE 'medication %: barcode % stored as EAN-8; check the pack in case it is a UPC-E', r.id, r.barcode;
+  END LOOP;
+
+  FOR r IN
+    SELECT gtin, string_agg(id || ' (' || barcode || ')', ', ' ORDER BY id) AS meds
+    FROM gtin_canonical
+    WHERE gtin IS NOT NULL
+    GROUP BY gtin
+    HAVING COUNT(*) > 1
+  LOOP
+    RAISE NOTICE 'GTIN % is shared by medications %, left unchanged', r.gtin, r.meds;
+  END LOOP;
+END;
+$$;
+
+UPDATE medications m
+SET barcode_before_gtin = c.barcode,
+    barcode = c.gtin
+FROM gtin_canonical c
+WHERE m.id = c.id
+  AND c.gtin IS NOT NULL
+  AND c.gtin <> c.barcode
+  AND NOT EXISTS (
+    SELECT 1 FROM gtin_canonical other
+    WHERE other.gtin = c.gtin AND other.id <> c.id
+  );
+
+DROP TABLE IF EXISTS gtin_canonical;
@@ -0,0 +1,7 @@
+-- 020_transaction_reason_notes.sql
+-- The note given with a reason code (reasonNote in stock-adjust.js), kept on
+-- the transaction next to reason_code_id. Codes with requires_note refuse a
+-- movement without one, but the note was only kept when the SPA happened to
+-- copy it into the free-text reason.
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS reason_note TEXT;
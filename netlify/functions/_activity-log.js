@@ -3,19 +3,21 @@
 // Import this in any Netlify function that needs to record an audit event.
 const db = require('./_db');
 
-async function logActivity({ userId, actionType, entityType, entityId, locationId, details, queryFn }) {
+// witnessUserId: second signatory for controlled drug movements (_controlled-drugs.js)
+async function logActivity({ userId, witnessUserId, actionType, entityType, entityId, locationId, details, queryFn }) {
   try {
     const query = queryFn || db.query;
     await query(
-      `INSERT INTO activity_log (user_id, action_type, entity_type, entity_id, location_id, details)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
+      `INSERT INTO activity_log (user_id, action_type, entity_type, entity_id, location_id, details, witness_user_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
       [
         userId || null,
         actionType,
         entityType || null,
         entityId != null ? String(entityId) : null,
         locationId || null,
-        JSON.stringify(details || {})
+        JSON.stringify(details || {}),
+        witnessUserId || null
       ]
     );
   } catch (err) {
@@ -0,0 +1,140 @@
+// netlify/functions/_auth.js
+// Signed, expiring session tokens.
+// login.js issues a token as an HTTP-only cookie; every handler that acts on
+// behalf of a user calls requireUser() to derive the acting user server-side
+// instead of trusting a userId posted by the client.
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'clinitrack_session';
+const SESSION_TTL_SECONDS = 12 * 60 * 60; // one long theatre shift
+// Issued instead of a full session when the password must be changed first
+const RESTRICTED_SCOPE = 'password_change';
+const RESTRICTED_TTL_SECONDS = 15 * 60;
+
+function getSecret() {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) throw new Error('SESSION_SECRET is not configured');
+  return secret;
+}
+
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Create a token of the form <base64url(payload)>.<base64url(hmac)>.
+ * The payload carries the user id and tenant slug so a token minted for one
+ * tenant is rejected by every other tenant. A restricted token (scope
+ * RESTRICTED_SCOPE) is only accepted by password-change.js and logout.js.
+ */
+function issueSession(user, tenant, { restricted = false } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    sub: String(user.id),
+    tenant: tenant.slug,
+    iat: now,
+    exp: now + (restricted ? RESTRICTED_TTL_SECONDS : SESSION_TTL_SECONDS)
+  };
+  if (restricted) payload.scope = RESTRICTED_SCOPE;
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${sign(encoded)}`;
+}
+
+// Returns the decoded payload, or null if the token is malformed, tampered with or expired
+function verifyToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) return null;
+
+  const expected = Buffer.from(sign(encoded));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf-8'));
+  } catch (_) {
+    return null;
+  }
+
+  if (!payload || !payload.sub || !payload.exp) return null;
+  if (payload.exp < Math.floor(Date.now() / 1000)) return null;
+  return payload;
+}
+
+// Reads the token from the session cookie, or from "Authorization: Bearer" for scripted callers
+function readToken(event) {
+  const headers = event.headers || {};
+  const authHeader = headers.authorization || headers.Authorization || '';
+  if (authHeader.startsWith('Bearer ')) return authHeader.slice(7).trim();
+
+  const cookieHeader = headers.cookie || headers.Cookie || '';
+  for (const part of cookieHeader.split(';')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name === SESSION_COOKIE) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+const sessionCookie = (token, maxAge = SESSION_TTL_SECONDS) =>
+  `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${maxAge}`;
+
+const clearedSessionCookie = () =>
+  `${SESSION_COOKIE}=; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=0`;
+
+// Attach a Set-Cookie header to a response built by the db.* helpers
+function withCookie(response, cookie) {
+  return {
+    ...response,
+    headers: { ...(response.headers || {}), 'Set-Cookie': cookie }
+  };
+}
+
+/**
+ * Resolve the acting user from the request's session.
+ * Usage in handler:
+ *   const { user, error } = await auth.requireUser(event, tdb);
+ *   if (error) return error;
+ *   // user.id is now the only trusted user id for audit rows
+ * Restricted (password-change) sessions get a 403 unless allowRestricted is set.
+ */
+async function requireUser(event, tdb, { allowRestricted = false } = {}) {
+  const payload = verifyToken(readToken(event));
+  if (!payload || payload.tenant !== tdb.tenant.slug) {
+    return {
+      error: tdb.fail(401, 'Your session has expired. Please log in again.', { code: 'SESSION_EXPIRED' })
+    };
+  }
+
+  const result = await tdb.query(
+    'SELECT id, username, email, first_name, full_name, role, active, location FROM users WHERE id = $1',
+    [payload.sub]
+  );
+  const user = result.rows[0];
+  if (!user || !user.active) {
+    return { error: tdb.fail(401, 'Account is inactive.', { code: 'SESSION_EXPIRED' }) };
+  }
+
+  if (payload.scope === RESTRICTED_SCOPE && !allowRestricted) {
+    return {
+      error: tdb.fail(403, 'You must change your password before continuing.', { code: 'PASSWORD_CHANGE_REQUIRED' })
+    };
+  }
+
+  return { user, session: payload };
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  SESSION_TTL_SECONDS,
+  RESTRICTED_TTL_SECONDS,
+  issueSession,
+  verifyToken,
+  readToken,
+  sessionCookie,
+  clearedSessionCookie,
+  withCookie,
+  requireUser
+};
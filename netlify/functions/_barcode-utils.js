@@ -1,21 +1,21 @@
 // Shared barcode normalization utilities
+// The GTIN rules live in utils/gtin.js so the SPA and the functions normalize
+// and validate barcodes identically; this is the functions' entry point.
+const { parseGtin, normalizeBarcode } = require('../../utils/gtin');
+const db = require('./_db');
+
+const INVALID_GTIN = 'INVALID_GTIN';
 
 /**
- * Normalizes a barcode to a consistent format.
- * GTIN-14 barcodes with a leading '0' indicator digit are stripped to EAN-13,
- * since QR/DataMatrix codes encode 14-digit GTINs while linear barcodes
- * encode the same product as 13-digit EAN-13.
+ * 400 INVALID_GTIN for a barcode with a wrong GTIN check digit, or null
+ * when the barcode is acceptable (a valid GTIN, or not a GTIN at all).
  *
- * @param {string} barcode - Raw barcode string
- * @returns {string} Normalized barcode
+ * @param {string} barcode - Barcode from the request
+ * @returns {object|null} Error response, or null
  */
-function normalizeBarcode(barcode) {
-  if (!barcode) return barcode;
-  const trimmed = barcode.trim();
-  if (trimmed.length === 14 && trimmed.startsWith('0') && /^\d+$/.test(trimmed)) {
-    return trimmed.substring(1);
-  }
-  return trimmed;
+function invalidBarcode(barcode) {
+  const { error } = parseGtin(barcode);
+  return error ? db.fail(400, error, { code: INVALID_GTIN }) : null;
 }
 
-module.exports = { normalizeBarcode };
+module.exports = { INVALID_GTIN, parseGtin, normalizeBarcode, invalidBarcode };
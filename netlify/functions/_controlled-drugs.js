@@ -0,0 +1,79 @@
+// netlify/functions/_controlled-drugs.js
+// Two-person sign-off for controlled drug (CD) movements.
+// Medications with medications.controlled_drug = true cannot be moved by
+// stock-adjust.js or stock-transfer.js until a second, different user has
+// entered their own credentials. The witness is checked before the database
+// transaction opens (bcrypt is slow) and their id is written to
+// transactions.witness_user_id and activity_log.witness_user_id.
+// Reason codes with requires_witness (_reason-codes.js) ask for the same
+// sign-off on any medication.
+const { can } = require('./_permissions');
+const { verifyCredentials } = require('./_credentials');
+
+// Returns the medication row ({ id, name, controlled_drug }) for a batch, or null
+async function medicationForBatch(batchId, queryFn) {
+  const result = await queryFn(
+    `SELECT m.id, m.name, m.controlled_drug
+     FROM batches b
+     JOIN medications m ON m.id = b.medication_id
+     WHERE b.id = $1`,
+    [batchId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Resolve the witness for a movement of `batchId`.
+ * Returns { witness: null } for non-CD stock, { witness } (id, username,
+ * full_name, role) once a valid second user has signed, or { error }.
+ * `requiredFor` (e.g. a reason code label) asks for a witness even when the
+ * medication is not a controlled drug.
+ * Usage in handler:
+ *   const { witness, error } = await requireWitness(event, tdb, user, body.batchId, body.witness);
+ *   if (error) return error;
+ */
+async function requireWitness(event, tdb, actingUser, batchId, credentials, { requiredFor = null } = {}) {
+  const medication = await medicationForBatch(batchId, tdb.query);
+  const isControlled = !!(medication && medication.controlled_drug);
+  if (!isControlled && !requiredFor) return { witness: null };
+
+  if (!credentials || !credentials.username || !credentials.password) {
+    const message = isControlled
+      ? `${medication.name} is a controlled drug. A second member of staff must witness this movement.`
+      : `${requiredFor} must be witnessed by a second member of staff.`;
+    return {
+      error: tdb.fail(400, message, {
+        code: 'WITNESS_REQUIRED',
+        medicationName: medication ? medication.name : null,
+        // Why a non-CD movement needs a witness, for the SPA's prompt
+        witnessReason: isControlled ? null : requiredFor
+      })
+    };
+  }
+
+  const { user: witness, error } = await verifyCredentials(event, tdb, credentials.username, credentials.password, 'witness');
+  if (error) return { error: withWitnessCode(error) };
+
+  if (String(witness.id) === String(actingUser.id)) {
+    return {
+      error: tdb.fail(400, 'The witness must be a different person from the user making the movement.', { code: 'WITNESS_INVALID' })
+    };
+  }
+
+  if (!can(witness.role, 'witnessControlledDrugs')) {
+    return {
+      error: tdb.fail(403, `${witness.full_name || witness.username} (${witness.role}) cannot witness controlled drug movements.`, { code: 'WITNESS_INVALID' })
+    };
+  }
+
+  return { witness };
+}
+
+// Tag credential failures so the SPA re-prompts for the witness instead of
+// treating them as the signed-in user's own session or lockout problem
+function withWitnessCode(response) {
+  const body = JSON.parse(response.body);
+  return { ...response, body: JSON.stringify({ ...body, code: 'WITNESS_INVALID', witnessCode: body.code || null }) };
+}
+
+module.exports = { medicationForBatch, requireWitness };
@@ -0,0 +1,47 @@
+// netlify/functions/_credentials.js
+// Username + password check shared by verify.js (re-authentication prompts)
+// and _controlled-drugs.js (witness sign-off). Goes through the login
+// lockout so neither can be used to guess passwords.
+const bcrypt = require('bcryptjs');
+const loginGuard = require('./_login-guard');
+
+/**
+ * Returns { user } when the credentials are valid for an active account,
+ * otherwise { error } holding the response to send back.
+ * source is recorded on login_failed events (e.g. 'verify', 'witness').
+ */
+async function verifyCredentials(event, tdb, username, password, source) {
+  if (!username || !password) {
+    return { error: tdb.fail(400, 'Username and password are required.') };
+  }
+
+  const guard = await loginGuard.begin(event, tdb, username, source);
+  if (guard.locked) return { error: guard.locked };
+
+  const result = await tdb.query(
+    'SELECT id, username, full_name, role, password_hash, active FROM users WHERE username = $1',
+    [username]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: await guard.failed(null, 'unknown_username') };
+  }
+
+  const user = result.rows[0];
+
+  if (!user.active) {
+    return { error: tdb.fail(401, 'Account is inactive.') };
+  }
+
+  const passwordMatch = await bcrypt.compare(password, user.password_hash);
+  if (!passwordMatch) {
+    return { error: await guard.failed(user, 'wrong_password') };
+  }
+
+  await guard.succeeded();
+
+  const { password_hash, ...safeUser } = user;
+  return { user: safeUser };
+}
+
+module.exports = { verifyCredentials };
@@ -0,0 +1,165 @@
+// netlify/functions/_cycle-count.js
+// Cycle-count planning: ABC ranking and weekly task generation.
+// Medications held at a location are ranked by the value of their recent
+// usage — items used (getWeeklyUsageData) x price per item (preferred
+// supplier's medication_suppliers.unit_price / items_per_box). The top 80% of
+// value is class A, the next 15% class B and the rest class C; each class is
+// counted on its own interval. Used by cycle-count-generate.js (on demand)
+// and cycle-count-schedule.js (every Monday).
+const { getWeeklyUsageData, getItemsPerBoxMap, getPricePerItemMap } = require('./_intelligence-core');
+const { STOCK_TAKE_REASON } = require('./_stock-take');
+
+const USAGE_WEEKS = 13;
+// Cumulative share of usage value below which a medication is class A / B
+const CLASS_THRESHOLDS = { A: 0.8, B: 0.95 };
+const COUNT_INTERVAL_WEEKS = { A: 4, B: 13, C: 26 };
+// Keeps each weekly list countable; anything over the cap rolls to next week
+const MAX_TASKS_PER_LOCATION = 20;
+
+const CLASS_ORDER = { A: 0, B: 1, C: 2 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cycle-count corrections share the stock-take reason prefix (and are written
+// with movement_type 'stock_take', which intelligence usage excludes)
+const cycleCountReason = (taskId, countedQty, expectedQty) =>
+  `${STOCK_TAKE_REASON}: cycle count #${taskId} (counted ${countedQty}, expected ${expectedQty})`;
+
+// Monday (UTC) of the week containing `date`, as YYYY-MM-DD — matches date_trunc('week')
+function weekStartOf(date) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Rank one location's medications by score and tag each with abcClass.
+ * The running share is taken before adding the item, so the top item is
+ * always A even when it alone exceeds the A threshold.
+ */
+function assignAbcClasses(items) {
+  const ranked = [...items].sort((a, b) => b.score - a.score);
+  const total = ranked.reduce((sum, item) => sum + item.score, 0);
+  let cumulative = 0;
+  for (const item of ranked) {
+    const shareBefore = total > 0 ? cumulative / total : 1;
+    cumulative += item.score;
+    item.abcClass = shareBefore < CLASS_THRESHOLDS.A ? 'A' : shareBefore < CLASS_THRESHOLDS.B ? 'B' : 'C';
+  }
+  return ranked;
+}
+
+/**
+ * Create the week's pending tasks. Safe to run repeatedly — a medication is
+ * skipped while it still has a pending task, and (location, medication, week)
+ * is unique. Returns { weekStart, created, byLocation: { locationId: n } }.
+ */
+async function planWeek(queryFn, { weekStart = weekStartOf(new Date()), locationId = null } = {}) {
+  const [stockedResult, usageByMedLoc, itemsPerBoxByMed, lastCountedResult, pendingResult] = await Promise.all([
+    queryFn(`
+      SELECT i.location_id, b.medication_id
+      FROM inventory i
+      JOIN batches b ON b.id = i.batch_id
+      JOIN medications m ON m.id = b.medication_id
+      WHERE m.is_active = true AND i.on_hand > 0
+        AND ($1::text IS NULL OR i.location_id = $1)
+      GROUP BY i.location_id, b.medication_id
+    `, [locationId]),
+    getWeeklyUsageData(locationId, USAGE_WEEKS, queryFn),
+    getItemsPerBoxMap(queryFn),
+    // Last count per medication and location, from either a cycle count or an approved stock-take
+    queryFn(`
+      SELECT location_id, medication_id, MAX(counted_at) AS last_counted
+      FROM (
+        SELECT location_id, medication_id, completed_at AS counted_at
+        FROM cycle_count_tasks
+        WHERE status = 'completed'
+        UNION ALL
+        SELECT s.location_id, sl.medication_id, s.closed_at
+        FROM stock_take_lines sl
+        JOIN stock_takes s ON s.id = sl.stock_take_id
+        WHERE s.status = 'approved' AND sl.counted_qty IS NOT NULL
+      ) counts
+      GROUP BY location_id, medication_id
+    `),
+    queryFn(`SELECT location_id, medication_id FROM cycle_count_tasks WHERE status = 'pending'`)
+  ]);
+
+  const priceByMed = await getPricePerItemMap(queryFn, itemsPerBoxByMed);
+  // Unpriced medications are valued at the median price so they still rank by usage
+  const prices = Object.values(priceByMed).sort((a, b) => a - b);
+  const fallbackPrice = prices.length > 0 ? prices[Math.floor(prices.length / 2)] : 1;
+
+  const lastCounted = {};
+  for (const row of lastCountedResult.rows) {
+    lastCounted[`${row.medication_id}|${row.location_id}`] = row.last_counted;
+  }
+  const pending = new Set(pendingResult.rows.map(row => `${row.medication_id}|${row.location_id}`));
+
+  const byLocation = {};
+  for (const row of stockedResult.rows) {
+    const key = `${row.medication_id}|${row.location_id}`;
+    const usedItems = (usageByMedLoc[key] || []).reduce((sum, w) => sum + w.totalOut, 0);
+    const price = priceByMed[row.medication_id] != null ? priceByMed[row.medication_id] : fallbackPrice;
+    if (!byLocation[row.location_id]) byLocation[row.location_id] = [];
+    byLocation[row.location_id].push({
+      locationId: row.location_id,
+      medicationId: row.medication_id,
+      score: Math.round(usedItems * price * 100) / 100,
+      lastCounted: lastCounted[key] || null,
+      pending: pending.has(key)
+    });
+  }
+
+  const weekStartMs = Date.parse(`${weekStart}T00:00:00Z`);
+  const dueDate = new Date(weekStartMs + 6 * DAY_MS).toISOString().slice(0, 10);
+  const toCreate = [];
+  const plannedByLocation = {};
+
+  for (const [locId, items] of Object.entries(byLocation)) {
+    const due = assignAbcClasses(items)
+      .filter(item => !item.pending)
+      .filter(item => !item.lastCounted
+        || (weekStartMs - new Date(item.lastCounted).getTime()) / (7 * DAY_MS) >= COUNT_INTERVAL_WEEKS[item.abcClass] - 0.5)
+      // Never-counted first within a class, then the longest since last count
+      .sort((a, b) =>
+        CLASS_ORDER[a.abcClass] - CLASS_ORDER[b.abcClass]
+        || (a.lastCounted ? new Date(a.lastCounted).getTime() : 0) - (b.lastCounted ? new Date(b.lastCounted).getTime() : 0)
+        || b.score - a.score)
+      .slice(0, MAX_TASKS_PER_LOCATION);
+    toCreate.push(...due);
+    plannedByLocation[locId] = 0;
+  }
+
+  let created = 0;
+  if (toCreate.length > 0) {
+    const result = await queryFn(`
+      INSERT INTO cycle_count_tasks (location_id, medication_id, abc_class, usage_value, week_start, due_date)
+      SELECT loc, med, cls, val, $5::date, $6::date
+      FROM unnest($1::text[], $2::text[], $3::text[], $4::numeric[]) AS t(loc, med, cls, val)
+      ON CONFLICT (location_id, medication_id, week_start) DO NOTHING
+      RETURNING location_id
+    `, [
+      toCreate.map(t => t.locationId),
+      toCreate.map(t => t.medicationId),
+      toCreate.map(t => t.abcClass),
+      toCreate.map(t => t.score),
+      weekStart,
+      dueDate
+    ]);
+    created = result.rows.length;
+    for (const row of result.rows) plannedByLocation[row.location_id]++;
+  }
+
+  return { weekStart, dueDate, created, byLocation: plannedByLocation };
+}
+
+module.exports = {
+  USAGE_WEEKS,
+  CLASS_THRESHOLDS,
+  COUNT_INTERVAL_WEEKS,
+  MAX_TASKS_PER_LOCATION,
+  cycleCountReason,
+  weekStartOf,
+  assignAbcClasses,
+  planWeek
+};
@@ -59,12 +59,64 @@ function parseBody(event) {
   return JSON.parse(raw);
 }
 
+// ── Transactions ───────────────────────────────────────────────────
+
+// serialization_failure and deadlock_detected: safe to run the work again
+const RETRYABLE_CODES = ['40001', '40P01'];
+const MAX_TRANSACTION_ATTEMPTS = 3;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run `work(client)` inside BEGIN/COMMIT on a single checked-out client.
+ * pool.query may send each statement down a different connection, so every
+ * statement that belongs to the transaction must go through `client`.
+ *
+ * Resolves to whatever `work` returns. If it returns { error } (the same shape
+ * as requireUser/requireWitness) the transaction is rolled back instead of
+ * committed and the result is still returned, so handlers can bail out with a
+ * 4xx response after partial writes. Thrown errors roll back and rethrow;
+ * serialization failures and deadlocks are retried, so `work` must be safe to
+ * run more than once and must not write through the pool.
+ * `readOnly` with isolationLevel 'REPEATABLE READ' gives several reads one
+ * consistent snapshot.
+ */
+async function runTransaction(pool, work, { isolationLevel, readOnly = false } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const client = await pool.connect();
+    let discard = null;
+    try {
+      const modes = [isolationLevel && `ISOLATION LEVEL ${isolationLevel}`, readOnly && 'READ ONLY'].filter(Boolean);
+      await client.query(['BEGIN', ...modes].join(' '));
+      const result = await work(client);
+      await client.query(result && result.error ? 'ROLLBACK' : 'COMMIT');
+      return result;
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        // Connection is unusable — make the pool drop it rather than reuse it
+        discard = rollbackErr;
+      }
+      if (RETRYABLE_CODES.includes(err.code) && attempt < MAX_TRANSACTION_ATTEMPTS) {
+        console.warn(`Transaction retry ${attempt}/${MAX_TRANSACTION_ATTEMPTS - 1} after ${err.code}`);
+        await sleep(25 * attempt + Math.floor(Math.random() * 25));
+        continue;
+      }
+      throw err;
+    } finally {
+      client.release(discard || undefined);
+    }
+  }
+}
+
 /**
  * Returns a tenant-scoped db object with the same API surface.
  * Usage in handler:
  *   const tdb = db.forTenant(event);
  *   if (!tdb) return db.tenantNotFound();
  *   const result = await tdb.query('SELECT ...', [...]);
+ *   const outcome = await tdb.withTransaction(async (client) => { ... });
  */
 function forTenant(event) {
   const tenant = resolveTenant(event);
@@ -72,6 +124,7 @@ function forTenant(event) {
   const tenantPool = getPool(tenant);
   return {
     query: (text, params) => tenantPool.query(text, params),
+    withTransaction: (work, options) => runTransaction(tenantPool, work, options),
     pool: tenantPool,
     tenant,
     // Re-export all response helpers for convenience
@@ -87,6 +140,7 @@ function forTenant(event) {
 module.exports = {
   pool: defaultPool.pool,
   query: (text, params) => getPool(null).query(text, params),
+  withTransaction: (work, options) => runTransaction(getPool(null), work, options),
   json,
   ok,
   fail,
@@ -0,0 +1,147 @@
+// netlify/functions/_events.js
+// Live change events for events-stream.mjs (Server-Sent Events).
+// Handlers publish after their writes commit; open streams for the same tenant
+// pass the event on and the SPA pulls the actual data from changes-since.js.
+// Events are hints only — a stream that misses one catches up on reconnect.
+//
+// Brokers:
+//   postgres (default) — NOTIFY/LISTEN on the tenant's own database, so every
+//     function instance sees every event. LISTEN needs a session connection:
+//     set <dbEnvVar>_UNPOOLED to a direct (non-pgbouncer) URL if the main one
+//     goes through a pooler. Each function instance holds one such connection
+//     per database, shared by all of its open streams, not one per stream.
+//     Tenants without a database of their own share DATABASE_URL and so the
+//     channel; events carry the tenant slug and streams only pass on their own.
+//   local — in-process EventEmitter for `netlify dev` and single-process
+//     servers. The default under `netlify dev`; otherwise EVENT_BROKER=local.
+const { EventEmitter } = require('events');
+const { Client } = require('pg');
+
+const EVENT_TYPES = ['inventory', 'orders', 'draft-orders'];
+const CHANNEL = 'clinitrack_events';
+// NOTIFY payloads are limited to 8000 bytes
+const MAX_IDS_PER_EVENT = 100;
+// A LISTEN connection outlives its last stream by this long, so the SPA's
+// reconnect after each stream ends picks it up again instead of a new one
+const LISTENER_IDLE_SECONDS = 60;
+
+const localBroker = new EventEmitter();
+localBroker.setMaxListeners(0);
+
+const useLocalBroker = () => (process.env.EVENT_BROKER
+  ? process.env.EVENT_BROKER === 'local'
+  : process.env.NETLIFY_DEV === 'true');
+
+function listenUrl(tenant) {
+  return process.env[`${tenant.dbEnvVar}_UNPOOLED`]
+    || process.env[tenant.dbEnvVar]
+    || process.env.DATABASE_URL;
+}
+
+/**
+ * Publish a change event for the request's tenant. Never throws — a failed
+ * publish only delays other users' screens until their next sync.
+ * Usage (after commit):
+ *   await publish(tdb, 'inventory', { medicationIds: [medicationId] });
+ */
+async function publish(tdb, type, { medicationIds = [] } = {}) {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type: ${type}`);
+  const ids = [...new Set(medicationIds.filter(Boolean).map(String))];
+  const event = {
+    type,
+    tenant: tdb.tenant.slug,
+    // Too many ids for one payload: send none and let clients sync everything changed
+    medicationIds: ids.length > MAX_IDS_PER_EVENT ? [] : ids,
+    at: new Date().toISOString()
+  };
+
+  try {
+    if (useLocalBroker()) {
+      localBroker.emit(tdb.tenant.slug, event);
+    } else {
+      await tdb.query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify(event)]);
+    }
+  } catch (e) {
+    console.error('publish event error:', e);
+  }
+}
+
+// Open LISTEN connections in this function instance, by database URL:
+// { ready, subscribers: Set<{ slug, listener }>, idleTimer, close }
+const listeners = new Map();
+
+// The instance's LISTEN connection to `url`, opened on first use. Not taken
+// from the tenant pool: that is kept small and LISTEN holds its session.
+function sharedListener(url) {
+  const existing = listeners.get(url);
+  if (existing) return existing;
+
+  const client = new Client({ connectionString: url, ssl: true });
+  const shared = { subscribers: new Set(), idleTimer: null };
+  shared.close = () => {
+    clearTimeout(shared.idleTimer);
+    if (listeners.get(url) === shared) listeners.delete(url);
+    return client.end().catch(() => {});
+  };
+
+  client.on('notification', (msg) => {
+    let event;
+    try {
+      event = JSON.parse(msg.payload);
+    } catch (e) {
+      console.error('event payload error:', e);
+      return;
+    }
+    for (const { slug, listener } of shared.subscribers) {
+      if (event.tenant !== slug) continue;
+      try {
+        listener(event);
+      } catch (e) {
+        console.error('event listener error:', e);
+      }
+    }
+  });
+  // A dropped connection is not reused; streams pick up a new one when they reconnect
+  client.on('error', (e) => {
+    console.error('event listener connection error:', e);
+    shared.close();
+  });
+  client.on('end', () => {
+    if (listeners.get(url) === shared) listeners.delete(url);
+  });
+
+  shared.ready = client.connect()
+    .then(() => client.query(`LISTEN ${CHANNEL}`))
+    .catch(async (err) => {
+      await shared.close();
+      throw err;
+    });
+  listeners.set(url, shared);
+  return shared;
+}
+
+/**
+ * Call `listener(event)` for every event published for `tenant` until the
+ * returned unsubscribe() is awaited.
+ */
+async function subscribe(tenant, listener) {
+  if (useLocalBroker()) {
+    localBroker.on(tenant.slug, listener);
+    return async () => { localBroker.off(tenant.slug, listener); };
+  }
+
+  const shared = sharedListener(listenUrl(tenant));
+  await shared.ready;
+  clearTimeout(shared.idleTimer);
+  const subscriber = { slug: tenant.slug, listener };
+  shared.subscribers.add(subscriber);
+
+  return async () => {
+    shared.subscribers.delete(subscriber);
+    if (shared.subscribers.size > 0) return;
+    clearTimeout(shared.idleTimer);
+    shared.idleTimer = setTimeout(shared.close, LISTENER_IDLE_SECONDS * 1000);
+  };
+}
+
+module.exports = { EVENT_TYPES, publish, subscribe };
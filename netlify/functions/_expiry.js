@@ -0,0 +1,73 @@
+// netlify/functions/_expiry.js
+// Expiry alert horizons. Stored per tenant in intelligence_config under
+// 'expiry_horizons' as JSON: { "default": [30, 60, 90], "locations": { "<locationId>": [14, 30] } }.
+// A batch falls in the first horizon (days) its expiry is within; batches
+// already past expiry are reported separately as expired.
+
+const HORIZONS_CONFIG_KEY = 'expiry_horizons';
+const DEFAULT_HORIZONS = [30, 60, 90];
+const MAX_HORIZON_DAYS = 730;
+
+// Sorted, de-duplicated whole days, or null if the list is unusable
+function normaliseHorizonList(list) {
+  if (!Array.isArray(list) || list.length === 0) return null;
+  const days = [...new Set(list.map(Number))].sort((a, b) => a - b);
+  if (days.some(d => !Number.isInteger(d) || d < 1 || d > MAX_HORIZON_DAYS)) return null;
+  return days;
+}
+
+/**
+ * Validate a horizons value posted to intelligence-config.js.
+ * Returns { value } (normalised JSON string) or { error }.
+ */
+function validateHorizons(raw) {
+  let parsed;
+  try {
+    parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (_) {
+    return { error: 'Expiry horizons must be valid JSON' };
+  }
+  if (!parsed || typeof parsed !== 'object') return { error: 'Expiry horizons must be an object' };
+
+  const defaults = normaliseHorizonList(parsed.default);
+  if (!defaults) {
+    return { error: `Default horizons must be a list of whole days between 1 and ${MAX_HORIZON_DAYS}` };
+  }
+  const locations = {};
+  for (const [locationId, list] of Object.entries(parsed.locations || {})) {
+    const days = normaliseHorizonList(list);
+    if (!days) return { error: `Horizons for ${locationId} must be a list of whole days between 1 and ${MAX_HORIZON_DAYS}` };
+    locations[locationId] = days;
+  }
+  return { value: JSON.stringify({ default: defaults, locations }) };
+}
+
+// Stored horizons, falling back to DEFAULT_HORIZONS when unset or invalid
+async function getHorizons(queryFn) {
+  let stored = null;
+  try {
+    const result = await queryFn('SELECT value FROM intelligence_config WHERE key = $1', [HORIZONS_CONFIG_KEY]);
+    stored = result.rows[0] ? result.rows[0].value : null;
+  } catch (_) { /* table may not exist yet */ }
+
+  const { value } = stored ? validateHorizons(stored) : {};
+  return value ? JSON.parse(value) : { default: DEFAULT_HORIZONS, locations: {} };
+}
+
+const horizonsFor = (horizons, locationId) => horizons.locations[locationId] || horizons.default;
+
+// Horizon (days) a batch falls in, 'expired', or null when beyond every horizon
+function bucketFor(daysToExpiry, locationHorizons) {
+  if (daysToExpiry < 0) return 'expired';
+  const horizon = locationHorizons.find(h => daysToExpiry <= h);
+  return horizon === undefined ? null : horizon;
+}
+
+module.exports = {
+  HORIZONS_CONFIG_KEY,
+  DEFAULT_HORIZONS,
+  validateHorizons,
+  getHorizons,
+  horizonsFor,
+  bucketFor
+};
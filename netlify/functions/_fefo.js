@@ -0,0 +1,99 @@
+// netlify/functions/_fefo.js
+// First-expiry-first-out (FEFO) for stock leaving a location.
+// For medications with medications.fefo set, stock-adjust.js (dispensing)
+// and stock-transfer.js refuse to take a batch while an earlier-expiring,
+// in-date, non-quarantined batch of the same medication is on hand at that
+// location — unless the request carries fefoOverride: { reason, note }.
+// The override is stored on the outgoing transaction
+// (migrations/018_fefo_overrides.sql) and counted by fefo-override-report.js.
+const db = require('./_db');
+
+const FEFO_OVERRIDE_REQUIRED = 'FEFO_OVERRIDE_REQUIRED';
+const FEFO_OVERRIDE_INVALID = 'FEFO_OVERRIDE_INVALID';
+
+// transactions.fefo_override_reason
+const FEFO_OVERRIDE_REASONS = {
+  pack_size: 'Specific pack size needed',
+  patient_specific: 'Patient-specific or TTO supply',
+  brand_requested: 'Prescriber requested this brand',
+  earlier_batch_inaccessible: 'Earlier batch not accessible',
+  earlier_batch_damaged: 'Earlier batch damaged',
+  other: 'Other'
+};
+
+const dateOnly = (d) => (d ? new Date(d).toISOString().slice(0, 10) : null);
+
+/**
+ * Check a batch leaving `locationId` against FEFO, inside the movement's
+ * transaction. `override` is the request's fefoOverride, if any.
+ * Returns { override: null } when the batch is the right one to use (any
+ * override sent is then ignored); { override: { reason, note, skippedBatchId,
+ * skippedBatchCode } } when an earlier batch is passed over for a valid
+ * reason; or { error }: 409 FEFO_OVERRIDE_REQUIRED naming the earlier batch,
+ * or 400 FEFO_OVERRIDE_INVALID for a reason that is not on the list.
+ */
+async function checkFefo(client, { batchId, locationId, override }) {
+  const result = await client.query(
+    `SELECT
+       m.name AS medication_name,
+       b.expiry_date AS selected_expiry,
+       e.id, e.batch_code, e.brand, e.expiry_date, i.on_hand
+     FROM batches b
+     JOIN medications m ON m.id = b.medication_id
+     JOIN batches e ON e.medication_id = b.medication_id AND e.id <> b.id
+     JOIN inventory i ON i.batch_id = e.id AND i.location_id = $2 AND i.on_hand > 0
+     WHERE b.id = $1
+       AND m.fefo IS NOT FALSE
+       AND e.quarantined IS NOT TRUE
+       AND e.expiry_date >= CURRENT_DATE
+       AND e.expiry_date < b.expiry_date
+     ORDER BY e.expiry_date, e.id
+     LIMIT 1`,
+    [batchId, locationId]
+  );
+  const earlier = result.rows[0];
+  if (!earlier) return { override: null };
+
+  if (!override || !override.reason) {
+    const code = earlier.batch_code ? `batch ${earlier.batch_code}` : 'an earlier batch';
+    return {
+      error: db.fail(409, `${earlier.medication_name} has ${code} expiring ${dateOnly(earlier.expiry_date)} at this location. Use it first or give a reason for overriding FEFO.`, {
+        code: FEFO_OVERRIDE_REQUIRED,
+        medicationName: earlier.medication_name,
+        selectedExpiry: dateOnly(earlier.selected_expiry),
+        earlierBatch: {
+          id: earlier.id,
+          batchCode: earlier.batch_code || '',
+          brand: earlier.brand || '',
+          expiryDate: dateOnly(earlier.expiry_date),
+          onHand: earlier.on_hand
+        }
+      })
+    };
+  }
+
+  const note = String(override.note || '').trim() || null;
+  if (!FEFO_OVERRIDE_REASONS[override.reason]) {
+    return {
+      error: db.fail(400, `Invalid FEFO override reason. Must be one of: ${Object.keys(FEFO_OVERRIDE_REASONS).join(', ')}`, { code: FEFO_OVERRIDE_INVALID })
+    };
+  }
+  if (override.reason === 'other' && !note) {
+    return { error: db.fail(400, 'Describe why FEFO is being overridden.', { code: FEFO_OVERRIDE_INVALID }) };
+  }
+
+  return { override: { reason: override.reason, note, skippedBatchId: earlier.id, skippedBatchCode: earlier.batch_code || '' } };
+}
+
+// Activity log details for an override (spread into the movement's details)
+const overrideDetails = (override) => override
+  ? { fefoOverride: { reason: override.reason, note: override.note, skippedBatchCode: override.skippedBatchCode } }
+  : {};
+
+module.exports = {
+  FEFO_OVERRIDE_REQUIRED,
+  FEFO_OVERRIDE_INVALID,
+  FEFO_OVERRIDE_REASONS,
+  checkFefo,
+  overrideDetails
+};
@@ -0,0 +1,133 @@
+// netlify/functions/_idempotency.js
+// Replay protection for mutating requests.
+// A client sends "Idempotency-Key: <unique id>" with a POST. The first request
+// with that key runs and its response is stored; a repeat within
+// RETENTION_HOURS (a retry after a dropped connection, a double-tapped button)
+// gets the stored response back instead of moving stock twice.
+// withPermission() in _permissions.js applies this to every non-GET handler.
+// Keys are scoped to the signed-in user and the endpoint.
+const crypto = require('crypto');
+const db = require('./_db');
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const RETENTION_HOURS = 24;
+// A claim still without a response after this long belongs to a request whose
+// function timed out or was killed (the longest timeout in netlify.toml is
+// 60s); it is taken over rather than answering REQUEST_IN_PROGRESS until the
+// retention window ends, which would hold up the SPA's offline outbox.
+const IN_PROGRESS_LEASE_SECONDS = 90;
+const MAX_KEY_LENGTH = 200;
+
+function readKey(event) {
+  for (const [name, value] of Object.entries(event.headers || {})) {
+    if (name.toLowerCase() === IDEMPOTENCY_HEADER) return value ? String(value).trim() : null;
+  }
+  return null;
+}
+
+// Function name from /.netlify/functions/<name>
+const endpointOf = (event) => String(event.path || '').split('/').filter(Boolean).pop() || 'unknown';
+
+const hashBody = (event) => crypto.createHash('sha256').update(event.body || '').digest('hex');
+
+/**
+ * Run `run()` at most once per Idempotency-Key. Requests without the header
+ * run as normal. Server errors (5xx) and thrown errors release the key so the
+ * client can retry; every other response is stored and replayed. A claim left
+ * behind by a request that never finished lapses after
+ * IN_PROGRESS_LEASE_SECONDS.
+ * Usage (see withPermission):
+ *   return withIdempotency(event, tdb, user, () => handler(event, { tdb, user }));
+ */
+async function withIdempotency(event, tdb, user, run) {
+  const key = readKey(event);
+  if (!key) return run();
+  if (key.length > MAX_KEY_LENGTH) {
+    return db.fail(400, `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters.`, { code: 'IDEMPOTENCY_KEY_INVALID' });
+  }
+
+  const endpoint = endpointOf(event);
+  const requestHash = hashBody(event);
+  const params = [user.id, endpoint, key];
+
+  // Claim the key; a row past retention, or an abandoned claim past its lease, is taken over
+  let claimed;
+  try {
+    claimed = await tdb.query(
+      `INSERT INTO idempotency_keys (user_id, endpoint, idempotency_key, request_hash)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id, endpoint, idempotency_key) DO UPDATE
+         SET request_hash = EXCLUDED.request_hash, status_code = NULL, response_body = NULL, created_at = NOW()
+         WHERE idempotency_keys.created_at < NOW() - make_interval(hours => $5)
+            OR (idempotency_keys.status_code IS NULL
+                AND idempotency_keys.request_hash = EXCLUDED.request_hash
+                AND idempotency_keys.created_at < NOW() - make_interval(secs => $6))
+       RETURNING 1`,
+      [...params, requestHash, RETENTION_HOURS, IN_PROGRESS_LEASE_SECONDS]
+    );
+  } catch (e) {
+    // Table missing (migration 011 not run yet) — behave as before rather than block stock movements
+    console.error('Idempotency key claim failed:', e.message);
+    return run();
+  }
+
+  if (claimed.rowCount === 0) {
+    const existing = await tdb.query(
+      `SELECT request_hash, status_code, response_body FROM idempotency_keys
+       WHERE user_id = $1 AND endpoint = $2 AND idempotency_key = $3`,
+      params
+    );
+    const stored = existing.rows[0];
+    if (stored && stored.request_hash !== requestHash) {
+      return db.fail(422, 'This Idempotency-Key has already been used for a different request.', { code: 'IDEMPOTENCY_KEY_REUSED' });
+    }
+    if (!stored || stored.status_code === null) {
+      return db.fail(409, 'This request is already being processed. Please wait a moment.', { code: 'REQUEST_IN_PROGRESS' });
+    }
+    return {
+      statusCode: stored.status_code,
+      headers: { 'Idempotent-Replayed': 'true' },
+      body: stored.response_body
+    };
+  }
+
+  const release = () => tdb.query(
+    'DELETE FROM idempotency_keys WHERE user_id = $1 AND endpoint = $2 AND idempotency_key = $3',
+    params
+  ).catch(e => console.error('Idempotency key release failed:', e.message));
+
+  let response;
+  try {
+    response = await run();
+  } catch (e) {
+    await release();
+    throw e;
+  }
+
+  if (!response || response.statusCode >= 500) {
+    await release();
+  } else {
+    await tdb.query(
+      `UPDATE idempotency_keys SET status_code = $4, response_body = $5
+       WHERE user_id = $1 AND endpoint = $2 AND idempotency_key = $3`,
+      [...params, response.statusCode, response.body || '']
+    ).catch(e => console.error('Idempotency response save failed:', e.message));
+  }
+  return response;
+}
+
+// Removes keys past the retention window (idempotency-cleanup.js)
+async function purgeExpiredKeys(queryFn) {
+  const result = await queryFn(
+    'DELETE FROM idempotency_keys WHERE created_at < NOW() - make_interval(hours => $1)',
+    [RETENTION_HOURS]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  RETENTION_HOURS,
+  IN_PROGRESS_LEASE_SECONDS,
+  withIdempotency,
+  purgeExpiredKeys
+};
@@ -1,6 +1,7 @@
 // netlify/functions/_intelligence-core.js
 // Shared intelligence logic used by both intelligence-report.js and draft-orders-generate.js
 const db = require('./_db');
+const { NON_USAGE_MOVEMENT_TYPES } = require('./_movements');
 
 const PHARMACY_LOCATION_ID = 'pharmacy';
 const PHARMACY_BUFFER_MULTIPLIER = 1.5;
@@ -100,21 +101,19 @@ async function getStockLevels(locationId, queryFn) {
 
 /**
  * Get weekly transaction aggregates for usage analysis.
- * Only counts actual patient/clinical usage — excludes transfers, deliveries,
- * batch removals, and intelligence-recommended redistributions.
+ * Only counts actual patient/clinical usage — excludes transfers (including
+ * intelligence-recommended redistributions), deliveries, batch removals,
+ * waste and stock-take count corrections by movement type (_movements.js), and
+ * movements whose reason code has counts_as_usage = false (_reason-codes.js).
  */
 async function getWeeklyUsageData(locationId, weeksBack, queryFn) {
   const query = queryFn || db.query;
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - (weeksBack * 7));
 
-  // Exclude non-usage transactions by reason prefix
-  const usageFilter = `AND (t.reason IS NULL OR (
-          t.reason NOT LIKE 'Transfer%'
-          AND t.reason NOT LIKE 'Delivery%'
-          AND t.reason NOT LIKE 'Batch removed%'
-          AND t.reason NOT LIKE 'Intelligence-recommended%'
-        ))`;
+  const usageFilter = `AND t.movement_type NOT IN (${NON_USAGE_MOVEMENT_TYPES.map(type => `'${type}'`).join(', ')})
+         AND (t.reason_code_id IS NULL
+              OR t.reason_code_id NOT IN (SELECT id FROM reason_codes WHERE counts_as_usage = false))`;
 
   const txQuery = locationId
     ? `SELECT
@@ -179,6 +178,26 @@ async function getItemsPerBoxMap(queryFn) {
   return itemsPerBoxByMed;
 }
 
+/**
+ * Get the price of one item for each priced medication: the preferred
+ * supplier's unit_price (else the cheapest), which is per box, divided by
+ * items_per_box from getItemsPerBoxMap()
+ */
+async function getPricePerItemMap(queryFn, itemsPerBoxByMed) {
+  const query = queryFn || db.query;
+  const result = await query(`
+    SELECT DISTINCT ON (medication_id) medication_id, unit_price
+    FROM medication_suppliers
+    WHERE unit_price IS NOT NULL AND unit_price > 0
+    ORDER BY medication_id, is_preferred DESC, unit_price
+  `);
+  const priceByMed = {};
+  for (const row of result.rows) {
+    priceByMed[row.medication_id] = Number(row.unit_price) / (itemsPerBoxByMed[row.medication_id] || 1);
+  }
+  return priceByMed;
+}
+
 /**
  * Calculate trend from weekly usage data using linear regression
  * Returns { usageTrend, slope }
@@ -371,7 +390,9 @@ function analyzeMedication(row, weeklyUsage, itemsPerBox) {
 }
 
 /**
- * Get batch-level inventory with expiry dates for FEFO redistribution
+ * Get batch-level inventory with expiry dates for FEFO redistribution.
+ * Quarantined (recalled) and expired batches are never picked — stock-transfer.js
+ * would refuse to move them (_inventory.js checkExpired).
  */
 async function getBatchInventory(queryFn) {
   const query = queryFn || db.query;
@@ -385,7 +406,8 @@ async function getBatchInventory(queryFn) {
     JOIN batches b ON b.id = i.batch_id
     JOIN locations l ON l.id = i.location_id
     JOIN medications m ON m.id = b.medication_id
-    WHERE m.is_active = true AND i.on_hand > 0
+    WHERE m.is_active = true AND i.on_hand > 0 AND b.quarantined = false
+      AND (b.expiry_date IS NULL OR b.expiry_date >= CURRENT_DATE)
       AND l.display_name NOT IN (SELECT DISTINCT group_name FROM locations WHERE group_name IS NOT NULL)
     ORDER BY b.medication_id, i.location_id, b.expiry_date ASC NULLS LAST
   `);
@@ -754,6 +776,7 @@ module.exports = {
   getStockLevels,
   getWeeklyUsageData,
   getItemsPerBoxMap,
+  getPricePerItemMap,
   calculateTrend,
   analyzeMedication,
   getBatchInventory,
@@ -0,0 +1,123 @@
+// netlify/functions/_inventory.js
+// Row-locked stock movements.
+// Handlers that take stock out lock the inventory rows they touch inside
+// tdb.withTransaction before checking the level, so two users issuing the
+// last box at the same moment are serialised: the second one sees the first
+// one's result and gets a 409 STOCK_CHANGED instead of taking the level below
+// zero. Migration 010 adds CHECK (on_hand >= 0) as the backstop.
+// Quarantined batches do not move at all; expired ones only leave as waste
+// or a batch removal unless a pharmacist overrides.
+const db = require('./_db');
+const { can, forbidden } = require('./_permissions');
+
+const STOCK_CHANGED = 'STOCK_CHANGED';
+const BATCH_QUARANTINED = 'BATCH_QUARANTINED';
+const BATCH_EXPIRED = 'BATCH_EXPIRED';
+// Movement types expired stock may leave by: destroyed, or removed from
+// stock (returned to the supplier, disposed of)
+const EXPIRED_STOCK_EXITS = ['waste', 'removal'];
+const NON_NEGATIVE_CONSTRAINT = 'inventory_on_hand_non_negative';
+
+/**
+ * Lock the inventory rows for `batchId` at each of `locationIds` (SELECT ...
+ * FOR UPDATE on the transaction's client). Rows are locked in location id
+ * order so transfers running in opposite directions cannot deadlock.
+ * Returns { [locationId]: onHand }; locations with no row are left out.
+ */
+async function lockInventory(client, batchId, locationIds) {
+  const result = await client.query(
+    `SELECT location_id, on_hand FROM inventory
+     WHERE batch_id = $1 AND location_id = ANY($2::text[])
+     ORDER BY location_id
+     FOR UPDATE`,
+    [batchId, locationIds.map(String)]
+  );
+  const onHand = {};
+  for (const row of result.rows) onHand[row.location_id] = row.on_hand;
+  return onHand;
+}
+
+/**
+ * Read the batch being moved ({ id, medication_id, batch_code, quarantined,
+ * recall_id, expiry_date, expired }, or null) with a share lock, so a recall
+ * quarantining it (recall-create.js) and the movement cannot interleave.
+ */
+async function lockBatch(client, batchId) {
+  const result = await client.query(
+    `SELECT id, medication_id, batch_code, quarantined, recall_id,
+            expiry_date, COALESCE(expiry_date < CURRENT_DATE, false) AS expired
+     FROM batches
+     WHERE id = $1
+     FOR SHARE`,
+    [batchId]
+  );
+  return result.rows[0] || null;
+}
+
+// 409 for a movement of a batch under recall; only recall-record.js moves it
+function batchQuarantined(batch) {
+  const code = batch.batch_code ? `Batch ${batch.batch_code}` : 'This batch';
+  return db.fail(409, `${code} is quarantined under recall #${batch.recall_id} and cannot be used or moved. Record it on the recall's pull list instead.`, {
+    code: BATCH_QUARANTINED,
+    recallId: batch.recall_id
+  });
+}
+
+/**
+ * Check an outbound `movementType` of `batch` (from lockBatch) against its
+ * expiry. Expired stock can always go as waste or a removal; anything else
+ * needs `override` (the request's expiredOverride: { reason }) from a user
+ * with overrideExpiredStock. Returns { override: null } for in-date stock or
+ * an exempt movement, { override: { reason } } when overridden, or { error }:
+ * 409 BATCH_EXPIRED (with canOverride for the SPA) or 403.
+ */
+function checkExpired(batch, movementType, user, override) {
+  if (!batch.expired || EXPIRED_STOCK_EXITS.includes(movementType)) return { override: null };
+
+  const reason = String((override && override.reason) || '').trim();
+  const canOverride = can(user.role, 'overrideExpiredStock');
+  if (!reason) {
+    const code = batch.batch_code ? `Batch ${batch.batch_code}` : 'This batch';
+    const expiryDate = new Date(batch.expiry_date).toISOString().slice(0, 10);
+    return {
+      error: db.fail(409, `${code} expired on ${expiryDate} and cannot be dispensed or transferred. Record it as waste or remove the batch${canOverride ? ', or give a reason to override' : ''}.`, {
+        code: BATCH_EXPIRED,
+        batchCode: batch.batch_code || '',
+        expiryDate,
+        canOverride
+      })
+    };
+  }
+  if (!canOverride) return { error: forbidden(user, 'overrideExpiredStock') };
+  return { override: { reason } };
+}
+
+// 409 for a movement that no longer fits the stock actually on the shelf
+function stockChanged({ onHand, requested, locationName } = {}) {
+  const where = locationName ? ` at ${locationName}` : '';
+  const message = onHand === undefined
+    ? `Stock levels changed while you were working. Refresh and try again.`
+    : `Stock levels changed while you were working: only ${onHand} left${where}. Refresh and try again.`;
+  return db.fail(409, message, {
+    code: STOCK_CHANGED,
+    ...(onHand !== undefined && { onHand }),
+    ...(requested !== undefined && { requested })
+  });
+}
+
+// The CHECK constraint fired — a write slipped past the locks
+const isNegativeStockError = (err) =>
+  !!err && err.code === '23514' && err.constraint === NON_NEGATIVE_CONSTRAINT;
+
+module.exports = {
+  STOCK_CHANGED,
+  BATCH_QUARANTINED,
+  BATCH_EXPIRED,
+  EXPIRED_STOCK_EXITS,
+  lockBatch,
+  batchQuarantined,
+  checkExpired,
+  lockInventory,
+  stockChanged,
+  isNegativeStockError
+};
@@ -0,0 +1,196 @@
+// netlify/functions/_login-guard.js
+// Brute-force protection shared by login.js and verify.js.
+// Failed password checks are recorded in login_attempts (migrations/004).
+// Within a rolling window, each failure for a username slows the next
+// response down; reaching the threshold locks the username until the window
+// after its last failure has passed, or until an administrator unlocks it
+// (users-unlock.js). A separate, higher threshold applies per client IP so
+// one machine cannot walk through many usernames.
+// Each attempt is recorded as a failure before its password is checked, and
+// the count and insert happen under a lock, so attempts sent in parallel
+// queue up and each sees the ones before it: they cannot all get in under
+// the threshold. A correct password turns the attempt into a success.
+const { logActivity } = require('./_activity-log');
+
+const WINDOW_MINUTES = 15;
+const USERNAME_LOCK_THRESHOLD = 5;
+const IP_LOCK_THRESHOLD = 20;
+// Delay grows 0.5s, 1s, 2s... after the first failure, capped well inside the function timeout
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 4000;
+
+const normaliseUsername = (username) => String(username || '').trim().toLowerCase();
+
+// Netlify sets x-nf-client-connection-ip; x-forwarded-for is the fallback for netlify dev
+function clientIp(event) {
+  const headers = event.headers || {};
+  const forwarded = headers['x-forwarded-for'] || headers['X-Forwarded-For'] || '';
+  return headers['x-nf-client-connection-ip']
+    || headers['client-ip']
+    || forwarded.split(',')[0].trim()
+    || null;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function delayFor(failures) {
+  if (failures <= 0) return 0;
+  return Math.min(BASE_DELAY_MS * Math.pow(2, failures - 1), MAX_DELAY_MS);
+}
+
+async function recentFailures(queryFn, username, ip) {
+  const result = await queryFn(
+    `SELECT
+       COUNT(*) FILTER (WHERE username = $1 AND cleared = false)::int AS username_failures,
+       MAX(attempted_at) FILTER (WHERE username = $1 AND cleared = false) AS username_last_failure,
+       COUNT(*) FILTER (WHERE ip_address = $2)::int AS ip_failures,
+       MAX(attempted_at) FILTER (WHERE ip_address = $2) AS ip_last_failure
+     FROM login_attempts
+     WHERE succeeded = false
+       AND attempted_at > NOW() - ($3 || ' minutes')::interval
+       AND (username = $1 OR ip_address = $2)`,
+    [username, ip, String(WINDOW_MINUTES)]
+  );
+  return result.rows[0];
+}
+
+const isUsernameLocked = (counts) => counts.username_failures >= USERNAME_LOCK_THRESHOLD;
+const isIpLocked = (counts, ip) => !!ip && counts.ip_failures >= IP_LOCK_THRESHOLD;
+
+/**
+ * Count the failures before this attempt and, unless already locked out,
+ * record the attempt as a failure, holding advisory locks on the username and
+ * the IP for the duration. Returns { counts, attemptId } (attemptId is null
+ * when locked out, and nothing was recorded).
+ */
+async function claimAttempt(tdb, username, ip) {
+  return tdb.withTransaction(async (client) => {
+    const query = (text, params) => client.query(text, params);
+    // Username before IP in every request, so two requests cannot wait on each other
+    await query('SELECT pg_advisory_xact_lock(hashtext($1))', [`login-username:${username}`]);
+    if (ip) await query('SELECT pg_advisory_xact_lock(hashtext($1))', [`login-ip:${ip}`]);
+
+    const counts = await recentFailures(query, username, ip);
+    if (isUsernameLocked(counts) || isIpLocked(counts, ip)) return { counts, attemptId: null };
+
+    const inserted = await query(
+      'INSERT INTO login_attempts (username, ip_address, succeeded) VALUES ($1, $2, false) RETURNING id',
+      [username, ip]
+    );
+    return { counts, attemptId: inserted.rows[0].id };
+  });
+}
+
+const unlockAt = (lastFailure) => new Date(new Date(lastFailure).getTime() + WINDOW_MINUTES * 60 * 1000);
+
+function lockedResponse(tdb, message, until) {
+  const retryAfter = Math.max(1, Math.ceil((until.getTime() - Date.now()) / 1000));
+  return tdb.fail(429, message, { code: 'ACCOUNT_LOCKED', retryAfter, lockedUntil: until.toISOString() });
+}
+
+/**
+ * Call before checking a password. Returns a 429 response if the username
+ * or IP is locked out, otherwise records the attempt, waits out the
+ * progressive delay and returns a guard object whose failed()/succeeded()
+ * settle the outcome.
+ * Usage in handler:
+ *   const guard = await loginGuard.begin(event, tdb, username, 'login');
+ *   if (guard.locked) return guard.locked;
+ *   ...
+ *   if (!passwordMatch) return guard.failed(user, 'bad_password');
+ *   await guard.succeeded();
+ */
+async function begin(event, tdb, rawUsername, source) {
+  const username = normaliseUsername(rawUsername);
+  const ip = clientIp(event);
+  const { counts, attemptId } = await claimAttempt(tdb, username, ip);
+
+  if (isUsernameLocked(counts)) {
+    return {
+      locked: lockedResponse(tdb, 'Too many failed attempts. This account is temporarily locked.', unlockAt(counts.username_last_failure))
+    };
+  }
+  if (isIpLocked(counts, ip)) {
+    return {
+      locked: lockedResponse(tdb, 'Too many failed attempts from this device. Please try again later.', unlockAt(counts.ip_last_failure))
+    };
+  }
+
+  await sleep(delayFor(counts.username_failures));
+
+  return {
+    locked: null,
+
+    // The attempt is already recorded as a failure; logs it and returns the
+    // 401 (or 429 if this failure triggered the lock)
+    async failed(user, reason) {
+      const failures = counts.username_failures + 1;
+
+      await logActivity({
+        userId: user ? user.id : null,
+        actionType: 'login_failed',
+        entityType: 'user',
+        entityId: user ? user.id : null,
+        details: { username: rawUsername, ipAddress: ip, reason, failedAttempts: failures, source },
+        queryFn: tdb.query
+      });
+
+      if (failures >= USERNAME_LOCK_THRESHOLD) {
+        const until = unlockAt(new Date());
+        await logActivity({
+          userId: user ? user.id : null,
+          actionType: 'account_locked',
+          entityType: 'user',
+          entityId: user ? user.id : null,
+          details: { username: rawUsername, ipAddress: ip, failedAttempts: failures, lockedUntil: until.toISOString() },
+          queryFn: tdb.query
+        });
+        return lockedResponse(tdb, 'Too many failed attempts. This account is temporarily locked.', until);
+      }
+
+      return tdb.fail(401, 'Invalid credentials.', {
+        attemptsRemaining: USERNAME_LOCK_THRESHOLD - failures
+      });
+    },
+
+    async succeeded() {
+      await tdb.query('UPDATE login_attempts SET succeeded = true WHERE id = $1', [attemptId]);
+      await clearFailures(tdb.query, username);
+    }
+  };
+}
+
+async function clearFailures(queryFn, rawUsername) {
+  const result = await queryFn(
+    'UPDATE login_attempts SET cleared = true WHERE username = $1 AND succeeded = false AND cleared = false',
+    [normaliseUsername(rawUsername)]
+  );
+  return result.rowCount;
+}
+
+// Map of lower-cased username -> Date the lock expires, for usernames currently locked
+async function lockedUsernames(queryFn) {
+  const result = await queryFn(
+    `SELECT username, MAX(attempted_at) AS last_failure
+     FROM login_attempts
+     WHERE succeeded = false AND cleared = false
+       AND attempted_at > NOW() - ($1 || ' minutes')::interval
+     GROUP BY username
+     HAVING COUNT(*) >= $2`,
+    [String(WINDOW_MINUTES), USERNAME_LOCK_THRESHOLD]
+  );
+  const locked = {};
+  for (const row of result.rows) locked[row.username] = unlockAt(row.last_failure);
+  return locked;
+}
+
+module.exports = {
+  WINDOW_MINUTES,
+  USERNAME_LOCK_THRESHOLD,
+  IP_LOCK_THRESHOLD,
+  normaliseUsername,
+  clientIp,
+  begin,
+  clearFailures,
+  lockedUsernames
+};
@@ -0,0 +1,66 @@
+// netlify/functions/_movements.js
+// Movement types for transactions.movement_type (migrations/013_movement_types.sql).
+// Every handler that writes a transaction row sets one, so reports never have
+// to guess what a movement was from its free-text reason.
+const db = require('./_db');
+
+const MOVEMENT_TYPES = [
+  'dispense',
+  'transfer_out',
+  'transfer_in',
+  'delivery',
+  'removal',
+  'stock_take',
+  'return',
+  'waste',
+  'adjustment'
+];
+
+// Movements that are not consumption at the location — intelligence usage
+// (getWeeklyUsageData) leaves them out. Waste (the waste register,
+// waste-record.js) is stock lost, not demand to reorder for.
+const NON_USAGE_MOVEMENT_TYPES = ['transfer_out', 'transfer_in', 'delivery', 'removal', 'stock_take', 'waste'];
+
+// What stock-adjust.js accepts, with the direction each one must move stock.
+// Transfers and stock-takes have their own endpoints.
+const ADJUSTMENT_DIRECTIONS = {
+  dispense: 'out',
+  removal: 'out',
+  waste: 'out',
+  delivery: 'in',
+  return: 'in',
+  adjustment: 'either'
+};
+
+/**
+ * Movement type for a stock-adjust request. An explicit `movementType` is
+ * checked against the direction of `delta`; without one the type is inferred
+ * the way older clients described movements.
+ * Returns { movementType } or { error } (a 400 response).
+ */
+function adjustmentMovementType({ movementType, delta, reason }) {
+  if (movementType == null || movementType === '') {
+    if (String(reason || '').startsWith('Batch removed')) return { movementType: 'removal' };
+    return { movementType: delta < 0 ? 'dispense' : 'adjustment' };
+  }
+
+  const direction = ADJUSTMENT_DIRECTIONS[movementType];
+  if (!direction) {
+    return {
+      error: db.fail(400, `Invalid movementType. Must be one of: ${Object.keys(ADJUSTMENT_DIRECTIONS).join(', ')}`)
+    };
+  }
+  if ((direction === 'out' && delta > 0) || (direction === 'in' && delta < 0)) {
+    return {
+      error: db.fail(400, `A ${movementType} must ${direction === 'out' ? 'remove' : 'add'} stock.`)
+    };
+  }
+  return { movementType };
+}
+
+module.exports = {
+  MOVEMENT_TYPES,
+  NON_USAGE_MOVEMENT_TYPES,
+  ADJUSTMENT_DIRECTIONS,
+  adjustmentMovementType
+};
@@ -0,0 +1,112 @@
+// netlify/functions/_password-policy.js
+// Server-side password policy: strength rules, reuse history and expiry.
+// Defaults below can be overridden per tenant with a `passwordPolicy` entry
+// in _tenants.js. Every function that sets a password goes through
+// setPassword() so the history and password_changed_at stay in step.
+const bcrypt = require('bcryptjs');
+
+// Same cost factor as the seeded accounts (migrations/001, seed-demo-data.js)
+const BCRYPT_ROUNDS = 10;
+
+const DEFAULT_POLICY = {
+  minLength: 10,
+  // How many of: lowercase, uppercase, digit, symbol
+  minCharacterClasses: 3,
+  // New password may not match the current one or the last N-1 before it
+  historyCount: 5,
+  // 0 disables expiry
+  expiryDays: 90
+};
+
+const policyFor = (tenant) => ({ ...DEFAULT_POLICY, ...((tenant && tenant.passwordPolicy) || {}) });
+
+// Plain-language summary for the SPA's password hint
+function describePolicy(policy) {
+  let text = `At least ${policy.minLength} characters`;
+  if (policy.minCharacterClasses > 1) {
+    text += `, using ${policy.minCharacterClasses} of: lowercase, uppercase, numbers, symbols`;
+  }
+  text += '.';
+  if (policy.historyCount > 0) text += ` Must not match your last ${policy.historyCount} passwords.`;
+  return text;
+}
+
+// Returns an error message, or null if the password meets the length and complexity rules
+function checkStrength(password, policy, username) {
+  if (!password || typeof password !== 'string') return 'Password is required.';
+  if (password.length < policy.minLength) {
+    return `Password must be at least ${policy.minLength} characters long.`;
+  }
+  const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/].filter(re => re.test(password)).length;
+  if (classes < policy.minCharacterClasses) {
+    return `Password must contain at least ${policy.minCharacterClasses} of: lowercase letters, uppercase letters, numbers, symbols.`;
+  }
+  if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    return 'Password must not contain your username.';
+  }
+  return null;
+}
+
+// Returns an error message if the password matches the current or a recent previous one
+async function checkHistory(userId, password, policy, queryFn) {
+  if (!policy.historyCount) return null;
+  const result = await queryFn(
+    `SELECT password_hash FROM users WHERE id = $1
+     UNION ALL
+     (SELECT password_hash FROM password_history
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2)`,
+    [userId, Math.max(policy.historyCount - 1, 0)]
+  );
+  for (const row of result.rows) {
+    if (row.password_hash && await bcrypt.compare(password, row.password_hash)) {
+      return `Password must not match any of your last ${policy.historyCount} passwords.`;
+    }
+  }
+  return null;
+}
+
+// True when the tenant's expiry period has passed since the password was last set
+function isExpired(user, policy) {
+  if (!policy.expiryDays || !user.password_changed_at) return false;
+  const ageMs = Date.now() - new Date(user.password_changed_at).getTime();
+  return ageMs > policy.expiryDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Hash and store a new password for an existing user, moving the old hash
+ * into password_history. mustChange marks the password as temporary (set by
+ * an administrator), so the next login is restricted until the user picks
+ * their own. Both writes share one transaction, so the history never holds
+ * a hash the user still has, or misses one they had.
+ */
+async function setPassword(userId, password, { mustChange }, tdb) {
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  return tdb.withTransaction(async (client) => {
+    await client.query(
+      `INSERT INTO password_history (user_id, password_hash)
+       SELECT id, password_hash FROM users WHERE id = $1 AND password_hash IS NOT NULL`,
+      [userId]
+    );
+    const result = await client.query(
+      `UPDATE users
+       SET password_hash = $1, password_changed_at = NOW(), must_change_password = $2
+       WHERE id = $3
+       RETURNING id, username, full_name`,
+      [passwordHash, !!mustChange, userId]
+    );
+    return result.rows[0] || null;
+  });
+}
+
+module.exports = {
+  BCRYPT_ROUNDS,
+  DEFAULT_POLICY,
+  policyFor,
+  describePolicy,
+  checkStrength,
+  checkHistory,
+  isExpired,
+  setPassword
+};
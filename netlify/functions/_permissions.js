@@ -0,0 +1,130 @@
+// netlify/functions/_permissions.js
+// Declarative role permissions — the single source of truth for who may do what.
+// Function handlers are wrapped with withPermission(); the SPA fetches the same
+// table from permissions.js to decide which tabs and buttons to show.
+const db = require('./_db');
+const auth = require('./_auth');
+const { withIdempotency } = require('./_idempotency');
+
+const ROLES = ['Administrator', 'Pharmacist', 'Stock Manager', 'Stock User', 'Basic User'];
+
+const ALL_ROLES = ROLES;
+const STOCK_ROLES = ['Administrator', 'Pharmacist', 'Stock Manager', 'Stock User'];
+const MANAGER_ROLES = ['Administrator', 'Pharmacist', 'Stock Manager'];
+const PHARMACY_ROLES = ['Administrator', 'Pharmacist'];
+const ADMIN_ROLES = ['Administrator'];
+
+// Tabs in the SPA (canAccessTab)
+const TABS = {
+  medications:    ALL_ROLES,
+  transactions:   MANAGER_ROLES,  // Activity Log
+  lowstock:       STOCK_ROLES,    // Intelligent Stock
+  newmedication:  STOCK_ROLES,
+  purchaseorders: PHARMACY_ROLES,
+  meddatabase:    ADMIN_ROLES,
+  cdregister:     MANAGER_ROLES,  // Controlled drug register
+  stocktake:      STOCK_ROLES,
+  recalls:        STOCK_ROLES,    // Batch recalls and quarantine
+  waste:          STOCK_ROLES,    // Waste and destruction register
+  users:          ADMIN_ROLES
+};
+
+// Features (hasAccessTo). Each function handler is gated on one of these per
+// HTTP method; `description` completes the sentence "... to <description>"
+// in the 403 message.
+const FEATURES = {
+  viewStock:          { roles: ALL_ROLES,      description: 'view stock' },
+  transferStock:      { roles: ALL_ROLES,      description: 'transfer stock between locations' },
+  logActivity:        { roles: ALL_ROLES,      description: 'record activity' },
+  adjustStock:        { roles: STOCK_ROLES,    description: 'adjust stock levels' },
+  receiveStock:       { roles: STOCK_ROLES,    description: 'receive deliveries' },
+  placeOrders:        { roles: STOCK_ROLES,    description: 'place orders' },
+  editMedications:    { roles: STOCK_ROLES,    description: 'add or edit medications' },
+  editMinLevels:      { roles: STOCK_ROLES,    description: 'change minimum stock levels' },
+  witnessControlledDrugs: { roles: STOCK_ROLES, description: 'witness controlled drug movements' },
+  stockTake:          { roles: STOCK_ROLES,    description: 'carry out stock-takes' },
+  intelligentStock:   { roles: STOCK_ROLES,    description: 'use Intelligent Stock' },
+  expiryReport:       { roles: STOCK_ROLES,    description: 'view the expiry report' },
+  recordWaste:        { roles: STOCK_ROLES,    description: 'record wasted or destroyed stock' },
+  activityLog:        { roles: MANAGER_ROLES,  description: 'view the activity log' },
+  exportSimpleReport: { roles: MANAGER_ROLES,  description: 'export reports' },
+  controlledDrugRegister: { roles: MANAGER_ROLES, description: 'view the controlled drug register' },
+  wasteReport:        { roles: MANAGER_ROLES,  description: 'view the waste register' },
+  fefoOverrideReport: { roles: MANAGER_ROLES,  description: 'view the FEFO override report' },
+  approveStockTake:   { roles: MANAGER_ROLES,  description: 'approve stock-take variances' },
+  planCycleCounts:    { roles: MANAGER_ROLES,  description: 'plan and assign cycle counts' },
+  pullRecalledStock:  { roles: STOCK_ROLES,    description: 'record recalled stock returned or destroyed' },
+  deleteMedications:  { roles: PHARMACY_ROLES, description: 'delete medications' },
+  purchaseOrders:     { roles: PHARMACY_ROLES, description: 'manage purchase orders' },
+  manageSuppliers:    { roles: PHARMACY_ROLES, description: 'manage suppliers' },
+  intelligenceConfig: { roles: PHARMACY_ROLES, description: 'change intelligence settings' },
+  manageControlledDrugs: { roles: PHARMACY_ROLES, description: 'change controlled drug status' },
+  manageRecalls:      { roles: PHARMACY_ROLES, description: 'open, close and cancel batch recalls' },
+  overrideExpiredStock: { roles: PHARMACY_ROLES, description: 'dispense or transfer expired stock' },
+  manageUsers:        { roles: ADMIN_ROLES,    description: 'manage user accounts' },
+  manageReasonCodes:  { roles: ADMIN_ROLES,    description: 'manage reason codes' },
+  systemAdmin:        { roles: ADMIN_ROLES,    description: 'run system maintenance' }
+};
+
+// Roles are compared case-insensitively — older rows were entered by hand
+const normaliseRole = (role) => String(role || '').trim().toLowerCase();
+const roleIn = (role, roles) => roles.some(r => normaliseRole(r) === normaliseRole(role));
+
+function can(role, feature) {
+  const entry = FEATURES[feature];
+  return !!entry && roleIn(role, entry.roles);
+}
+
+// Returns a 403 response if the user's role lacks `feature`, otherwise null
+function forbidden(user, feature) {
+  if (can(user.role, feature)) return null;
+  const entry = FEATURES[feature];
+  const action = entry ? entry.description : feature;
+  return db.fail(403, `Your role (${user.role || 'none'}) does not have permission to ${action}.`, {
+    code: 'FORBIDDEN',
+    permission: feature
+  });
+}
+
+/**
+ * Wrap a function handler so it only runs for a signed-in user whose role
+ * grants the feature mapped to the request's HTTP method. Methods missing
+ * from the map get 405. Non-GET requests honour an Idempotency-Key header.
+ * Usage:
+ *   exports.handler = withPermission({ POST: 'adjustStock' }, async (event, { tdb, user }) => { ... });
+ */
+function withPermission(methodFeatures, handler) {
+  return async (event) => {
+    const feature = methodFeatures[event.httpMethod];
+    if (!feature) return db.methodNotAllowed();
+
+    try {
+      const tdb = db.forTenant(event);
+      if (!tdb) return db.tenantNotFound();
+
+      const { user, error } = await auth.requireUser(event, tdb);
+      if (error) return error;
+
+      const denied = forbidden(user, feature);
+      if (denied) return denied;
+
+      // Awaited so a rejected handler still lands in the catch below.
+      // Mutating requests may carry an Idempotency-Key (_idempotency.js)
+      if (event.httpMethod === 'GET') return await handler(event, { tdb, user });
+      return await withIdempotency(event, tdb, user, () => handler(event, { tdb, user }));
+    } catch (e) {
+      return db.serverError('permission check', e);
+    }
+  };
+}
+
+// Shape served to the SPA: { roles, tabs: { tab: [roles] }, features: { feature: [roles] } }
+function permissionTable() {
+  const features = {};
+  for (const [name, entry] of Object.entries(FEATURES)) {
+    features[name] = entry.roles;
+  }
+  return { roles: ROLES, tabs: TABS, features };
+}
+
+module.exports = { ROLES, TABS, FEATURES, can, forbidden, withPermission, permissionTable };
@@ -0,0 +1,67 @@
+// netlify/functions/_reason-codes.js
+// Stock-out reason codes (migrations/014_reason_codes.sql): the master data
+// behind the SPA's usage dropdowns, stock-adjust validation and the
+// intelligence usage filter. Edited through reason-codes-upsert.js.
+const { ADJUSTMENT_DIRECTIONS } = require('./_movements');
+
+const REASON_CODE_COLUMNS = `id, code, label, movement_type, location_groups, counts_as_usage,
+  requires_note, requires_witness, sort_order, is_active, created_at, updated_at`;
+
+// Reason codes describe stock going out, so only movement types that can remove stock
+const REASON_MOVEMENT_TYPES = Object.keys(ADJUSTMENT_DIRECTIONS)
+  .filter(type => ADJUSTMENT_DIRECTIONS[type] !== 'in');
+
+const mapReasonCode = (row) => ({
+  id: row.id,
+  code: row.code,
+  label: row.label,
+  movementType: row.movement_type,
+  // null = fallback list, [] = every location (see the migration)
+  locationGroups: row.location_groups,
+  countsAsUsage: row.counts_as_usage,
+  requiresNote: row.requires_note,
+  requiresWitness: row.requires_witness,
+  sortOrder: row.sort_order,
+  isActive: row.is_active,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Lowercase slug, the same shape as the seeded codes ('prn-use')
+const normaliseCode = (code) => String(code || '').trim().toLowerCase().replace(/[^a-z0-9_-]/g, '-');
+
+// Returns an error message, or null if `locationGroups` is null or an array of names
+function validateLocationGroups(locationGroups) {
+  if (locationGroups === null) return null;
+  if (!Array.isArray(locationGroups) || locationGroups.some(g => typeof g !== 'string' || !g.trim())) {
+    return 'locationGroups must be null (fallback) or an array of location group or location names';
+  }
+  return null;
+}
+
+// Returns an error message, or null if the movement type can be used for a stock-out reason
+function validateMovementType(movementType) {
+  if (!REASON_MOVEMENT_TYPES.includes(movementType)) {
+    return `Invalid movementType. Must be one of: ${REASON_MOVEMENT_TYPES.join(', ')}`;
+  }
+  return null;
+}
+
+// Active reason code row for `code`, or null
+async function findActiveReasonCode(code, queryFn) {
+  const result = await queryFn(
+    `SELECT ${REASON_CODE_COLUMNS} FROM reason_codes WHERE code = $1 AND is_active = true`,
+    [normaliseCode(code)]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  REASON_CODE_COLUMNS,
+  REASON_MOVEMENT_TYPES,
+  mapReasonCode,
+  normaliseCode,
+  validateLocationGroups,
+  validateMovementType,
+  findActiveReasonCode
+};
@@ -0,0 +1,299 @@
+// netlify/functions/_recall-notice.js
+// Reads a drug alert / recall notice uploaded as CSV or JSON (recall-import.js)
+// and matches its products against the medications and batches we hold.
+const { parseGtin, normalizeBarcode } = require('./_barcode-utils');
+const { parseBatchCodes, parseActionClass } = require('./_recalls');
+
+const MAX_NOTICE_LENGTH = 512 * 1024;
+const MAX_PRODUCTS = 200;
+
+// Accepted CSV headers / JSON keys per field, compared lower-case with spaces,
+// underscores and hyphens removed
+const FIELD_ALIASES = {
+  gtin: ['gtin', 'gtin14', 'gtin13', 'ean', 'barcode', 'productcode'],
+  productName: ['product', 'productname', 'name', 'medication', 'medicine', 'description'],
+  batchCodes: ['batch', 'batches', 'batchcode', 'batchcodes', 'batchnumber', 'batchnumbers', 'lot', 'lots', 'lotnumber'],
+  actionClass: ['class', 'actionclass', 'alertclass', 'recallclass'],
+  reference: ['reference', 'ref', 'alertreference', 'alertref'],
+  reason: ['reason', 'issue', 'problem']
+};
+
+const fieldFor = (key) => {
+  const norm = String(key || '').toLowerCase().replace(/[\s_-]+/g, '');
+  return Object.keys(FIELD_ALIASES).find(field => FIELD_ALIASES[field].includes(norm)) || null;
+};
+
+// RFC 4180: quoted cells may hold commas, line breaks and "" for a quote
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c !== '"') cell += c;
+      else if (text[i + 1] === '"') { cell += '"'; i++; }
+      else quoted = false;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Raw records ({ line, fields }) from either format
+function readRecords(content, format) {
+  const text = String(content).replace(/^\uFEFF/, '');
+  const isJson = format ? format === 'json' : /^\s*[[{]/.test(text);
+
+  if (isJson) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      return { error: `Not valid JSON: ${e.message}` };
+    }
+    const list = Array.isArray(data) ? data : (data.products || data.items);
+    if (!Array.isArray(list)) return { error: 'JSON notice must be an array of products or have a "products" array' };
+    const notice = Array.isArray(data) ? {} : data;
+    return {
+      notice: { reference: notice.reference || notice.ref || null, actionClass: notice.actionClass ?? notice.class ?? null, reason: notice.reason || null },
+      records: list.map((item, index) => ({ line: index + 1, fields: item && typeof item === 'object' ? item : {} }))
+    };
+  }
+
+  const rows = parseCsv(text).filter(r => r.some(cell => cell.trim() !== ''));
+  if (rows.length < 2) return { error: 'CSV notice needs a header row and at least one product row' };
+  const header = rows[0].map(fieldFor);
+  if (!header.includes('batchCodes') || !(header.includes('gtin') || header.includes('productName'))) {
+    return { error: 'CSV header must name a batch column and a GTIN or product name column' };
+  }
+  return {
+    notice: {},
+    records: rows.slice(1).map((cells, index) => {
+      const fields = {};
+      header.forEach((field, col) => {
+        if (field && cells[col] !== undefined && cells[col].trim() !== '') fields[field] = cells[col];
+      });
+      return { line: index + 2, fields };
+    })
+  };
+}
+
+/**
+ * Parse a notice into one product per GTIN (or name when there is no GTIN).
+ * CSV rows for the same product are merged, so a notice may list one batch
+ * per row. Returns { products, errors } or { error } when the file cannot be
+ * read at all. Each product: { index, line, gtin, productName, batchCodes,
+ * actionClass, reference, reason }.
+ */
+function parseRecallNotice(content, format) {
+  if (!content || !String(content).trim()) return { error: 'The notice is empty' };
+  if (String(content).length > MAX_NOTICE_LENGTH) return { error: 'The notice is too large (512 KB maximum)' };
+
+  const { notice, records, error } = readRecords(content, format);
+  if (error) return { error };
+
+  const products = [];
+  const errors = [];
+  for (const { line, fields: raw } of records) {
+    const fields = {};
+    for (const [key, value] of Object.entries(raw)) {
+      const field = fieldFor(key);
+      if (field) fields[field] = value;
+    }
+
+    const parsedGtin = fields.gtin && String(fields.gtin).trim() ? parseGtin(String(fields.gtin)) : null;
+    const gtin = parsedGtin ? parsedGtin.gtin : null;
+    const productName = fields.productName ? String(fields.productName).trim() : '';
+    const batchCodes = parseBatchCodes(fields.batchCodes);
+    const actionClass = parseActionClass(fields.actionClass ?? notice.actionClass);
+
+    if (parsedGtin && !gtin) {
+      errors.push({ line, message: parsedGtin.error || `"${fields.gtin}" is not a GTIN` });
+      continue;
+    }
+    if (!gtin && !productName) {
+      errors.push({ line, message: 'No GTIN or product name' });
+      continue;
+    }
+    if (batchCodes.length === 0) {
+      errors.push({ line, message: 'No batch codes' });
+      continue;
+    }
+    if (actionClass === undefined) {
+      errors.push({ line, message: `Unrecognised action class "${fields.actionClass}" (expected 1-4)` });
+      continue;
+    }
+
+    const key = gtin || productName.toLowerCase();
+    const existing = products.find(p => (p.gtin || p.productName.toLowerCase()) === key);
+    if (existing) {
+      existing.batchCodes = parseBatchCodes([...existing.batchCodes, ...batchCodes]);
+      // The most urgent class wins when rows disagree
+      if (actionClass && (!existing.actionClass || actionClass < existing.actionClass)) existing.actionClass = actionClass;
+      existing.productName = existing.productName || productName;
+      continue;
+    }
+    products.push({
+      index: products.length,
+      line,
+      gtin,
+      productName,
+      batchCodes,
+      actionClass,
+      reference: fields.reference ? String(fields.reference).trim() : (notice.reference || null),
+      reason: fields.reason ? String(fields.reason).trim() : (notice.reason || null)
+    });
+  }
+
+  if (products.length > MAX_PRODUCTS) return { error: `The notice lists more than ${MAX_PRODUCTS} products` };
+  return { products, errors };
+}
+
+// 'Paracetamol 500mg Tablets' names medication Paracetamol / 500mg
+const nameMatches = (productName, med) => {
+  const name = productName.toLowerCase();
+  const medName = med.name.toLowerCase();
+  if (name === medName || name === med.displayName.toLowerCase()) return true;
+  if (!name.includes(medName)) return false;
+  return !med.strength || name.replace(/\s+/g, '').includes(med.strength.toLowerCase().replace(/\s+/g, ''));
+};
+
+/**
+ * Match parsed products to medications and the batches we hold, with stock
+ * on hand per location. A product is matched by GTIN (medications.barcode),
+ * then by name, then — when neither finds it — by which medication its batch
+ * codes belong to. `medicationIds` ({ [index]: medicationId }) overrides the
+ * match, e.g. when the pharmacist resolved an ambiguous name.
+ *
+ * Each product gains: matchedBy ('gtin' | 'name' | 'batch' | 'manual' | null),
+ * medication ({ id, name, controlledDrug } or null), candidates (when several
+ * medications fit), batches ([{ batchId, batchCode, expiryDate, recallId,
+ * locations: [{ locationId, locationName, onHand }], onHand }]),
+ * unmatchedBatchCodes, onHand, locations and status: 'ready', 'no_stock'
+ * (batches known but none held), 'already_recalled', 'no_batches',
+ * 'ambiguous' or 'unmatched'.
+ */
+async function matchRecallNotice(products, queryFn, medicationIds = {}) {
+  const medsResult = await queryFn(`
+    SELECT id, name, strength, barcode, controlled_drug,
+      CASE WHEN strength IS NULL OR strength = 'N/A' THEN name ELSE name || ' ' || strength END AS display_name
+    FROM medications
+    WHERE is_active IS NOT FALSE
+  `);
+  const meds = medsResult.rows.map(m => ({
+    id: String(m.id),
+    name: m.name,
+    strength: m.strength && m.strength !== 'N/A' ? m.strength : null,
+    displayName: m.display_name,
+    barcode: m.barcode ? normalizeBarcode(m.barcode) : null,
+    controlledDrug: !!m.controlled_drug
+  }));
+  const medById = new Map(meds.map(m => [m.id, m]));
+
+  const allCodes = [...new Set(products.flatMap(p => p.batchCodes.map(code => code.toUpperCase())))];
+  const batchResult = await queryFn(`
+    SELECT b.id, b.medication_id, b.batch_code, b.expiry_date, b.quarantined, b.recall_id,
+      i.location_id, l.display_name AS location_name, i.on_hand
+    FROM batches b
+    LEFT JOIN inventory i ON i.batch_id = b.id AND i.on_hand > 0
+    LEFT JOIN locations l ON l.id = i.location_id
+    WHERE UPPER(TRIM(b.batch_code)) = ANY($1::text[])
+    ORDER BY b.batch_code, l.display_name
+  `, [allCodes]);
+
+  const batchesById = new Map();
+  for (const row of batchResult.rows) {
+    let batch = batchesById.get(row.id);
+    if (!batch) {
+      batch = {
+        batchId: row.id,
+        medicationId: String(row.medication_id),
+        batchCode: row.batch_code,
+        expiryDate: row.expiry_date ? new Date(row.expiry_date).toISOString().slice(0, 10) : null,
+        recallId: row.quarantined ? row.recall_id : null,
+        locations: [],
+        onHand: 0
+      };
+      batchesById.set(row.id, batch);
+    }
+    if (row.location_id) {
+      batch.locations.push({ locationId: row.location_id, locationName: row.location_name || row.location_id, onHand: row.on_hand });
+      batch.onHand += row.on_hand;
+    }
+  }
+  const knownBatches = [...batchesById.values()];
+
+  return products.map(product => {
+    const codes = new Set(product.batchCodes.map(code => code.toUpperCase()));
+    const codeHits = knownBatches.filter(b => codes.has(b.batchCode.trim().toUpperCase()));
+
+    let matchedBy = null;
+    let candidates = [];
+    const override = medicationIds[product.index];
+    if (override && medById.has(String(override))) {
+      matchedBy = 'manual';
+      candidates = [medById.get(String(override))];
+    } else {
+      const strategies = [
+        ['gtin', () => product.gtin ? meds.filter(m => m.barcode === product.gtin) : []],
+        ['name', () => product.productName ? meds.filter(m => nameMatches(product.productName, m)) : []],
+        ['batch', () => [...new Set(codeHits.map(b => b.medicationId))].map(id => medById.get(id)).filter(Boolean)]
+      ];
+      for (const [strategy, find] of strategies) {
+        candidates = find();
+        if (candidates.length > 0) {
+          matchedBy = strategy;
+          break;
+        }
+      }
+      // A name fitting several strengths is settled by whose batches were listed
+      const owners = candidates.filter(m => codeHits.some(b => b.medicationId === m.id));
+      if (candidates.length > 1 && owners.length === 1) candidates = owners;
+    }
+
+    const medication = candidates.length === 1 ? candidates[0] : null;
+    const batches = medication
+      ? codeHits.filter(b => b.medicationId === medication.id).map(({ medicationId, ...b }) => b)
+      : [];
+    const matchedCodes = new Set(batches.map(b => b.batchCode.trim().toUpperCase()));
+    const onHand = batches.reduce((total, b) => total + b.onHand, 0);
+
+    let status;
+    if (!medication) status = candidates.length > 1 ? 'ambiguous' : 'unmatched';
+    else if (batches.length === 0) status = 'no_batches';
+    else if (batches.every(b => b.recallId)) status = 'already_recalled';
+    else status = onHand > 0 ? 'ready' : 'no_stock';
+
+    return {
+      ...product,
+      matchedBy: medication ? matchedBy : null,
+      medication: medication ? { id: medication.id, name: medication.displayName, controlledDrug: medication.controlledDrug } : null,
+      candidates: candidates.length > 1 ? candidates.map(m => ({ id: m.id, name: m.displayName })) : [],
+      batches,
+      unmatchedBatchCodes: product.batchCodes.filter(code => !matchedCodes.has(code.toUpperCase())),
+      onHand,
+      locations: new Set(batches.flatMap(b => b.locations.map(l => l.locationId))).size,
+      status
+    };
+  });
+}
+
+module.exports = { parseCsv, parseRecallNotice, matchRecallNotice };
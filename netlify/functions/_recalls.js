@@ -0,0 +1,210 @@
+// netlify/functions/_recalls.js
+// Shared helpers for the batch recall functions (recall-*.js).
+// A recall quarantines batches of one medication everywhere; its lines are the
+// pull list — what each location held when the recall was opened and what has
+// since been returned or destroyed there.
+const db = require('./_db');
+
+// Every recall pull's transactions.reason starts with this
+const RECALL_REASON = 'Recall';
+
+const recallReason = (recall, returnedQty, destroyedQty) => {
+  const parts = [];
+  if (returnedQty > 0) parts.push(`returned ${returnedQty}`);
+  if (destroyedQty > 0) parts.push(`destroyed ${destroyedQty}`);
+  return `${RECALL_REASON} #${recall.id}${recall.reference ? ` (${recall.reference})` : ''}: ${parts.join(', ')}`;
+};
+
+// Batch codes as typed or pasted from an alert: one per line or comma separated
+function parseBatchCodes(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(/[\n,;]+/);
+  const seen = new Set();
+  const codes = [];
+  for (const raw of list) {
+    const code = String(raw || '').trim();
+    if (code && !seen.has(code.toUpperCase())) {
+      seen.add(code.toUpperCase());
+      codes.push(code);
+    }
+  }
+  return codes;
+}
+
+// MHRA action classes 1-4 as written in alerts: 2, "Class 2", "class 2 medicines recall"
+function parseActionClass(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const match = String(value).match(/^\s*(?:class\s*)?([1-4])\b/i);
+  return match ? Number(match[1]) : undefined;
+}
+
+const mapRecall = (row) => ({
+  id: row.id,
+  medicationId: row.medication_id,
+  medicationName: row.medication_name || row.medication_id,
+  reference: row.reference || '',
+  reason: row.reason || '',
+  actionClass: row.action_class || null,
+  sourceFile: row.source_file || null,
+  batchCodes: row.batch_codes || [],
+  status: row.status,
+  notes: row.notes || '',
+  openedBy: row.opened_by_name || null,
+  openedAt: row.opened_at ? row.opened_at.toISOString() : null,
+  closedBy: row.closed_by_name || null,
+  closedAt: row.closed_at ? row.closed_at.toISOString() : null,
+  closingNotes: row.closing_notes || ''
+});
+
+const mapLine = (row) => ({
+  id: row.id || null,
+  batchId: row.batch_id,
+  batchCode: row.batch_code || '',
+  expiryDate: row.expiry_date ? new Date(row.expiry_date).toISOString().slice(0, 10) : null,
+  itemsPerBox: row.items_per_box || null,
+  locationId: row.location_id,
+  locationName: row.location_name || row.location_id,
+  quarantinedQty: row.quarantined_qty,
+  returnedQty: row.returned_qty,
+  destroyedQty: row.destroyed_qty,
+  outstandingQty: row.on_hand,
+  updatedBy: row.updated_by_name || null,
+  updatedAt: row.updated_at ? row.updated_at.toISOString() : null
+});
+
+/**
+ * Open a recall inside the caller's transaction: lock the medication's batches
+ * matching `codes`, quarantine them and snapshot the pull list from inventory.
+ * Batches are locked FOR UPDATE, so movements already under way (lockBatch in
+ * _inventory.js) finish first. Returns { recallId } or { error } (409
+ * BATCH_ALREADY_RECALLED when a batch is already quarantined).
+ */
+async function openRecall(client, { medicationId, codes, reference, reason, notes, actionClass, sourceFile, userId }) {
+  const batches = await client.query(
+    `SELECT id, batch_code, quarantined, recall_id FROM batches
+     WHERE medication_id = $1 AND UPPER(TRIM(batch_code)) = ANY($2::text[])
+     ORDER BY id
+     FOR UPDATE`,
+    [medicationId, codes.map(code => code.toUpperCase())]
+  );
+
+  const alreadyRecalled = batches.rows.filter(b => b.quarantined);
+  if (alreadyRecalled.length > 0) {
+    return {
+      error: db.fail(409, `Already quarantined: ${alreadyRecalled.map(b => `${b.batch_code} (recall #${b.recall_id})`).join(', ')}`, {
+        code: 'BATCH_ALREADY_RECALLED',
+        recallIds: [...new Set(alreadyRecalled.map(b => b.recall_id))]
+      })
+    };
+  }
+
+  const batchIds = batches.rows.map(b => b.id);
+  const inserted = await client.query(
+    `INSERT INTO recalls (medication_id, reference, reason, batch_codes, batch_ids, notes, action_class, source_file, opened_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id`,
+    [medicationId, reference || null, reason || null, codes, batchIds, notes || null, actionClass || null, sourceFile || null, userId]
+  );
+  const recallId = inserted.rows[0].id;
+
+  await client.query(
+    'UPDATE batches SET quarantined = true, recall_id = $1 WHERE id = ANY($2::int[])',
+    [recallId, batchIds]
+  );
+
+  // Pull list: every location holding a recalled batch right now
+  await client.query(
+    `INSERT INTO recall_lines (recall_id, batch_id, location_id, quarantined_qty)
+     SELECT $1, i.batch_id, i.location_id, i.on_hand
+     FROM inventory i
+     WHERE i.batch_id = ANY($2::int[]) AND i.on_hand > 0`,
+    [recallId, batchIds]
+  );
+
+  return { recallId };
+}
+
+/**
+ * Load one recall with its lines, the pull list (lines grouped by location)
+ * and a summary, or null if it does not exist. Stock of a recalled batch found
+ * somewhere after the recall opened (a stock-take, say) gets a line of its
+ * own with quarantinedQty 0. queryFn may be a pooled query or a transaction
+ * client's query.
+ */
+async function loadRecall(recallId, queryFn) {
+  const recallResult = await queryFn(`
+    SELECT r.*,
+      CASE WHEN m.strength IS NULL OR m.strength = 'N/A' THEN m.name
+           ELSE m.name || ' ' || m.strength END AS medication_name,
+      m.controlled_drug,
+      ou.full_name AS opened_by_name, cu.full_name AS closed_by_name
+    FROM recalls r
+    JOIN medications m ON m.id = r.medication_id
+    LEFT JOIN users ou ON ou.id = r.opened_by
+    LEFT JOIN users cu ON cu.id = r.closed_by
+    WHERE r.id = $1
+  `, [recallId]);
+  if (recallResult.rows.length === 0) return null;
+  const row = recallResult.rows[0];
+
+  const linesResult = await queryFn(`
+    WITH keys AS (
+      SELECT batch_id, location_id FROM recall_lines WHERE recall_id = $1
+      UNION
+      SELECT i.batch_id, i.location_id
+      FROM inventory i
+      JOIN batches b ON b.id = i.batch_id
+      WHERE b.recall_id = $1 AND i.on_hand > 0
+    )
+    SELECT
+      rl.id, k.batch_id, k.location_id,
+      COALESCE(rl.quarantined_qty, 0) AS quarantined_qty,
+      COALESCE(rl.returned_qty, 0) AS returned_qty,
+      COALESCE(rl.destroyed_qty, 0) AS destroyed_qty,
+      COALESCE(i.on_hand, 0) AS on_hand,
+      rl.updated_at,
+      b.batch_code, b.expiry_date, b.items_per_box,
+      l.display_name AS location_name,
+      u.full_name AS updated_by_name
+    FROM keys k
+    JOIN batches b ON b.id = k.batch_id
+    LEFT JOIN locations l ON l.id = k.location_id
+    LEFT JOIN recall_lines rl ON rl.recall_id = $1 AND rl.batch_id = k.batch_id AND rl.location_id = k.location_id
+    LEFT JOIN inventory i ON i.batch_id = k.batch_id AND i.location_id = k.location_id
+    LEFT JOIN users u ON u.id = rl.updated_by
+    ORDER BY l.display_name, b.batch_code
+  `, [recallId]);
+
+  const lines = linesResult.rows.map(mapLine);
+  const batchesResult = await queryFn('SELECT batch_code FROM batches WHERE id = ANY($1::int[])', [row.batch_ids || []]);
+  const matched = new Set(batchesResult.rows.map(b => String(b.batch_code).toUpperCase()));
+
+  const pullList = [];
+  for (const line of lines) {
+    let location = pullList.find(p => p.locationId === line.locationId);
+    if (!location) {
+      location = { locationId: line.locationId, locationName: line.locationName, lines: [], outstandingQty: 0 };
+      pullList.push(location);
+    }
+    location.lines.push(line);
+    location.outstandingQty += line.outstandingQty;
+  }
+
+  const sum = (key) => lines.reduce((total, l) => total + l[key], 0);
+  return {
+    ...mapRecall(row),
+    controlledDrug: !!row.controlled_drug,
+    lines,
+    pullList,
+    summary: {
+      batches: new Set(lines.map(l => l.batchId)).size,
+      locations: pullList.length,
+      quarantinedQty: sum('quarantinedQty'),
+      returnedQty: sum('returnedQty'),
+      destroyedQty: sum('destroyedQty'),
+      outstandingQty: sum('outstandingQty'),
+      unmatchedBatchCodes: (row.batch_codes || []).filter(code => !matched.has(code.toUpperCase()))
+    }
+  };
+}
+
+module.exports = { RECALL_REASON, recallReason, parseBatchCodes, parseActionClass, mapRecall, openRecall, loadRecall };
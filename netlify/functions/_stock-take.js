@@ -0,0 +1,96 @@
+// netlify/functions/_stock-take.js
+// Shared helpers for the stock-take (cycle count) functions (stock-take-*.js).
+// A session snapshots expected on_hand per batch at one location; variances
+// are only posted to inventory when the session is approved.
+
+// Every stock-take adjustment's transactions.reason starts with this, so
+// getWeeklyUsageData() can exclude counting corrections from usage
+const STOCK_TAKE_REASON = 'Stock-take';
+
+const stockTakeReason = (stockTakeId, countedQty, expectedQty) =>
+  `${STOCK_TAKE_REASON} #${stockTakeId}: counted ${countedQty}, expected ${expectedQty}`;
+
+const mapSession = (row) => ({
+  id: row.id,
+  locationId: row.location_id,
+  locationName: row.location_name || row.location_id,
+  status: row.status,
+  notes: row.notes || '',
+  startedBy: row.started_by_name || null,
+  startedAt: row.started_at ? row.started_at.toISOString() : null,
+  closedBy: row.closed_by_name || null,
+  closedAt: row.closed_at ? row.closed_at.toISOString() : null
+});
+
+const mapLine = (row) => {
+  const counted = row.counted_qty === null || row.counted_qty === undefined ? null : row.counted_qty;
+  return {
+    id: row.id,
+    batchId: row.batch_id,
+    batchCode: row.batch_code || '',
+    expiryDate: row.expiry_date ? new Date(row.expiry_date).toISOString().slice(0, 10) : null,
+    brand: row.brand || '',
+    itemsPerBox: row.items_per_box || null,
+    medicationId: row.medication_id,
+    medicationName: row.medication_name,
+    barcode: row.barcode || '',
+    controlledDrug: !!row.controlled_drug,
+    expectedQty: row.expected_qty,
+    countedQty: counted,
+    variance: counted === null ? null : counted - row.expected_qty,
+    countedBy: row.counted_by_name || null,
+    countedAt: row.counted_at ? row.counted_at.toISOString() : null
+  };
+};
+
+/**
+ * Load one session with its lines and a variance summary, or null if it does
+ * not exist. queryFn may be a pooled query or a transaction client's query.
+ */
+async function loadStockTake(stockTakeId, queryFn) {
+  const sessionResult = await queryFn(`
+    SELECT s.*, l.display_name AS location_name,
+           su.full_name AS started_by_name, cu.full_name AS closed_by_name
+    FROM stock_takes s
+    LEFT JOIN locations l ON l.id = s.location_id
+    LEFT JOIN users su ON su.id = s.started_by
+    LEFT JOIN users cu ON cu.id = s.closed_by
+    WHERE s.id = $1
+  `, [stockTakeId]);
+  if (sessionResult.rows.length === 0) return null;
+
+  const linesResult = await queryFn(`
+    SELECT
+      sl.id, sl.batch_id, sl.medication_id, sl.expected_qty, sl.counted_qty, sl.counted_at,
+      b.batch_code, b.expiry_date, b.brand, b.items_per_box,
+      CASE WHEN m.strength IS NULL OR m.strength = 'N/A' THEN m.name
+           ELSE m.name || ' ' || m.strength END AS medication_name,
+      m.barcode,
+      m.controlled_drug,
+      u.full_name AS counted_by_name
+    FROM stock_take_lines sl
+    JOIN batches b ON b.id = sl.batch_id
+    JOIN medications m ON m.id = sl.medication_id
+    LEFT JOIN users u ON u.id = sl.counted_by
+    WHERE sl.stock_take_id = $1
+    ORDER BY m.name, b.expiry_date NULLS LAST, b.batch_code
+  `, [stockTakeId]);
+
+  const lines = linesResult.rows.map(mapLine);
+  const counted = lines.filter(l => l.countedQty !== null);
+  const withVariance = counted.filter(l => l.variance !== 0);
+
+  return {
+    ...mapSession(sessionResult.rows[0]),
+    lines,
+    summary: {
+      lines: lines.length,
+      counted: counted.length,
+      uncounted: lines.length - counted.length,
+      variances: withVariance.length,
+      netVariance: withVariance.reduce((sum, l) => sum + l.variance, 0)
+    }
+  };
+}
+
+module.exports = { STOCK_TAKE_REASON, stockTakeReason, mapSession, loadStockTake };
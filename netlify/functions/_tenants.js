@@ -15,6 +15,10 @@ const TENANTS = {
       pale: '#E1F5EE'
     },
     pharmacistEmail: 'Aasit.Badiani@Medicana.co.uk',
+    // Overrides DEFAULT_POLICY in _password-policy.js; expiryDays: 0 disables expiry
+    passwordPolicy: {
+      expiryDays: 90
+    },
     logos: {
       login: 'assets/branding/logo-login.png',
       header: 'assets/branding/logo-header.png',
@@ -0,0 +1,40 @@
+// netlify/functions/_users.js
+// Shared helpers for the user administration functions (users-*.js)
+// Password rules live in _password-policy.js
+const { ROLES } = require('./_permissions');
+
+// Columns every users-* function returns, in API shape via mapUser()
+const USER_COLUMNS = 'id, username, email, first_name, full_name, role, active, location';
+
+const mapUser = (row) => ({
+  id: row.id,
+  username: row.username,
+  email: row.email || null,
+  firstName: row.first_name || null,
+  fullName: row.full_name || null,
+  role: row.role,
+  active: row.active,
+  primaryLocation: row.location || null
+});
+
+// Returns an error message, or null if the role is one of the known roles
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    return `Invalid role. Must be one of: ${ROLES.join(', ')}`;
+  }
+  return null;
+}
+
+// Returns an error message, or null if the location id exists (or was not given)
+async function validateLocation(locationId, queryFn) {
+  if (!locationId) return null;
+  const result = await queryFn('SELECT 1 FROM locations WHERE id = $1', [locationId]);
+  return result.rows.length === 0 ? `Unknown location: ${locationId}` : null;
+}
+
+module.exports = {
+  USER_COLUMNS,
+  mapUser,
+  validateRole,
+  validateLocation
+};
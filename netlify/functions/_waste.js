@@ -0,0 +1,32 @@
+// netlify/functions/_waste.js
+// Shared definitions for the waste and destruction register (waste-*.js,
+// migrations/017_waste_register.sql).
+
+// waste_records.reason
+const WASTE_REASONS = {
+  expired: 'Expired',
+  damaged: 'Damaged',
+  contaminated: 'Contaminated',
+  patient_returned: 'Patient returned'
+};
+
+// waste_records.disposal_method
+const DISPOSAL_METHODS = {
+  pharmaceutical_waste: 'Pharmaceutical waste bin',
+  cytotoxic_waste: 'Cytotoxic waste bin',
+  cd_denaturing_kit: 'CD denaturing kit',
+  sharps: 'Sharps bin',
+  returned_to_supplier: 'Returned to supplier',
+  other: 'Other'
+};
+
+// transactions.reason for a waste movement, e.g. "Waste (Expired) - Pharmaceutical waste bin"
+const wasteReason = ({ reason, reasonNote, disposalMethod, disposalNote }) => {
+  const why = reasonNote ? `${WASTE_REASONS[reason]}: ${reasonNote}` : WASTE_REASONS[reason];
+  const how = disposalNote ? `${DISPOSAL_METHODS[disposalMethod]}: ${disposalNote}` : DISPOSAL_METHODS[disposalMethod];
+  return `Waste (${why}) - ${how}`;
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+module.exports = { WASTE_REASONS, DISPOSAL_METHODS, wasteReason, round2 };
@@ -2,23 +2,18 @@
 // GET: Retrieve activity log entries with filtering and cursor-based pagination
 // POST: Create a new activity log entry (for frontend-initiated events)
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
 
-exports.handler = async (event) => {
+exports.handler = withPermission({ GET: 'activityLog', POST: 'logActivity' }, async (event, ctx) => {
   if (event.httpMethod === 'GET') {
-    return handleGet(event);
+    return handleGet(event, ctx);
   }
-  if (event.httpMethod === 'POST') {
-    return handlePost(event);
-  }
-  return db.methodNotAllowed();
-};
+  return handlePost(event, ctx);
+});
 
-async function handleGet(event) {
+async function handleGet(event, { tdb }) {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
-
     const params = event.queryStringParameters || {};
     const limit = Math.min(parseInt(params.limit) || 50, 200);
     const beforeId = parseInt(params.before_id) || null;
@@ -74,9 +69,12 @@ async function handleGet(event) {
         al.occurred_at,
         al.user_id,
         u.username,
-        u.full_name AS user_full_name
+        u.full_name AS user_full_name,
+        al.witness_user_id,
+        w.full_name AS witness_full_name
       FROM activity_log al
       LEFT JOIN users u ON u.id = al.user_id
+      LEFT JOIN users w ON w.id = al.witness_user_id
       LEFT JOIN locations l ON l.id = al.location_id
       ${whereClause}
       ORDER BY al.id DESC
@@ -95,7 +93,9 @@ async function handleGet(event) {
       occurredAt: row.occurred_at ? row.occurred_at.toISOString() : new Date().toISOString(),
       userId: row.user_id,
       username: row.username || null,
-      userFullName: row.user_full_name || null
+      userFullName: row.user_full_name || null,
+      witnessUserId: row.witness_user_id || null,
+      witnessFullName: row.witness_full_name || null
     }));
 
     return db.ok({ entries, hasMore });
@@ -104,13 +104,12 @@ async function handleGet(event) {
   }
 }
 
-async function handlePost(event) {
+async function handlePost(event, { tdb, user }) {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
+    const userId = user.id;
 
     const body = JSON.parse(event.body || '{}');
-    const { userId, actionType, entityType, entityId, locationId, details } = body;
+    const { actionType, entityType, entityId, locationId, details } = body;
 
     if (!actionType) {
       return db.fail(400, 'actionType is required');
@@ -1,32 +1,26 @@
 // netlify/functions/barcode-lookup.js
 // Looks up medication by barcode and returns medication details + existing batches
 const db = require('./_db');
-const { normalizeBarcode } = require('./_barcode-utils');
-
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
+const { withPermission } = require('./_permissions');
+const { normalizeBarcode, invalidBarcode } = require('./_barcode-utils');
 
+exports.handler = withPermission({ POST: 'viewStock' }, async (event, { tdb }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
-
     const { barcode } = JSON.parse(event.body || '{}');
 
     if (!barcode || !barcode.trim()) {
       return db.fail(400, 'Barcode is required');
     }
 
-    const normalized = normalizeBarcode(barcode);
-    // Also build the 14-digit padded form for fallback matching against legacy data
-    const padded = normalized.length === 13 && /^\d+$/.test(normalized)
-      ? '0' + normalized
-      : null;
+    const invalid = invalidBarcode(barcode);
+    if (invalid) return invalid;
 
+    // Stored barcodes are canonical GTIN-14s (migrations/019_canonical_gtins.sql)
     const medResult = await tdb.query(
       `SELECT id, name, strength, form, standard_items_per_box, barcode, brand, fefo, min_level_boxes
        FROM medications
-       WHERE barcode = $1${padded ? ' OR barcode = $2' : ''}`,
-      padded ? [normalized, padded] : [normalized]
+       WHERE barcode = $1`,
+      [normalizeBarcode(barcode)]
     );
 
     if (medResult.rows.length === 0) {
@@ -74,4 +68,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('barcode-lookup', e);
   }
-};
+});
@@ -2,7 +2,10 @@
 // Adds a new batch/delivery of medication to inventory
 // Supports both existing batch selection and new batch creation with integrity enforcement
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
+const { publish } = require('./_events');
+const { lockBatch, batchQuarantined } = require('./_inventory');
 
 // Build expiry date string (last day of month) from month/year
 function buildExpiryDate(expiryMonth, expiryYear) {
@@ -13,13 +16,8 @@ function buildExpiryDate(expiryMonth, expiryYear) {
   return `${year}-${String(month).padStart(2, '0')}-${String(lastDay).padStart(2, '0')}`;
 }
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
-
+exports.handler = withPermission({ POST: 'receiveStock' }, async (event, { tdb, user }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
-
     const {
       medicationId,
       existingBatchId,
@@ -32,7 +30,6 @@ exports.handler = async (event) => {
       quantityBoxes,
       quantityIndividuals,
       locationId,
-      userId,
       note,
       reason,
       serial,
@@ -40,9 +37,10 @@ exports.handler = async (event) => {
     } = JSON.parse(event.body || '{}');
 
     const transactionNote = reason || note;
+    const userId = user.id;
 
-    if (!locationId || !userId) {
-      return db.fail(400, 'Missing required fields: locationId, userId');
+    if (!locationId) {
+      return db.fail(400, 'Missing required field: locationId');
     }
 
     // Calculate total units delivered
@@ -53,23 +51,20 @@ exports.handler = async (event) => {
       return db.fail(400, 'Total quantity must be greater than zero');
     }
 
-    await tdb.query('BEGIN');
-
-    try {
+    const { batchIdResult, canonicalMedicationId, error } = await tdb.withTransaction(async (client) => {
       let batchIdResult;
       let canonicalMedicationId;
 
       // Batch integrity safeguard -- do not remove.
       if (existingBatchId) {
         // Use existing batch - fetch its canonical metadata
-        const existingBatch = await tdb.query(
+        const existingBatch = await client.query(
           `SELECT id, medication_id FROM batches WHERE id = $1`,
           [existingBatchId]
         );
 
         if (existingBatch.rows.length === 0) {
-          await tdb.query('ROLLBACK');
-          return db.fail(400, 'Existing batch not found');
+          return { error: db.fail(400, 'Existing batch not found') };
         }
 
         batchIdResult = existingBatch.rows[0].id;
@@ -80,7 +75,7 @@ exports.handler = async (event) => {
 
         if (batchCodeToUse && batchCodeToUse.trim()) {
           // Check if batch_code already exists
-          const existingBatch = await tdb.query(
+          const existingBatch = await client.query(
             `SELECT id, medication_id FROM batches WHERE batch_code = $1`,
             [batchCodeToUse.trim()]
           );
@@ -96,11 +91,10 @@ exports.handler = async (event) => {
           } else {
             // Create new batch
             if (!medicationId) {
-              await tdb.query('ROLLBACK');
-              return db.fail(400, 'medicationId is required when creating a new batch');
+              return { error: db.fail(400, 'medicationId is required when creating a new batch') };
             }
 
-            const insertBatch = await tdb.query(
+            const insertBatch = await client.query(
               `INSERT INTO batches (medication_id, batch_code, expiry_date, brand, items_per_box, serial)
                VALUES ($1, $2, $3, $4, $5, $6)
                RETURNING id, medication_id`,
@@ -112,11 +106,10 @@ exports.handler = async (event) => {
         } else {
           // No batch number provided - create a generic batch with unique timestamp
           if (!medicationId) {
-            await tdb.query('ROLLBACK');
-            return db.fail(400, 'medicationId is required when creating a new batch');
+            return { error: db.fail(400, 'medicationId is required when creating a new batch') };
           }
 
-          const insertBatch = await tdb.query(
+          const insertBatch = await client.query(
             `INSERT INTO batches (medication_id, batch_code, expiry_date, brand, items_per_box, serial)
              VALUES ($1, $2, $3, $4, $5, $6)
              RETURNING id, medication_id`,
@@ -127,53 +120,58 @@ exports.handler = async (event) => {
         }
       }
 
+      // A recalled batch cannot be received back into stock
+      const batch = await lockBatch(client, batchIdResult);
+      if (batch.quarantined) {
+        return { error: batchQuarantined(batch) };
+      }
+
       // Upsert inventory row (atomic — avoids race condition)
-      await tdb.query(
+      await client.query(
         `INSERT INTO inventory (location_id, batch_id, on_hand) VALUES ($1, $2, $3)
          ON CONFLICT (location_id, batch_id) DO UPDATE SET on_hand = inventory.on_hand + $3`,
         [locationId, batchIdResult, finalTotal]
       );
 
       // Insert transaction record for delivery
-      await tdb.query(
+      await client.query(
         `INSERT INTO transactions
-         (batch_id, location_id, medication_id, user_id, delta, type, reason)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+         (batch_id, location_id, medication_id, user_id, delta, type, reason, movement_type)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'delivery')`,
         [batchIdResult, locationId, canonicalMedicationId, userId, finalTotal, 'in',
          transactionNote || `Delivery received - ${finalTotal} units`]
       );
 
-      await tdb.query('COMMIT');
-
-      const batchCodeUsed = batchNumber || batchCode || null;
-      const expiryDate = buildExpiryDate(expiryMonth, expiryYear);
-      await logActivity({
-        userId,
-        actionType: 'stock_in',
-        entityType: 'medication',
-        entityId: canonicalMedicationId,
-        locationId,
-        details: {
-          medicationName: medicationName || null,
-          batchId: batchIdResult,
-          batchCode: batchCodeUsed,
-          expiryDate: expiryDate || null,
-          brand: brand || null,
-          delta: finalTotal,
-          quantityBoxes: quantityBoxes || null,
-          itemsPerBox: itemsPerBox || null,
-          reason: transactionNote || `Delivery received - ${finalTotal} units`,
-          isNewBatch: !existingBatchId
-        },
-        queryFn: tdb.query
-      });
-
-      return db.ok();
-    } catch (err) {
-      await tdb.query('ROLLBACK');
-      throw err;
-    }
+      return { batchIdResult, canonicalMedicationId };
+    });
+    if (error) return error;
+
+    const batchCodeUsed = batchNumber || batchCode || null;
+    const expiryDate = buildExpiryDate(expiryMonth, expiryYear);
+    await logActivity({
+      userId,
+      actionType: 'stock_in',
+      entityType: 'medication',
+      entityId: canonicalMedicationId,
+      locationId,
+      details: {
+        medicationName: medicationName || null,
+        batchId: batchIdResult,
+        batchCode: batchCodeUsed,
+        expiryDate: expiryDate || null,
+        brand: brand || null,
+        delta: finalTotal,
+        quantityBoxes: quantityBoxes || null,
+        itemsPerBox: itemsPerBox || null,
+        reason: transactionNote || `Delivery received - ${finalTotal} units`,
+        isNewBatch: !existingBatchId
+      },
+      queryFn: tdb.query
+    });
+
+    await publish(tdb, 'inventory', { medicationIds: [canonicalMedicationId] });
+    return db.ok();
   } catch (e) {
     return db.serverError('batch-add', e);
   }
-};
+});
@@ -2,14 +2,10 @@
 // Checks if a batch_code exists and returns its canonical details
 // Batch integrity safeguard -- do not remove.
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
-
+exports.handler = withPermission({ POST: 'viewStock' }, async (event, { tdb }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
-
     const { batchCode } = JSON.parse(event.body || '{}');
 
     if (!batchCode || !batchCode.trim()) {
@@ -58,4 +54,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('batch-check', e);
   }
-};
+});
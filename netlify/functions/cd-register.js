@@ -0,0 +1,158 @@
+// netlify/functions/cd-register.js
+// Controlled drug register: every transactions row for CD-flagged medications,
+// per medication per location in chronological order, with a running balance
+// reconciled against the current inventory.on_hand total.
+// Query params (all optional): medicationId, locationId, from (ISO date — rows
+// before it are folded into the opening balance)
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+
+const registerKey = (medicationId, locationId) => `${medicationId}|${locationId}`;
+
+exports.handler = withPermission({ GET: 'controlledDrugRegister' }, async (event, { tdb }) => {
+  try {
+    const params = event.queryStringParameters || {};
+    const medicationId = params.medicationId || null;
+    const locationId = params.locationId || null;
+    const from = params.from ? new Date(params.from) : null;
+    if (from && isNaN(from.getTime())) {
+      return db.fail(400, 'Invalid from date');
+    }
+
+    // One snapshot for both reads: a movement committed between them would
+    // put the running balance out of step with on_hand and flag a discrepancy
+    const [txResult, inventoryResult] = await tdb.withTransaction(client => Promise.all([
+      client.query(`
+        SELECT
+          t.id,
+          t.occurred_at,
+          t.medication_id,
+          CASE
+            WHEN m.strength IS NULL OR m.strength = 'N/A' THEN m.name
+            ELSE m.name || ' ' || m.strength
+          END AS med_name,
+          t.location_id,
+          l.display_name AS location_name,
+          t.batch_id,
+          b.batch_code,
+          b.expiry_date,
+          t.delta,
+          t.type,
+          t.movement_type,
+          t.reason,
+          u.full_name AS user_name,
+          t.witness_user_id,
+          w.full_name AS witness_name
+        FROM transactions t
+        JOIN medications m ON m.id = t.medication_id
+        LEFT JOIN batches b ON b.id = t.batch_id
+        LEFT JOIN locations l ON l.id = t.location_id
+        LEFT JOIN users u ON u.id = t.user_id
+        LEFT JOIN users w ON w.id = t.witness_user_id
+        WHERE m.controlled_drug = true
+          AND ($1::text IS NULL OR t.medication_id::text = $1)
+          AND ($2::text IS NULL OR t.location_id::text = $2)
+        ORDER BY t.medication_id, t.location_id, t.occurred_at, t.id
+      `, [medicationId, locationId]),
+      client.query(`
+        SELECT
+          b.medication_id,
+          CASE
+            WHEN m.strength IS NULL OR m.strength = 'N/A' THEN m.name
+            ELSE m.name || ' ' || m.strength
+          END AS med_name,
+          i.location_id,
+          l.display_name AS location_name,
+          SUM(i.on_hand)::int AS on_hand
+        FROM inventory i
+        JOIN batches b ON b.id = i.batch_id
+        JOIN medications m ON m.id = b.medication_id
+        LEFT JOIN locations l ON l.id = i.location_id
+        WHERE m.controlled_drug = true
+          AND ($1::text IS NULL OR b.medication_id::text = $1)
+          AND ($2::text IS NULL OR i.location_id::text = $2)
+        GROUP BY b.medication_id, m.name, m.strength, i.location_id, l.display_name
+      `, [medicationId, locationId])
+    ]), { isolationLevel: 'REPEATABLE READ', readOnly: true });
+
+    const registers = {};
+    const registerFor = (row) => {
+      const key = registerKey(row.medication_id, row.location_id);
+      if (!registers[key]) {
+        registers[key] = {
+          medicationId: row.medication_id,
+          medicationName: row.med_name,
+          locationId: row.location_id,
+          locationName: row.location_name || row.location_id,
+          openingBalance: 0,
+          entries: [],
+          closingBalance: 0,
+          onHand: 0,
+          unwitnessedCount: 0,
+          negativeBalanceCount: 0
+        };
+      }
+      return registers[key];
+    };
+
+    for (const row of txResult.rows) {
+      const register = registerFor(row);
+      register.closingBalance += row.delta;
+
+      // Rows before `from` still count towards the balance, but are not listed
+      if (from && row.occurred_at < from) {
+        register.openingBalance = register.closingBalance;
+        continue;
+      }
+
+      const negativeBalance = register.closingBalance < 0;
+      if (negativeBalance) register.negativeBalanceCount++;
+      if (!row.witness_user_id) register.unwitnessedCount++;
+
+      register.entries.push({
+        id: row.id,
+        occurredAt: row.occurred_at ? row.occurred_at.toISOString() : null,
+        batchId: row.batch_id,
+        batchCode: row.batch_code || null,
+        expiryDate: row.expiry_date ? new Date(row.expiry_date).toISOString().slice(0, 10) : null,
+        type: row.type,
+        movementType: row.movement_type,
+        received: row.delta > 0 ? row.delta : 0,
+        issued: row.delta < 0 ? -row.delta : 0,
+        balance: register.closingBalance,
+        reason: row.reason || '',
+        userName: row.user_name || null,
+        witnessName: row.witness_name || null,
+        negativeBalance
+      });
+    }
+
+    for (const row of inventoryResult.rows) {
+      registerFor(row).onHand = row.on_hand;
+    }
+
+    // A register reconciles when its running balance ends at the stock actually on hand
+    const list = Object.values(registers)
+      .map(register => ({
+        ...register,
+        discrepancy: register.onHand - register.closingBalance,
+        reconciled: register.onHand === register.closingBalance && register.negativeBalanceCount === 0
+      }))
+      .filter(register => register.entries.length > 0 || register.onHand !== 0 || register.closingBalance !== 0)
+      .sort((a, b) =>
+        a.medicationName.localeCompare(b.medicationName) || String(a.locationName).localeCompare(String(b.locationName))
+      );
+
+    return db.ok({
+      registers: list,
+      summary: {
+        registers: list.length,
+        unreconciled: list.filter(r => !r.reconciled).length,
+        unwitnessed: list.reduce((sum, r) => sum + r.unwitnessedCount, 0)
+      },
+      generatedAt: new Date().toISOString()
+    });
+  } catch (e) {
+    return db.serverError('cd-register', e);
+  }
+});
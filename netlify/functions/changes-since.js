@@ -0,0 +1,45 @@
+// netlify/functions/changes-since.js
+// Incremental sync for api.startPolling: GET ?cursor=<from the last sync>.
+// Returns the meds-get entries and orders of every medication changed since
+// the cursor (migrations/012_change_log.sql), plus transactions when anything
+// changed, locations and the draft order count. Without a usable cursor, or
+// before migration 012 has been run, returns the full snapshot with full: true.
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { loadStockSnapshot, readChangeCursor } = require('./_stock-snapshot');
+
+const UNDEFINED_TABLE = '42P01';
+const UNDEFINED_FUNCTION = '42883';
+
+async function fullSnapshot(query, cursor) {
+  return db.ok({ full: true, cursor, ...(await loadStockSnapshot(query)) });
+}
+
+exports.handler = withPermission({ GET: 'viewStock' }, async (event, { tdb }) => {
+  try {
+    const since = (event.queryStringParameters || {}).cursor;
+
+    let cursor, changed;
+    try {
+      cursor = await readChangeCursor(tdb.query);
+      if (!since || !/^\d+$/.test(since)) return fullSnapshot(tdb.query, cursor);
+      changed = await tdb.query(
+        'SELECT medication_id FROM change_log WHERE txid >= $1::xid8',
+        [since]
+      );
+    } catch (e) {
+      if (e.code !== UNDEFINED_TABLE && e.code !== UNDEFINED_FUNCTION) throw e;
+      return fullSnapshot(tdb.query, null);
+    }
+
+    // Transactions only when something changed; locations and the draft count always
+    const medicationIds = changed.rows.map(r => r.medication_id);
+    const snapshot = await loadStockSnapshot(tdb.query, {
+      medicationIds,
+      withTransactions: medicationIds.length > 0
+    });
+    return db.ok({ full: false, cursor, medicationIds, ...snapshot });
+  } catch (e) {
+    return db.serverError('changes-since', e);
+  }
+});
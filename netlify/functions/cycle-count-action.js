@@ -0,0 +1,71 @@
+// netlify/functions/cycle-count-action.js
+// Assigns or skips pending cycle-count tasks.
+// Body: { action: 'assign' | 'skip', taskIds: [...], userId }
+// Anyone who can count may take unassigned tasks for themselves (assign with
+// their own userId); assigning to others, unassigning and skipping need
+// planCycleCounts.
+const db = require('./_db');
+const { withPermission, forbidden, can } = require('./_permissions');
+const { logActivity } = require('./_activity-log');
+
+exports.handler = withPermission({ POST: 'stockTake' }, async (event, { tdb, user }) => {
+  try {
+    const { action, taskIds, userId } = db.parseBody(event);
+
+    if (!action) return db.fail(400, 'Missing required field: action');
+    if (!['assign', 'skip'].includes(action)) {
+      return db.fail(400, 'Invalid action. Must be: assign or skip');
+    }
+    if (!Array.isArray(taskIds) || taskIds.length === 0) {
+      return db.fail(400, 'Missing required field: taskIds');
+    }
+
+    const isPlanner = can(user.role, 'planCycleCounts');
+    const selfClaim = action === 'assign' && userId != null && String(userId) === String(user.id);
+    if (!isPlanner && !selfClaim) {
+      return forbidden(user, 'planCycleCounts');
+    }
+
+    // --- SKIP ---
+    if (action === 'skip') {
+      const result = await tdb.query(
+        `UPDATE cycle_count_tasks SET status = 'skipped', completed_by = $2, completed_at = NOW()
+         WHERE id = ANY($1) AND status = 'pending'
+         RETURNING id`,
+        [taskIds, user.id]
+      );
+      await logActivity({
+        userId: user.id,
+        actionType: 'cycle_counts_skipped',
+        entityType: 'cycle_count',
+        details: { taskIds: result.rows.map(r => r.id), count: result.rows.length },
+        queryFn: tdb.query
+      });
+      return db.ok({ updated: result.rows.length });
+    }
+
+    // --- ASSIGN ---
+    let assignee = null;
+    if (userId != null && userId !== '') {
+      const found = await tdb.query('SELECT id, full_name, username, role FROM users WHERE id = $1 AND active = true', [userId]);
+      if (found.rows.length === 0) return db.fail(400, 'Unknown or inactive user');
+      assignee = found.rows[0];
+      if (!can(assignee.role, 'stockTake')) {
+        return db.fail(400, `${assignee.full_name || assignee.username} (${assignee.role}) cannot carry out counts.`);
+      }
+    }
+
+    // A self-claim only takes tasks nobody else has
+    const result = await tdb.query(
+      `UPDATE cycle_count_tasks SET assigned_to = $2
+       WHERE id = ANY($1) AND status = 'pending'
+         AND ($3::boolean OR assigned_to IS NULL OR assigned_to = $2)
+       RETURNING id`,
+      [taskIds, assignee ? assignee.id : null, isPlanner]
+    );
+
+    return db.ok({ updated: result.rows.length });
+  } catch (e) {
+    return db.serverError('cycle-count-action', e);
+  }
+});
@@ -0,0 +1,157 @@
+// netlify/functions/cycle-count-complete.js
+// Completes a cycle-count task by entering counted quantities per batch.
+// Body: { id, counts: [{ batchId, countedQty }], witness }
+// Counts are compared with inventory at the moment of completion; each
+// mismatch is corrected immediately with a 'Stock-take' reason (excluded from
+// usage), and the task records whether the count was accurate.
+const db = require('./_db');
+const { withPermission, can } = require('./_permissions');
+const { logActivity } = require('./_activity-log');
+const { requireWitness } = require('./_controlled-drugs');
+const { cycleCountReason } = require('./_cycle-count');
+const { publish } = require('./_events');
+
+exports.handler = withPermission({ POST: 'stockTake' }, async (event, { tdb, user }) => {
+  try {
+    const body = db.parseBody(event);
+    const { id, counts } = body;
+
+    if (!id) return db.fail(400, 'Missing required field: id');
+    if (!Array.isArray(counts)) return db.fail(400, 'Missing required field: counts');
+    for (const c of counts) {
+      if (c.batchId === undefined || c.batchId === null || c.batchId === '') {
+        return db.fail(400, 'Each count needs a batchId');
+      }
+      if (!Number.isInteger(Number(c.countedQty)) || Number(c.countedQty) < 0 || c.countedQty === null || c.countedQty === '') {
+        return db.fail(400, 'Counted quantities must be whole numbers of zero or more');
+      }
+    }
+
+    const taskResult = await tdb.query(`
+      SELECT t.*, m.name AS medication_name, m.controlled_drug, au.full_name AS assigned_to_name
+      FROM cycle_count_tasks t
+      JOIN medications m ON m.id = t.medication_id
+      LEFT JOIN users au ON au.id = t.assigned_to
+      WHERE t.id = $1
+    `, [id]);
+    const task = taskResult.rows[0];
+    if (!task) return db.fail(404, 'Count task not found');
+    if (task.status !== 'pending') {
+      return db.fail(409, `This count has already been ${task.status}.`, { code: 'CYCLE_COUNT_CLOSED' });
+    }
+    if (task.assigned_to && String(task.assigned_to) !== String(user.id) && !can(user.role, 'planCycleCounts')) {
+      return db.fail(403, `This count is assigned to ${task.assigned_to_name || 'another user'}.`, { code: 'FORBIDDEN' });
+    }
+
+    // Every batch held at the location must be counted (0 if none were found)
+    const heldResult = await tdb.query(`
+      SELECT b.id AS batch_id, b.batch_code, COALESCE(i.on_hand, 0) AS on_hand
+      FROM batches b
+      LEFT JOIN inventory i ON i.batch_id = b.id AND i.location_id = $2
+      WHERE b.medication_id = $1
+    `, [task.medication_id, task.location_id]);
+    const batches = {};
+    for (const row of heldResult.rows) batches[String(row.batch_id)] = row;
+
+    const countByBatch = {};
+    for (const c of counts) {
+      if (!batches[String(c.batchId)]) {
+        return db.fail(400, `Batch ${c.batchId} is not a batch of ${task.medication_name}`);
+      }
+      countByBatch[String(c.batchId)] = Number(c.countedQty);
+    }
+    const uncounted = heldResult.rows.filter(row => row.on_hand > 0 && countByBatch[String(row.batch_id)] === undefined);
+    if (uncounted.length > 0) {
+      return db.fail(400, `Enter a count for every batch (0 if none were found): ${uncounted.map(r => r.batch_code).join(', ')}`);
+    }
+
+    // Controlled drug corrections need a witness, as with any other CD movement
+    let witness = null;
+    const anyVariance = Object.entries(countByBatch).some(([batchId, counted]) => counted !== batches[batchId].on_hand);
+    if (task.controlled_drug && anyVariance) {
+      const result = await requireWitness(event, tdb, user, Object.keys(countByBatch)[0], body.witness);
+      if (result.error) return result.error;
+      witness = result.witness;
+    }
+    const witnessUserId = witness ? witness.id : null;
+
+    const { lines, error } = await tdb.withTransaction(async (client) => {
+      const lines = [];
+
+      const locked = await client.query('SELECT status FROM cycle_count_tasks WHERE id = $1 FOR UPDATE', [id]);
+      if (locked.rows[0].status !== 'pending') {
+        return { error: db.fail(409, `This count has already been ${locked.rows[0].status}.`, { code: 'CYCLE_COUNT_CLOSED' }) };
+      }
+
+      for (const [batchId, countedQty] of Object.entries(countByBatch)) {
+        const inv = await client.query(
+          'SELECT on_hand FROM inventory WHERE location_id = $1 AND batch_id = $2 FOR UPDATE',
+          [task.location_id, batchId]
+        );
+        const expectedQty = inv.rows.length > 0 ? inv.rows[0].on_hand : 0;
+        const delta = countedQty - expectedQty;
+        lines.push({ batchId: Number(batchId), batchCode: batches[batchId].batch_code, expectedQty, countedQty });
+        if (delta === 0) continue;
+
+        if (inv.rows.length === 0) {
+          await client.query(
+            'INSERT INTO inventory (location_id, batch_id, on_hand) VALUES ($1, $2, $3)',
+            [task.location_id, batchId, countedQty]
+          );
+        } else {
+          await client.query(
+            'UPDATE inventory SET on_hand = $1 WHERE location_id = $2 AND batch_id = $3',
+            [countedQty, task.location_id, batchId]
+          );
+        }
+
+        await client.query(
+          `INSERT INTO transactions
+           (batch_id, location_id, medication_id, user_id, delta, type, reason, witness_user_id, movement_type)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'stock_take')`,
+          [batchId, task.location_id, task.medication_id, user.id, delta, delta > 0 ? 'in' : 'out',
+            cycleCountReason(task.id, countedQty, expectedQty), witnessUserId]
+        );
+      }
+
+      const expectedTotal = lines.reduce((sum, l) => sum + l.expectedQty, 0);
+      const countedTotal = lines.reduce((sum, l) => sum + l.countedQty, 0);
+      const accurate = lines.every(l => l.expectedQty === l.countedQty);
+
+      await client.query(
+        `UPDATE cycle_count_tasks
+         SET status = 'completed', expected_qty = $2, counted_qty = $3, accurate = $4, counts = $5,
+             completed_by = $6, completed_at = NOW()
+         WHERE id = $1`,
+        [id, expectedTotal, countedTotal, accurate, JSON.stringify(lines), user.id]
+      );
+
+      return { lines };
+    });
+    if (error) return error;
+
+    const accurate = lines.every(l => l.expectedQty === l.countedQty);
+    await logActivity({
+      userId: user.id,
+      witnessUserId,
+      actionType: 'cycle_count_completed',
+      entityType: 'medication',
+      entityId: task.medication_id,
+      locationId: task.location_id,
+      details: {
+        taskId: task.id,
+        medicationName: task.medication_name,
+        abcClass: task.abc_class,
+        accurate,
+        lines,
+        ...(witness && { witnessName: witness.full_name || witness.username })
+      },
+      queryFn: tdb.query
+    });
+
+    if (!accurate) await publish(tdb, 'inventory', { medicationIds: [task.medication_id] });
+    return db.ok({ accurate, lines });
+  } catch (e) {
+    return db.serverError('cycle-count-complete', e);
+  }
+});
@@ -0,0 +1,29 @@
+// netlify/functions/cycle-count-generate.js
+// Plans this week's cycle counts on demand (the weekly schedule does the same
+// in cycle-count-schedule.js). Body: { locationId } (optional, all locations if omitted)
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { logActivity } = require('./_activity-log');
+const { planWeek } = require('./_cycle-count');
+
+exports.handler = withPermission({ POST: 'planCycleCounts' }, async (event, { tdb, user }) => {
+  try {
+    const { locationId } = db.parseBody(event);
+
+    const plan = await planWeek(tdb.query, { locationId: locationId || null });
+
+    await logActivity({
+      userId: user.id,
+      actionType: 'cycle_counts_planned',
+      entityType: 'cycle_count',
+      entityId: plan.weekStart,
+      locationId: locationId || null,
+      details: { weekStart: plan.weekStart, created: plan.created, byLocation: plan.byLocation, source: 'manual' },
+      queryFn: tdb.query
+    });
+
+    return db.ok(plan);
+  } catch (e) {
+    return db.serverError('cycle-count-generate', e);
+  }
+});
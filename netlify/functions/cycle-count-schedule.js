@@ -0,0 +1,31 @@
+// netlify/functions/cycle-count-schedule.js
+// Scheduled function (netlify.toml, Mondays 05:00 UTC): plans the new week's
+// cycle counts for every tenant. Scheduled functions cannot be called over
+// HTTP in production, so there is no session or permission check here.
+const db = require('./_db');
+const { TENANTS } = require('./_tenants');
+const { logActivity } = require('./_activity-log');
+const { planWeek } = require('./_cycle-count');
+
+exports.handler = async () => {
+  for (const tenant of Object.values(TENANTS)) {
+    try {
+      const tdb = db.forTenant({ headers: { host: `${tenant.slug}.clinitrack.co.uk` } });
+      if (!tdb) continue;
+
+      const plan = await planWeek(tdb.query);
+      await logActivity({
+        actionType: 'cycle_counts_planned',
+        entityType: 'cycle_count',
+        entityId: plan.weekStart,
+        details: { weekStart: plan.weekStart, created: plan.created, byLocation: plan.byLocation, source: 'schedule' },
+        queryFn: tdb.query
+      });
+      console.log(`[cycle-count-schedule] ${tenant.slug}: ${plan.created} task(s) for week of ${plan.weekStart}`);
+    } catch (e) {
+      // One tenant's failure should not stop the others being planned
+      console.error(`[cycle-count-schedule] ${tenant.slug} error:`, e);
+    }
+  }
+  return { statusCode: 200 };
+};
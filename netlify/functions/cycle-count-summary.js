@@ -0,0 +1,100 @@
+// netlify/functions/cycle-count-summary.js
+// Dashboard figures for cycle counting: overdue and due tasks, the signed-in
+// user's own tasks, and weekly count accuracy (share of completed counts
+// that matched inventory) for the last `weeks` weeks (default 12).
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+
+exports.handler = withPermission({ GET: 'stockTake' }, async (event, { tdb, user }) => {
+  try {
+    const params = event.queryStringParameters || {};
+    const weeks = Math.min(Math.max(parseInt(params.weeks, 10) || 12, 1), 52);
+
+    const [openResult, accuracyResult, classResult] = await Promise.all([
+      tdb.query(`
+        SELECT
+          t.location_id,
+          l.display_name AS location_name,
+          COUNT(*) FILTER (WHERE t.due_date < CURRENT_DATE)::int AS overdue,
+          COUNT(*)::int AS pending,
+          COUNT(*) FILTER (WHERE t.assigned_to = $1)::int AS mine,
+          COUNT(*) FILTER (WHERE t.assigned_to = $1 AND t.due_date < CURRENT_DATE)::int AS mine_overdue,
+          COUNT(*) FILTER (WHERE t.assigned_to IS NULL)::int AS unassigned
+        FROM cycle_count_tasks t
+        LEFT JOIN locations l ON l.id = t.location_id
+        WHERE t.status = 'pending'
+        GROUP BY t.location_id, l.display_name
+        ORDER BY l.display_name
+      `, [user.id]),
+      tdb.query(`
+        SELECT
+          date_trunc('week', completed_at)::date AS week_start,
+          COUNT(*)::int AS completed,
+          COUNT(*) FILTER (WHERE accurate)::int AS accurate
+        FROM cycle_count_tasks
+        WHERE status = 'completed'
+          AND completed_at >= date_trunc('week', NOW()) - ($1::int - 1) * INTERVAL '1 week'
+        GROUP BY 1
+        ORDER BY 1
+      `, [weeks]),
+      tdb.query(`
+        SELECT abc_class, COUNT(*)::int AS completed, COUNT(*) FILTER (WHERE accurate)::int AS accurate
+        FROM cycle_count_tasks
+        WHERE status = 'completed'
+          AND completed_at >= date_trunc('week', NOW()) - ($1::int - 1) * INTERVAL '1 week'
+        GROUP BY abc_class
+      `, [weeks])
+    ]);
+
+    const pct = (accurate, completed) => (completed > 0 ? Math.round((accurate / completed) * 1000) / 10 : null);
+
+    // One entry per week, including weeks with no completed counts
+    const byWeek = {};
+    for (const row of accuracyResult.rows) {
+      byWeek[new Date(row.week_start).toISOString().slice(0, 10)] = row;
+    }
+    const monday = new Date();
+    monday.setUTCHours(0, 0, 0, 0);
+    monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+    const accuracyTrend = [];
+    for (let i = weeks - 1; i >= 0; i--) {
+      const weekStart = new Date(monday.getTime() - i * 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      const row = byWeek[weekStart];
+      accuracyTrend.push({
+        weekStart,
+        completed: row ? row.completed : 0,
+        accurate: row ? row.accurate : 0,
+        accuracyPct: row ? pct(row.accurate, row.completed) : null
+      });
+    }
+
+    const locations = openResult.rows.map(row => ({
+      locationId: row.location_id,
+      locationName: row.location_name || row.location_id,
+      pending: row.pending,
+      overdue: row.overdue,
+      unassigned: row.unassigned
+    }));
+    const sum = (field) => openResult.rows.reduce((total, row) => total + row[field], 0);
+    const completed = accuracyTrend.reduce((total, w) => total + w.completed, 0);
+    const accurate = accuracyTrend.reduce((total, w) => total + w.accurate, 0);
+
+    const byClass = {};
+    for (const row of classResult.rows) {
+      byClass[row.abc_class] = { completed: row.completed, accurate: row.accurate, accuracyPct: pct(row.accurate, row.completed) };
+    }
+
+    return db.ok({
+      pending: sum('pending'),
+      overdue: sum('overdue'),
+      unassigned: sum('unassigned'),
+      mine: { pending: sum('mine'), overdue: sum('mine_overdue') },
+      locations,
+      accuracy: { completed, accurate, accuracyPct: pct(accurate, completed) },
+      accuracyTrend,
+      byClass
+    });
+  } catch (e) {
+    return db.serverError('cycle-count-summary', e);
+  }
+});
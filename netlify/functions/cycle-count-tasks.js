@@ -0,0 +1,102 @@
+// netlify/functions/cycle-count-tasks.js
+// Lists cycle-count tasks. Pending tasks include the batches held at the
+// location so the count can be entered per batch; expected quantities are
+// deliberately left out so counts are made blind.
+// Query params: status (pending | completed | all, default pending),
+// locationId, assignedTo ('me' or a user id)
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+
+exports.handler = withPermission({ GET: 'stockTake' }, async (event, { tdb, user }) => {
+  try {
+    const params = event.queryStringParameters || {};
+    const status = params.status || 'pending';
+    if (!['pending', 'completed', 'all'].includes(status)) {
+      return db.fail(400, 'Invalid status. Must be: pending, completed or all');
+    }
+    const assignedTo = params.assignedTo === 'me' ? user.id : (params.assignedTo || null);
+
+    const result = await tdb.query(`
+      SELECT
+        t.*,
+        CASE WHEN m.strength IS NULL OR m.strength = 'N/A' THEN m.name
+             ELSE m.name || ' ' || m.strength END AS medication_name,
+        m.controlled_drug,
+        l.display_name AS location_name,
+        au.full_name AS assigned_to_name,
+        cu.full_name AS completed_by_name
+      FROM cycle_count_tasks t
+      JOIN medications m ON m.id = t.medication_id
+      LEFT JOIN locations l ON l.id = t.location_id
+      LEFT JOIN users au ON au.id = t.assigned_to
+      LEFT JOIN users cu ON cu.id = t.completed_by
+      WHERE ($1::text = 'all' OR t.status = $1)
+        AND ($2::text IS NULL OR t.location_id = $2)
+        AND ($3::int IS NULL OR t.assigned_to = $3)
+      ORDER BY
+        CASE WHEN t.status = 'pending' THEN t.due_date END ASC NULLS LAST,
+        t.completed_at DESC NULLS LAST,
+        t.abc_class,
+        m.name
+      LIMIT 500
+    `, [status, params.locationId || null, assignedTo]);
+
+    // Batches on hand for each pending (location, medication) pair
+    const pendingRows = result.rows.filter(row => row.status === 'pending');
+    const batchesByKey = {};
+    if (pendingRows.length > 0) {
+      const batches = await tdb.query(`
+        SELECT i.location_id, b.medication_id, b.id AS batch_id, b.batch_code, b.expiry_date, b.items_per_box
+        FROM inventory i
+        JOIN batches b ON b.id = i.batch_id
+        WHERE i.on_hand > 0
+          AND (i.location_id, b.medication_id) IN (
+            SELECT * FROM unnest($1::text[], $2::text[])
+          )
+        ORDER BY b.expiry_date NULLS LAST, b.batch_code
+      `, [pendingRows.map(row => row.location_id), pendingRows.map(row => row.medication_id)]);
+      for (const row of batches.rows) {
+        const key = `${row.medication_id}|${row.location_id}`;
+        if (!batchesByKey[key]) batchesByKey[key] = [];
+        batchesByKey[key].push({
+          batchId: row.batch_id,
+          batchCode: row.batch_code || '',
+          expiryDate: row.expiry_date ? new Date(row.expiry_date).toISOString().slice(0, 10) : null,
+          itemsPerBox: row.items_per_box || null
+        });
+      }
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const tasks = result.rows.map(row => {
+      const dueDate = new Date(row.due_date).toISOString().slice(0, 10);
+      return {
+        id: row.id,
+        locationId: row.location_id,
+        locationName: row.location_name || row.location_id,
+        medicationId: row.medication_id,
+        medicationName: row.medication_name,
+        controlledDrug: !!row.controlled_drug,
+        abcClass: row.abc_class,
+        usageValue: Number(row.usage_value),
+        weekStart: new Date(row.week_start).toISOString().slice(0, 10),
+        dueDate,
+        overdue: row.status === 'pending' && dueDate < today,
+        assignedTo: row.assigned_to,
+        assignedToName: row.assigned_to_name || null,
+        status: row.status,
+        expectedQty: row.expected_qty,
+        countedQty: row.counted_qty,
+        accurate: row.accurate,
+        counts: row.counts || null,
+        completedBy: row.completed_by_name || null,
+        completedAt: row.completed_at ? row.completed_at.toISOString() : null,
+        batches: row.status === 'pending' ? (batchesByKey[`${row.medication_id}|${row.location_id}`] || []) : undefined
+      };
+    });
+
+    return db.ok({ tasks });
+  } catch (e) {
+    return db.serverError('cycle-count-tasks', e);
+  }
+});
@@ -1,20 +1,18 @@
 // netlify/functions/draft-orders-action.js
 // Handles approve/reject actions on draft orders
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
 const { routeAndBatchOrders } = require('./_supplier-router');
+const { publish } = require('./_events');
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
-
+exports.handler = withPermission({ POST: 'purchaseOrders' }, async (event, { tdb, user }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
+    const userId = user.id;
 
     const {
       action,       // 'approve' | 'reject' | 'approve-all'
       draftIds,     // array of draft IDs (ignored for approve-all)
-      userId,
       pharmacistEmail,
       adjustments   // optional { draftId: newQuantity }
     } = db.parseBody(event);
@@ -59,6 +57,7 @@ exports.handler = async (event) => {
         });
       }
 
+      await publish(tdb, 'draft-orders', { medicationIds: result.rows.map(r => r.medication_id) });
       return db.ok({
         rejectedCount: result.rows.length
       });
@@ -119,12 +118,11 @@ exports.handler = async (event) => {
       itemsPerBoxByMed[row.medication_id] = row.items_per_box;
     }
 
-    const approvedOrders = [];
     const adj = adjustments || {};
 
     // Wrap all approvals in a transaction for atomicity
-    await tdb.query('BEGIN');
-    try {
+    const approvedOrders = await tdb.withTransaction(async (client) => {
+      const approved = [];
       for (const draft of draftsToApprove) {
         // Determine final quantity (boxes)
         const finalBoxes = adj[draft.id] != null ? Number(adj[draft.id]) : draft.suggested_quantity;
@@ -135,7 +133,7 @@ exports.handler = async (event) => {
         const quantityInItems = finalBoxes * itemsPerBox;
 
         // Create real order
-        const orderResult = await tdb.query(
+        const orderResult = await client.query(
           `INSERT INTO orders
            (medication_id, user_id, quantity, urgency, notes, pharmacist_email, status, ordered_at)
            VALUES ($1, $2, $3, $4, $5, $6, 'pending', NOW())
@@ -153,7 +151,7 @@ exports.handler = async (event) => {
         const order = orderResult.rows[0];
 
         // Update draft
-        await tdb.query(
+        await client.query(
           `UPDATE draft_orders
            SET status = 'approved', approved_quantity = $1, approved_by = $2,
                approved_at = NOW(), order_id = $3
@@ -161,24 +159,7 @@ exports.handler = async (event) => {
           [finalBoxes, userId || null, order.id, draft.id]
         );
 
-        // Log activity
-        await logActivity({
-          userId: userId || null,
-          actionType: 'draft_approved',
-          entityType: 'draft_order',
-          entityId: draft.id,
-          details: {
-            draftId: draft.id,
-            medicationName: draft.medication_name,
-            suggestedQuantity: draft.suggested_quantity,
-            approvedQuantity: finalBoxes,
-            quantityInItems,
-            orderId: order.id
-          },
-          queryFn: tdb.query
-        });
-
-        approvedOrders.push({
+        approved.push({
           orderId: order.id,
           draftId: draft.id,
           medicationId: draft.medication_id,
@@ -186,16 +167,33 @@ exports.handler = async (event) => {
           medicationForm: draft.medication_form || '',
           quantityBoxes: finalBoxes,
           quantityItems: quantityInItems,
+          suggestedQuantity: draft.suggested_quantity,
           urgency: draft.urgency,
           currentStock: Number(draft.current_stock_boxes),
           minLevel: Number(draft.min_level_boxes),
           orderedAt: order.ordered_at
         });
       }
-      await tdb.query('COMMIT');
-    } catch (err) {
-      await tdb.query('ROLLBACK');
-      throw err;
+      return approved;
+    });
+
+    // Log each approval once the orders are committed
+    for (const o of approvedOrders) {
+      await logActivity({
+        userId: userId || null,
+        actionType: 'draft_approved',
+        entityType: 'draft_order',
+        entityId: o.draftId,
+        details: {
+          draftId: o.draftId,
+          medicationName: o.medicationName,
+          suggestedQuantity: o.suggestedQuantity,
+          approvedQuantity: o.quantityBoxes,
+          quantityInItems: o.quantityItems,
+          orderId: o.orderId
+        },
+        queryFn: tdb.query
+      });
     }
 
     // Log bulk approval
@@ -258,13 +256,16 @@ exports.handler = async (event) => {
     let unassignedOrderIds = [];
     try {
       const orderIds = approvedOrders.map(o => o.orderId);
-      const routing = await routeAndBatchOrders(orderIds, userId, tdb.query);
+      const routing = await tdb.withTransaction(client => routeAndBatchOrders(orderIds, userId, client.query.bind(client)));
       supplierBatches = routing.supplierBatches;
       unassignedOrderIds = routing.unassignedOrderIds;
     } catch (routeErr) {
       console.error('Supplier routing (non-fatal):', routeErr.message);
     }
 
+    const approvedMedicationIds = approvedOrders.map(o => o.medicationId);
+    await publish(tdb, 'orders', { medicationIds: approvedMedicationIds });
+    await publish(tdb, 'draft-orders', { medicationIds: approvedMedicationIds });
     return db.ok({
       approvedCount: approvedOrders.length,
       orders: approvedOrders,
@@ -279,4 +280,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('draft-orders-action', e);
   }
-};
+});
@@ -2,7 +2,9 @@
 // Auto-generates draft purchase orders based on intelligence recommendations
 const crypto = require('crypto');
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
+const { publish } = require('./_events');
 const {
   getMaturityInfo,
   getStockLevels,
@@ -11,14 +13,11 @@ const {
   analyzeMedication
 } = require('./_intelligence-core');
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
-
+exports.handler = withPermission({ POST: 'purchaseOrders' }, async (event, { tdb, user }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
+    const userId = user.id;
 
-    const { userId, locationId } = db.parseBody(event);
+    const { locationId } = db.parseBody(event);
 
     // Fetch maturity, stock levels, items-per-box, and existing drafts/orders
     // in parallel — all four are independent reads. Weekly usage depends on
@@ -216,6 +215,7 @@ exports.handler = async (event) => {
         },
         queryFn: tdb.query
       });
+      await publish(tdb, 'draft-orders', { medicationIds: drafts.map(d => d.medicationId) });
     }
 
     return db.ok({
@@ -230,4 +230,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('draft-orders-generate', e);
   }
-};
+});
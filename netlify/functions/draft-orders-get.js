@@ -1,14 +1,10 @@
 // netlify/functions/draft-orders-get.js
 // Retrieves draft orders for the Purchase Orders review tab
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'GET') return db.methodNotAllowed();
-
+exports.handler = withPermission({ GET: 'purchaseOrders' }, async (event, { tdb }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
-
     const params = event.queryStringParameters || {};
     const status = params.status || 'pending_review';
 
@@ -79,4 +75,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('draft-orders-get', e);
   }
-};
+});
@@ -0,0 +1,89 @@
+// netlify/functions/events-stream.mjs
+// Server-Sent Events for api.startLiveUpdates: inventory, orders and
+// draft-orders change events for the caller's tenant (_events.js).
+// A streaming (Functions 2.0) handler, hence ESM. Each response stays open for
+// STREAM_SECONDS, under the function timeout in netlify.toml; the browser's
+// EventSource then reconnects by itself and the SPA re-syncs on every open.
+import db from './_db.js';
+import auth from './_auth.js';
+import permissions from './_permissions.js';
+import events from './_events.js';
+
+const STREAM_SECONDS = 25;
+const HEARTBEAT_SECONDS = 10;
+// Sent to the browser: how long to wait before reconnecting
+const RETRY_MS = 2000;
+
+// The helpers expect a Lambda-style event
+const toEvent = (req) => ({
+  httpMethod: req.method,
+  path: new URL(req.url).pathname,
+  headers: Object.fromEntries(req.headers)
+});
+
+// Lambda-style { statusCode, body } from the db helpers → Response
+const toResponse = (result) => new Response(result.body, {
+  status: result.statusCode,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+export default async (req) => {
+  if (req.method !== 'GET') return toResponse(db.methodNotAllowed());
+
+  let unsubscribe;
+  try {
+    const event = toEvent(req);
+    const tdb = db.forTenant(event);
+    if (!tdb) return toResponse(db.tenantNotFound());
+
+    const { user, error } = await auth.requireUser(event, tdb);
+    if (error) return toResponse(error);
+
+    const denied = permissions.forbidden(user, 'viewStock');
+    if (denied) return toResponse(denied);
+
+    const encoder = new TextEncoder();
+    let controller;
+    let closed = false;
+    let heartbeat, timer;
+    const send = (chunk) => {
+      if (!closed) controller.enqueue(encoder.encode(chunk));
+    };
+    const close = async () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      clearTimeout(timer);
+      await unsubscribe();
+      try { controller.close(); } catch (_) { /* already cancelled by the client */ }
+    };
+
+    unsubscribe = await events.subscribe(tdb.tenant, (evt) => {
+      if (events.EVENT_TYPES.includes(evt.type)) {
+        send(`event: ${evt.type}\ndata: ${JSON.stringify(evt)}\n\n`);
+      }
+    });
+
+    const stream = new ReadableStream({
+      start(c) {
+        controller = c;
+        send(`retry: ${RETRY_MS}\nevent: ready\ndata: {}\n\n`);
+        heartbeat = setInterval(() => send(': keep-alive\n\n'), HEARTBEAT_SECONDS * 1000);
+        timer = setTimeout(close, STREAM_SECONDS * 1000);
+        req.signal.addEventListener('abort', close);
+      },
+      cancel: close
+    });
+
+    return new Response(stream, {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      }
+    });
+  } catch (e) {
+    if (unsubscribe) await unsubscribe();
+    return toResponse(db.serverError('events-stream', e));
+  }
+};
@@ -0,0 +1,170 @@
+// netlify/functions/expiry-report.js
+// Stock expiring within each location's alert horizons (_expiry.js), grouped
+// by location and medication, with value at risk from medication_suppliers.
+// Query params: locationId (optional), format=csv for a download
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { getItemsPerBoxMap, getPricePerItemMap } = require('./_intelligence-core');
+const { getHorizons, horizonsFor, bucketFor } = require('./_expiry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function toCsv(locations) {
+  const rows = [['Location', 'Medication', 'Batch', 'Expiry date', 'Days to expiry', 'Alert', 'Quantity (items)', 'Value at risk (GBP)']];
+  for (const loc of locations) {
+    for (const med of loc.medications) {
+      for (const b of med.batches) {
+        rows.push([
+          loc.locationName,
+          med.medicationName,
+          b.batchCode,
+          b.expiryDate,
+          b.daysToExpiry,
+          b.bucket === 'expired' ? 'Expired' : `Within ${b.bucket} days`,
+          b.onHand,
+          b.valueAtRisk === null ? '' : b.valueAtRisk.toFixed(2)
+        ]);
+      }
+    }
+  }
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+exports.handler = withPermission({ GET: 'expiryReport' }, async (event, { tdb }) => {
+  try {
+    const params = event.queryStringParameters || {};
+    const locationId = params.locationId || null;
+
+    const horizons = await getHorizons(tdb.query);
+    const longest = Math.max(...horizons.default, ...Object.values(horizons.locations).flat());
+
+    const [stockResult, itemsPerBoxByMed] = await Promise.all([
+      tdb.query(`
+        SELECT
+          i.location_id,
+          l.display_name AS location_name,
+          b.medication_id,
+          CASE WHEN m.strength IS NULL OR m.strength = 'N/A' THEN m.name
+               ELSE m.name || ' ' || m.strength END AS medication_name,
+          b.id AS batch_id,
+          b.batch_code,
+          b.expiry_date,
+          b.items_per_box,
+          i.on_hand
+        FROM inventory i
+        JOIN batches b ON b.id = i.batch_id
+        JOIN medications m ON m.id = b.medication_id
+        LEFT JOIN locations l ON l.id = i.location_id
+        WHERE i.on_hand > 0
+          AND m.is_active = true
+          AND b.expiry_date IS NOT NULL
+          AND b.expiry_date <= CURRENT_DATE + $1::int
+          AND ($2::text IS NULL OR i.location_id = $2)
+        ORDER BY l.display_name, b.expiry_date, m.name
+      `, [longest, locationId]),
+      getItemsPerBoxMap(tdb.query)
+    ]);
+    const priceByMed = await getPricePerItemMap(tdb.query, itemsPerBoxByMed);
+
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+
+    const locations = {};
+    for (const row of stockResult.rows) {
+      const locationHorizons = horizonsFor(horizons, row.location_id);
+      const expiry = new Date(row.expiry_date);
+      const expiryUtc = Date.UTC(expiry.getFullYear(), expiry.getMonth(), expiry.getDate());
+      const daysToExpiry = Math.round((expiryUtc - today.getTime()) / DAY_MS);
+      const bucket = bucketFor(daysToExpiry, locationHorizons);
+      if (bucket === null) continue; // beyond this location's longest horizon
+
+      if (!locations[row.location_id]) {
+        locations[row.location_id] = {
+          locationId: row.location_id,
+          locationName: row.location_name || row.location_id,
+          horizons: locationHorizons,
+          totals: {},
+          medications: {}
+        };
+      }
+      const loc = locations[row.location_id];
+      if (!loc.medications[row.medication_id]) {
+        loc.medications[row.medication_id] = {
+          medicationId: row.medication_id,
+          medicationName: row.medication_name,
+          totalItems: 0,
+          valueAtRisk: 0,
+          batches: []
+        };
+      }
+      const med = loc.medications[row.medication_id];
+
+      // unit_price is per box; price items by the batch's own pack size where known
+      const medItemsPerBox = itemsPerBoxByMed[row.medication_id] || 1;
+      const boxPrice = priceByMed[row.medication_id] != null ? priceByMed[row.medication_id] * medItemsPerBox : null;
+      const valueAtRisk = boxPrice === null ? null : round2(boxPrice / (row.items_per_box || medItemsPerBox) * row.on_hand);
+
+      med.batches.push({
+        batchId: row.batch_id,
+        batchCode: row.batch_code || '',
+        expiryDate: new Date(expiryUtc).toISOString().slice(0, 10),
+        daysToExpiry,
+        bucket,
+        onHand: row.on_hand,
+        itemsPerBox: row.items_per_box || null,
+        valueAtRisk
+      });
+      med.totalItems += row.on_hand;
+      med.valueAtRisk = round2(med.valueAtRisk + (valueAtRisk || 0));
+
+      const key = String(bucket);
+      if (!loc.totals[key]) loc.totals[key] = { batches: 0, items: 0, valueAtRisk: 0, unpricedBatches: 0 };
+      loc.totals[key].batches++;
+      loc.totals[key].items += row.on_hand;
+      loc.totals[key].valueAtRisk = round2(loc.totals[key].valueAtRisk + (valueAtRisk || 0));
+      if (valueAtRisk === null) loc.totals[key].unpricedBatches++;
+    }
+
+    const list = Object.values(locations).map(loc => ({
+      ...loc,
+      medications: Object.values(loc.medications).sort((a, b) =>
+        Math.min(...a.batches.map(x => x.daysToExpiry)) - Math.min(...b.batches.map(x => x.daysToExpiry))
+        || a.medicationName.localeCompare(b.medicationName))
+    }));
+
+    if (params.format === 'csv') {
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="expiry-report-${today.toISOString().slice(0, 10)}.csv"`
+        },
+        body: toCsv(list)
+      };
+    }
+
+    // Tenant-wide totals per bucket ('expired' or horizon days)
+    const summary = { totalBatches: 0, totalValueAtRisk: 0, unpricedBatches: 0, buckets: {} };
+    for (const loc of list) {
+      for (const [key, t] of Object.entries(loc.totals)) {
+        if (!summary.buckets[key]) summary.buckets[key] = { batches: 0, items: 0, valueAtRisk: 0 };
+        summary.buckets[key].batches += t.batches;
+        summary.buckets[key].items += t.items;
+        summary.buckets[key].valueAtRisk = round2(summary.buckets[key].valueAtRisk + t.valueAtRisk);
+        summary.totalBatches += t.batches;
+        summary.totalValueAtRisk = round2(summary.totalValueAtRisk + t.valueAtRisk);
+        summary.unpricedBatches += t.unpricedBatches;
+      }
+    }
+
+    return db.ok({ horizons, locations: list, summary, generatedAt: new Date().toISOString() });
+  } catch (e) {
+    return db.serverError('expiry-report', e);
+  }
+});
@@ -0,0 +1,136 @@
+// netlify/functions/fefo-override-report.js
+// How often FEFO is overridden (_fefo.js): outgoing movements of FEFO
+// medications in a date range — dispensing and transfers out — against the
+// ones that passed over an earlier-expiring batch, per user and per location,
+// with the reasons given and the most recent overrides.
+// Query params: from, to (YYYY-MM-DD, default the last 30 days), locationId
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { FEFO_OVERRIDE_REASONS } = require('./_fefo');
+
+const MAX_RECENT = 200;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const dateOnly = (d) => (d ? new Date(d).toISOString().slice(0, 10) : null);
+
+// Overrides per 100 movements, to one decimal place; null with no movements
+const ratePct = (overrides, movements) => (movements > 0 ? Math.round((overrides / movements) * 1000) / 10 : null);
+
+function group(rows, keyOf, baseOf) {
+  const groups = {};
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!groups[key]) groups[key] = { ...baseOf(row), movements: 0, overrides: 0 };
+    groups[key].movements += row.movements;
+    groups[key].overrides += row.overrides;
+  }
+  return Object.values(groups)
+    .map(g => ({ ...g, ratePct: ratePct(g.overrides, g.movements) }))
+    .sort((a, b) => b.overrides - a.overrides || b.movements - a.movements);
+}
+
+exports.handler = withPermission({ GET: 'fefoOverrideReport' }, async (event, { tdb }) => {
+  try {
+    const params = event.queryStringParameters || {};
+    const today = new Date().toISOString().slice(0, 10);
+    const to = params.to || today;
+    const from = params.from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+      return db.fail(400, 'from and to must be dates (YYYY-MM-DD)');
+    }
+    const filters = [from, to, params.locationId || null];
+    const scope = `
+      t.movement_type IN ('dispense', 'transfer_out')
+      AND t.delta < 0
+      AND m.fefo IS NOT FALSE
+      AND t.occurred_at >= $1::date
+      AND t.occurred_at < $2::date + 1
+      AND ($3::text IS NULL OR t.location_id = $3)`;
+
+    const [counts, reasons, recent] = await Promise.all([
+      tdb.query(`
+        SELECT
+          t.user_id,
+          COALESCE(u.full_name, u.username) AS user_name,
+          t.location_id,
+          l.display_name AS location_name,
+          COUNT(*)::int AS movements,
+          COUNT(*) FILTER (WHERE t.fefo_override_reason IS NOT NULL)::int AS overrides
+        FROM transactions t
+        JOIN medications m ON m.id = t.medication_id
+        LEFT JOIN users u ON u.id = t.user_id
+        LEFT JOIN locations l ON l.id = t.location_id
+        WHERE ${scope}
+        GROUP BY t.user_id, u.full_name, u.username, t.location_id, l.display_name
+      `, filters),
+      tdb.query(`
+        SELECT t.fefo_override_reason AS reason, COUNT(*)::int AS overrides
+        FROM transactions t
+        JOIN medications m ON m.id = t.medication_id
+        WHERE ${scope} AND t.fefo_override_reason IS NOT NULL
+        GROUP BY t.fefo_override_reason
+        ORDER BY overrides DESC
+      `, filters),
+      tdb.query(`
+        SELECT
+          t.id,
+          t.occurred_at,
+          t.movement_type,
+          COALESCE(u.full_name, u.username) AS user_name,
+          l.display_name AS location_name,
+          t.location_id,
+          CASE WHEN m.strength IS NULL OR m.strength = 'N/A' THEN m.name
+               ELSE m.name || ' ' || m.strength END AS medication_name,
+          b.batch_code,
+          b.expiry_date,
+          sb.batch_code AS skipped_batch_code,
+          sb.expiry_date AS skipped_expiry_date,
+          t.fefo_override_reason,
+          t.fefo_override_note
+        FROM transactions t
+        JOIN medications m ON m.id = t.medication_id
+        LEFT JOIN batches b ON b.id = t.batch_id
+        LEFT JOIN batches sb ON sb.id = t.fefo_skipped_batch_id
+        LEFT JOIN users u ON u.id = t.user_id
+        LEFT JOIN locations l ON l.id = t.location_id
+        WHERE ${scope} AND t.fefo_override_reason IS NOT NULL
+        ORDER BY t.occurred_at DESC, t.id DESC
+        LIMIT ${MAX_RECENT}
+      `, filters)
+    ]);
+
+    const totals = counts.rows.reduce((sum, row) => ({
+      movements: sum.movements + row.movements,
+      overrides: sum.overrides + row.overrides
+    }), { movements: 0, overrides: 0 });
+
+    return db.ok({
+      from,
+      to,
+      totals: { ...totals, ratePct: ratePct(totals.overrides, totals.movements) },
+      byUser: group(counts.rows, r => r.user_id, r => ({ userId: r.user_id, userName: r.user_name || 'Unknown' })),
+      byLocation: group(counts.rows, r => r.location_id, r => ({ locationId: r.location_id, locationName: r.location_name || r.location_id })),
+      byReason: reasons.rows.map(r => ({ reason: r.reason, label: FEFO_OVERRIDE_REASONS[r.reason] || r.reason, overrides: r.overrides })),
+      recent: recent.rows.map(r => ({
+        transactionId: r.id,
+        occurredAt: r.occurred_at.toISOString(),
+        movementType: r.movement_type,
+        userName: r.user_name || 'Unknown',
+        locationId: r.location_id,
+        locationName: r.location_name || r.location_id,
+        medicationName: r.medication_name,
+        batchCode: r.batch_code || '',
+        expiryDate: dateOnly(r.expiry_date),
+        skippedBatchCode: r.skipped_batch_code || null,
+        skippedExpiryDate: dateOnly(r.skipped_expiry_date),
+        reason: r.fefo_override_reason,
+        reasonLabel: FEFO_OVERRIDE_REASONS[r.fefo_override_reason] || r.fefo_override_reason,
+        note: r.fefo_override_note || ''
+      })),
+      truncated: totals.overrides > MAX_RECENT,
+      generatedAt: new Date().toISOString()
+    });
+  } catch (e) {
+    return db.serverError('fefo-override-report', e);
+  }
+});
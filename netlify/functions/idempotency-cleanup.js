@@ -0,0 +1,21 @@
+// netlify/functions/idempotency-cleanup.js
+// Scheduled function (netlify.toml, daily 03:30 UTC): deletes stored
+// Idempotency-Key responses older than the retention window for every tenant.
+const db = require('./_db');
+const { TENANTS } = require('./_tenants');
+const { purgeExpiredKeys } = require('./_idempotency');
+
+exports.handler = async () => {
+  for (const tenant of Object.values(TENANTS)) {
+    try {
+      const tdb = db.forTenant({ headers: { host: `${tenant.slug}.clinitrack.co.uk` } });
+      if (!tdb) continue;
+
+      const removed = await purgeExpiredKeys(tdb.query);
+      console.log(`[idempotency-cleanup] ${tenant.slug}: ${removed} expired key(s) removed`);
+    } catch (e) {
+      console.error(`[idempotency-cleanup] ${tenant.slug} error:`, e);
+    }
+  }
+  return { statusCode: 200 };
+};
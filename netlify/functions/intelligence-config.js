@@ -1,13 +1,16 @@
 // netlify/functions/intelligence-config.js
-// GET/POST for intelligence configuration (primarily go-live date)
+// GET/POST for intelligence configuration (go-live date, expiry alert horizons)
 const db = require('./_db');
+const { withPermission, forbidden } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
+const { HORIZONS_CONFIG_KEY, validateHorizons } = require('./_expiry');
 
-exports.handler = async (event) => {
-  try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
+// Pipeline state keys are written by anyone running Intelligent Stock;
+// every other key is a user-facing setting and needs intelligenceConfig.
+const PIPELINE_STATE_KEYS = ['pipeline_completion_summary', 'pipeline_lock_until', 'last_pipeline_run'];
 
+exports.handler = withPermission({ GET: 'intelligentStock', POST: 'intelligentStock' }, async (event, { tdb, user }) => {
+  try {
     if (event.httpMethod === 'GET') {
       // Return all config values
       let config = {};
@@ -24,18 +27,33 @@ exports.handler = async (event) => {
     }
 
     if (event.httpMethod === 'POST') {
-      const { key, value, userId } = JSON.parse(event.body || '{}');
+      const userId = user.id;
+
+      const body = JSON.parse(event.body || '{}');
+      const { key } = body;
+      let { value } = body;
 
       if (!key) {
         return db.fail(400, 'Missing required field: key');
       }
 
       // Only allow known config keys
-      const allowedKeys = ['go_live_date', 'last_pipeline_run', 'pipeline_lock_until', 'pipeline_completion_summary'];
+      const allowedKeys = ['go_live_date', 'last_pipeline_run', 'pipeline_lock_until', 'pipeline_completion_summary', HORIZONS_CONFIG_KEY];
       if (!allowedKeys.includes(key)) {
         return db.fail(400, `Unknown config key: ${key}`);
       }
 
+      if (!PIPELINE_STATE_KEYS.includes(key)) {
+        const denied = forbidden(user, 'intelligenceConfig');
+        if (denied) return denied;
+      }
+
+      if (key === HORIZONS_CONFIG_KEY) {
+        const { value: normalised, error } = validateHorizons(value);
+        if (error) return db.fail(400, error);
+        value = normalised;
+      }
+
       // Fetch current value for audit trail
       let oldValue = null;
       try {
@@ -52,8 +70,7 @@ exports.handler = async (event) => {
       );
 
       // Only log user-facing config changes (skip internal pipeline state keys)
-      const silentKeys = ['pipeline_completion_summary', 'pipeline_lock_until', 'last_pipeline_run'];
-      if (!silentKeys.includes(key)) {
+      if (!PIPELINE_STATE_KEYS.includes(key)) {
         await logActivity({
           userId: userId || null,
           actionType: 'config_changed',
@@ -71,4 +88,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('intelligence-config', e);
   }
-};
+});
@@ -1,18 +1,17 @@
 // netlify/functions/intelligence-orders-create.js
 // Creates real orders from intelligence pipeline recommendations
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
 const { routeAndBatchOrders } = require('./_supplier-router');
+const { publish } = require('./_events');
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
-
+exports.handler = withPermission({ POST: 'placeOrders' }, async (event, { tdb, user }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
+    const userId = user.id;
 
     const parsedBody = db.parseBody(event);
-    const { orders, userId, pharmacistEmail } = parsedBody;
+    const { orders, pharmacistEmail } = parsedBody;
     const skipIndividualLogs = parsedBody.skipIndividualLogs === true;
 
     if (!orders || !Array.isArray(orders) || orders.length === 0) {
@@ -35,32 +34,40 @@ exports.handler = async (event) => {
       itemsPerBoxByMed[row.medication_id] = row.items_per_box;
     }
 
+    // All orders in the request are created, or none are
+    const placed = await tdb.withTransaction(async (client) => {
+      const rows = [];
+      for (const item of orders) {
+        const { medicationId, quantityBoxes, urgency } = item;
+        if (!medicationId || !quantityBoxes || quantityBoxes <= 0) continue;
+
+        const itemsPerBox = itemsPerBoxByMed[medicationId] || 1;
+        const quantityInItems = quantityBoxes * itemsPerBox;
+
+        // Create real order in the orders table
+        const orderResult = await client.query(
+          `INSERT INTO orders
+           (medication_id, user_id, quantity, urgency, notes, pharmacist_email, status, ordered_at)
+           VALUES ($1, $2, $3, $4, $5, $6, 'pending', NOW())
+           RETURNING id, ordered_at`,
+          [
+            medicationId,
+            userId || null,
+            quantityInItems,
+            urgency || 'routine',
+            `Intelligence pipeline order for Pharmacy${item.supplyDestinations?.length > 0 ? ' | Supplies: ' + item.supplyDestinations.map(d => d.locationName).join(', ') : ''}`,
+            pharmacistEmail
+          ]
+        );
+        rows.push({ item, order: orderResult.rows[0], quantityInItems });
+      }
+      return rows;
+    });
+
     const createdOrders = [];
 
-    for (const item of orders) {
+    for (const { item, order, quantityInItems } of placed) {
       const { medicationId, medicationName, locationId, quantityBoxes, urgency } = item;
-      if (!medicationId || !quantityBoxes || quantityBoxes <= 0) continue;
-
-      const itemsPerBox = itemsPerBoxByMed[medicationId] || 1;
-      const quantityInItems = quantityBoxes * itemsPerBox;
-
-      // Create real order in the orders table
-      const orderResult = await tdb.query(
-        `INSERT INTO orders
-         (medication_id, user_id, quantity, urgency, notes, pharmacist_email, status, ordered_at)
-         VALUES ($1, $2, $3, $4, $5, $6, 'pending', NOW())
-         RETURNING id, ordered_at`,
-        [
-          medicationId,
-          userId || null,
-          quantityInItems,
-          urgency || 'routine',
-          `Intelligence pipeline order for Pharmacy${item.supplyDestinations?.length > 0 ? ' | Supplies: ' + item.supplyDestinations.map(d => d.locationName).join(', ') : ''}`,
-          pharmacistEmail
-        ]
-      );
-
-      const order = orderResult.rows[0];
 
       // Log activity with full pipeline context (skip during bulk operations)
       if (!skipIndividualLogs) {
@@ -171,13 +178,14 @@ exports.handler = async (event) => {
     let unassignedOrderIds = [];
     try {
       const orderIds = createdOrders.map(o => o.orderId);
-      const routing = await routeAndBatchOrders(orderIds, userId, tdb.query);
+      const routing = await tdb.withTransaction(client => routeAndBatchOrders(orderIds, userId, client.query.bind(client)));
       supplierBatches = routing.supplierBatches;
       unassignedOrderIds = routing.unassignedOrderIds;
     } catch (routeErr) {
       console.error('Supplier routing (non-fatal):', routeErr.message);
     }
 
+    await publish(tdb, 'orders', { medicationIds: createdOrders.map(o => o.medicationId) });
     return db.ok({
       approvedCount: createdOrders.length,
       orders: createdOrders,
@@ -192,4 +200,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('intelligence-orders-create', e);
   }
-};
+});
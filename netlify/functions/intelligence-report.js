@@ -2,6 +2,7 @@
 // Server-side intelligence report generation with full transaction history access
 // Supports pipeline snapshot caching with 7-day cooldown
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
 const {
   getMaturityInfo,
@@ -23,8 +24,7 @@ async function fetchExecutedTransferRows(snapshotGeneratedAt, queryFn) {
            location_id AS source_loc,
            medication_id
     FROM transactions
-    WHERE type = 'out'
-      AND reason LIKE 'Transfer to %'
+    WHERE movement_type = 'transfer_out'
       AND occurred_at >= $1
   `, [snapshotGeneratedAt]);
   return result.rows;
@@ -125,13 +125,8 @@ async function reconcileAdjustments(adjustments, queryFn) {
   });
 }
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'GET') return db.methodNotAllowed();
-
+exports.handler = withPermission({ GET: 'intelligentStock' }, async (event, { tdb }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
-
     const params = event.queryStringParameters || {};
     const locationId = params.location_id || null;
     const forceRegenerate = params.force === 'true';
@@ -441,4 +436,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('intelligence-report', e);
   }
-};
+});
@@ -3,6 +3,9 @@
 const db = require('./_db');
 const bcrypt = require('bcryptjs');
 const { logActivity } = require('./_activity-log');
+const auth = require('./_auth');
+const loginGuard = require('./_login-guard');
+const passwordPolicy = require('./_password-policy');
 
 exports.handler = async (event) => {
   if (event.httpMethod !== 'POST') return db.methodNotAllowed();
@@ -17,13 +20,18 @@ exports.handler = async (event) => {
       return db.fail(400, 'Username and password are required.');
     }
 
+    const guard = await loginGuard.begin(event, tdb, username, 'login');
+    if (guard.locked) return guard.locked;
+
     const result = await tdb.query(
-      'SELECT id, username, password_hash, email, first_name, full_name, role, active, location FROM users WHERE username = $1',
+      `SELECT id, username, password_hash, email, first_name, full_name, role, active, location,
+              must_change_password, password_changed_at
+       FROM users WHERE username = $1`,
       [username]
     );
 
     if (result.rows.length === 0) {
-      return db.fail(401, 'Invalid credentials.');
+      return guard.failed(null, 'unknown_username');
     }
 
     const user = result.rows[0];
@@ -34,9 +42,11 @@ exports.handler = async (event) => {
 
     const passwordMatch = await bcrypt.compare(password, user.password_hash);
     if (!passwordMatch) {
-      return db.fail(401, 'Invalid credentials.');
+      return guard.failed(user, 'wrong_password');
     }
 
+    await guard.succeeded();
+
     await logActivity({
       userId: user.id,
       actionType: 'login',
@@ -46,8 +56,20 @@ exports.handler = async (event) => {
       queryFn: tdb.query
     });
 
-    return db.ok({
-      message: 'Login successful.',
+    // A temporary or expired password gets a restricted session that only
+    // password-change.js accepts; the SPA shows the change form instead of the app.
+    const passwordChangeRequired = user.must_change_password
+      ? 'temporary'
+      : passwordPolicy.isExpired(user, passwordPolicy.policyFor(tdb.tenant)) ? 'expired' : null;
+
+    // The session cookie is the only identity the other functions trust;
+    // the user object below is for display in the SPA.
+    const token = auth.issueSession(user, tdb.tenant, { restricted: !!passwordChangeRequired });
+    const expiresIn = passwordChangeRequired ? auth.RESTRICTED_TTL_SECONDS : auth.SESSION_TTL_SECONDS;
+
+    return auth.withCookie(db.ok({
+      message: passwordChangeRequired ? 'Password change required.' : 'Login successful.',
+      passwordChangeRequired,
       user: {
         id: user.id,
         username: user.username,
@@ -56,8 +78,9 @@ exports.handler = async (event) => {
         fullName: user.full_name,
         role: user.role,
         primaryLocation: user.location || null
-      }
-    });
+      },
+      expiresIn
+    }), auth.sessionCookie(token, expiresIn));
   } catch (err) {
     return db.serverError('login', err);
   }
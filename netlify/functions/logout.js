@@ -0,0 +1,33 @@
+// netlify/functions/logout.js
+// Records the logout against the session user and clears the session cookie
+const db = require('./_db');
+const auth = require('./_auth');
+const { logActivity } = require('./_activity-log');
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
+
+  try {
+    const tdb = db.forTenant(event);
+    if (!tdb) return db.tenantNotFound();
+
+    const { method } = db.parseBody(event);
+
+    // An already-expired session still gets its cookie cleared
+    const { user } = await auth.requireUser(event, tdb, { allowRestricted: true });
+    if (user) {
+      await logActivity({
+        userId: user.id,
+        actionType: 'logout',
+        entityType: 'user',
+        entityId: user.id,
+        details: { username: user.username, fullName: user.full_name, method: method || 'manual' },
+        queryFn: tdb.query
+      });
+    }
+
+    return auth.withCookie(db.ok({ message: 'Logged out.' }), auth.clearedSessionCookie());
+  } catch (e) {
+    return db.serverError('logout', e);
+  }
+};
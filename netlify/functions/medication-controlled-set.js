@@ -0,0 +1,45 @@
+// netlify/functions/medication-controlled-set.js
+// Marks a medication as a controlled drug (or clears the flag).
+// Controlled drug movements need a witness — see _controlled-drugs.js
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { logActivity } = require('./_activity-log');
+
+exports.handler = withPermission({ POST: 'manageControlledDrugs' }, async (event, { tdb, user }) => {
+  try {
+    const { medicationId, controlledDrug } = db.parseBody(event);
+
+    if (!medicationId) {
+      return db.fail(400, 'Missing required field: medicationId');
+    }
+    if (typeof controlledDrug !== 'boolean') {
+      return db.fail(400, 'controlledDrug must be true or false');
+    }
+
+    const result = await tdb.query(
+      'UPDATE medications SET controlled_drug = $1 WHERE id = $2 RETURNING id, name, strength',
+      [controlledDrug, medicationId]
+    );
+
+    if (result.rowCount === 0) {
+      return db.fail(404, 'Medication not found');
+    }
+
+    const med = result.rows[0];
+    await logActivity({
+      userId: user.id,
+      actionType: 'controlled_drug_changed',
+      entityType: 'medication',
+      entityId: med.id,
+      details: {
+        medicationName: med.strength && med.strength !== 'N/A' ? `${med.name} ${med.strength}` : med.name,
+        controlledDrug
+      },
+      queryFn: tdb.query
+    });
+
+    return db.ok({ medicationId: med.id, controlledDrug });
+  } catch (e) {
+    return db.serverError('medication-controlled-set', e);
+  }
+});
@@ -1,43 +1,31 @@
 // netlify/functions/medication-delete.js
 // Hard-deletes a medication after verifying:
-//   1. The requesting user exists and is active
-//   2. The user's role is Administrator or Pharmacist (case-insensitive)
+//   1. The session user's role grants deleteMedications (see _permissions.js)
+//   2. The session user exists and is active
 //   3. The submitted password matches the user's bcrypt hash
 // Returns 409 HAS_DEPENDENCIES if FK constraints block the delete so the
 // frontend can fall back to the soft-delete (medication-set-active) flow.
 const db = require('./_db');
 const bcrypt = require('bcryptjs');
+const { withPermission } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
 
-const ALLOWED_ROLES = ['administrator', 'pharmacist'];
-
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
-
+exports.handler = withPermission({ POST: 'deleteMedications' }, async (event, { tdb, user: sessionUser }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
-
-    const { medicationId, userId, password, medicationName } = JSON.parse(event.body || '{}');
+    const { medicationId, password, medicationName } = JSON.parse(event.body || '{}');
 
     if (!medicationId) return db.fail(400, 'Missing required field: medicationId');
-    if (!userId) return db.fail(400, 'Missing required field: userId');
     if (!password) return db.fail(400, 'Password confirmation is required.');
 
     const userResult = await tdb.query(
       'SELECT id, username, password_hash, role, active FROM users WHERE id = $1',
-      [userId]
+      [sessionUser.id]
     );
     if (userResult.rows.length === 0) return db.fail(401, 'User not found.');
 
     const user = userResult.rows[0];
     if (!user.active) return db.fail(401, 'Account is inactive.');
 
-    const roleKey = String(user.role || '').trim().toLowerCase();
-    if (!ALLOWED_ROLES.includes(roleKey)) {
-      return db.fail(403, 'You do not have permission to delete medications.');
-    }
-
     const passwordMatch = await bcrypt.compare(password, user.password_hash);
     if (!passwordMatch) return db.fail(401, 'Incorrect password.');
 
@@ -77,4 +65,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('medication-delete', e);
   }
-};
+});
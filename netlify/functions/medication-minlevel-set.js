@@ -2,16 +2,14 @@
 // Updates the minimum level (in boxes) for a medication
 // Supports optional locationId for per-location min levels
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
-
+exports.handler = withPermission({ POST: 'editMinLevels' }, async (event, { tdb, user }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
+    const userId = user.id;
 
-    const { medicationId, locationId, minLevel, userId, medicationName, oldMinLevel, locationName } = JSON.parse(event.body || '{}');
+    const { medicationId, locationId, minLevel, medicationName, oldMinLevel, locationName } = JSON.parse(event.body || '{}');
 
     if (!medicationId) {
       return db.fail(400, 'Missing required field: medicationId');
@@ -60,4 +58,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('medication-minlevel-set', e);
   }
-};
+});
@@ -1,16 +1,14 @@
 // netlify/functions/medication-set-active.js
 // Sets the is_active status of a medication (for soft-delete)
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
-
+exports.handler = withPermission({ POST: 'deleteMedications' }, async (event, { tdb, user }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
+    const userId = user.id;
 
-    const { medicationId, isActive, userId, medicationName } = JSON.parse(event.body || '{}');
+    const { medicationId, isActive, medicationName } = JSON.parse(event.body || '{}');
 
     if (!medicationId) {
       return db.fail(400, 'Missing required field: medicationId');
@@ -38,4 +36,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('medication-set-active', e);
   }
-};
+});
@@ -1,14 +1,10 @@
 // netlify/functions/medication-suppliers-get.js
 // Get medication-supplier mappings with display names
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'GET') return db.methodNotAllowed();
-
+exports.handler = withPermission({ GET: 'purchaseOrders' }, async (event, { tdb }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
-
     const params = event.queryStringParameters || {};
     const medicationId = params.medicationId;
     const supplierId = params.supplierId;
@@ -63,4 +59,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('medication-suppliers-get', e);
   }
-};
+});
@@ -1,16 +1,13 @@
 // netlify/functions/medication-suppliers-set.js
 // Assign or update a medication-supplier mapping
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
-
+exports.handler = withPermission({ POST: 'manageSuppliers' }, async (event, { tdb, user }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
-
-    const body = db.parseBody(event);
+    // Acting user comes from the session; any userId in the body is ignored
+    const body = { ...db.parseBody(event), userId: user.id };
     const { action } = body;
 
     // Handle bulk assignment
@@ -28,7 +25,7 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('medication-suppliers-set', e);
   }
-};
+});
 
 async function handleUpsert(tdb, body) {
   const {
@@ -47,18 +44,17 @@ async function handleUpsert(tdb, body) {
     return db.fail(400, 'Missing required fields: medicationId, supplierId');
   }
 
-  await tdb.query('BEGIN');
-  try {
+  const mapping = await tdb.withTransaction(async (client) => {
     // If setting as preferred, unset other preferred for this medication
     if (isPreferred) {
-      await tdb.query(
+      await client.query(
         `UPDATE medication_suppliers SET is_preferred = FALSE
          WHERE medication_id = $1 AND supplier_id != $2`,
         [medicationId, supplierId]
       );
     }
 
-    const result = await tdb.query(
+    const result = await client.query(
       `INSERT INTO medication_suppliers
          (medication_id, supplier_id, supplier_product_code, unit_price, is_preferred, lead_time_days, min_order_quantity, notes)
        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
@@ -83,27 +79,24 @@ async function handleUpsert(tdb, body) {
       ]
     );
 
-    await tdb.query('COMMIT');
+    return result.rows[0];
+  });
 
-    await logActivity({
-      userId: userId || null,
-      actionType: 'medication_supplier_linked',
-      entityType: 'medication_supplier',
-      entityId: medicationId,
-      details: {
-        medicationId,
-        supplierId,
-        isPreferred: isPreferred === true,
-        supplierProductCode: supplierProductCode || null
-      },
-      queryFn: tdb.query
-    });
-
-    return db.ok({ mapping: result.rows[0] });
-  } catch (err) {
-    await tdb.query('ROLLBACK');
-    throw err;
-  }
+  await logActivity({
+    userId: userId || null,
+    actionType: 'medication_supplier_linked',
+    entityType: 'medication_supplier',
+    entityId: medicationId,
+    details: {
+      medicationId,
+      supplierId,
+      isPreferred: isPreferred === true,
+      supplierProductCode: supplierProductCode || null
+    },
+    queryFn: tdb.query
+  });
+
+  return db.ok({ mapping });
 }
 
 async function handleBulkAssign(tdb, body) {
@@ -113,19 +106,17 @@ async function handleBulkAssign(tdb, body) {
     return db.fail(400, 'Missing required fields: supplierId, medicationIds[]');
   }
 
-  await tdb.query('BEGIN');
-  try {
-    let assignedCount = 0;
+  await tdb.withTransaction(async (client) => {
     for (const medId of medicationIds) {
       if (isPreferred) {
-        await tdb.query(
+        await client.query(
           `UPDATE medication_suppliers SET is_preferred = FALSE
            WHERE medication_id = $1 AND supplier_id != $2`,
           [medId, supplierId]
         );
       }
 
-      await tdb.query(
+      await client.query(
         `INSERT INTO medication_suppliers (medication_id, supplier_id, is_preferred)
          VALUES ($1, $2, $3)
          ON CONFLICT (medication_id, supplier_id) DO UPDATE SET
@@ -133,24 +124,18 @@ async function handleBulkAssign(tdb, body) {
            updated_at = NOW()`,
         [medId, supplierId, isPreferred === true]
       );
-      assignedCount++;
     }
+  });
 
-    await tdb.query('COMMIT');
-
-    await logActivity({
-      userId: userId || null,
-      actionType: 'medication_supplier_bulk_linked',
-      entityType: 'medication_supplier',
-      details: { supplierId, count: assignedCount, isPreferred: isPreferred === true },
-      queryFn: tdb.query
-    });
+  await logActivity({
+    userId: userId || null,
+    actionType: 'medication_supplier_bulk_linked',
+    entityType: 'medication_supplier',
+    details: { supplierId, count: medicationIds.length, isPreferred: isPreferred === true },
+    queryFn: tdb.query
+  });
 
-    return db.ok({ assignedCount });
-  } catch (err) {
-    await tdb.query('ROLLBACK');
-    throw err;
-  }
+  return db.ok({ assignedCount: medicationIds.length });
 }
 
 async function handleDelete(tdb, body) {
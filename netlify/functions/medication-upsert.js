@@ -2,8 +2,9 @@
 // Finds or creates a medication by barcode or slug (name+strength+form)
 // Returns the medication ID to use for batch operations
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
-const { normalizeBarcode } = require('./_barcode-utils');
+const { normalizeBarcode, invalidBarcode } = require('./_barcode-utils');
 
 // Generates next sequential ID for medications
 async function getNextMedicationId(queryFn) {
@@ -13,12 +14,9 @@ async function getNextMedicationId(queryFn) {
   return String(result.rows[0].next_id);
 }
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
-
+exports.handler = withPermission({ POST: 'editMedications' }, async (event, { tdb, user }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
+    const userId = user.id;
 
     const {
       name,
@@ -30,7 +28,6 @@ exports.handler = async (event) => {
       minLevel,
       minLevelBoxes,
       fefo,
-      userId,
       medicationId: explicitMedId
     } = JSON.parse(event.body || '{}');
 
@@ -42,6 +39,10 @@ exports.handler = async (event) => {
     if (!name) {
       return db.fail(400, 'Missing required field: name');
     }
+    if (barcode) {
+      const invalid = invalidBarcode(barcode);
+      if (invalid) return invalid;
+    }
 
     let medicationId = null;
     let wasCreated = false;
@@ -186,4 +187,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('medication-upsert', e);
   }
-};
+});
@@ -1,15 +1,13 @@
 // netlify/functions/meds-add.js
 // Adds or updates a medication in the database
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
-const { normalizeBarcode } = require('./_barcode-utils');
-
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
+const { normalizeBarcode, invalidBarcode } = require('./_barcode-utils');
 
+exports.handler = withPermission({ POST: 'editMedications' }, async (event, { tdb, user }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
+    const userId = user.id;
 
     const body = JSON.parse(event.body || '{}');
     const {
@@ -31,6 +29,11 @@ exports.handler = async (event) => {
       return db.fail(400, 'Missing required fields: id, name');
     }
 
+    if (barcode) {
+      const invalid = invalidBarcode(barcode);
+      if (invalid) return invalid;
+    }
+
     // Check if medication already exists by barcode
     const normalizedBarcode = barcode ? normalizeBarcode(barcode) : null;
     if (normalizedBarcode) {
@@ -46,7 +49,7 @@ exports.handler = async (event) => {
         await tdb.query('UPDATE medications SET min_level_boxes = $1 WHERE id = $2', [minBoxes, medicationId]);
 
         await logActivity({
-          userId: null,
+          userId,
           actionType: 'med_updated',
           entityType: 'medication',
           entityId: medicationId,
@@ -75,7 +78,7 @@ exports.handler = async (event) => {
     );
 
     await logActivity({
-      userId: null,
+      userId,
       actionType: 'med_upserted',
       entityType: 'medication',
       entityId: id,
@@ -87,4 +90,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('meds-add', e);
   }
-};
+});
@@ -1,53 +1,71 @@
 // netlify/functions/order-fulfill.js
 // Marks an order as fulfilled (or partially fulfilled) when stock arrives
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
+const { publish } = require('./_events');
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
-
+exports.handler = withPermission({ POST: 'receiveStock' }, async (event, { tdb, user }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
+    const userId = user.id;
 
-    const { orderId, userId, medicationName, quantityDelivered } = JSON.parse(event.body || '{}');
+    const { orderId, medicationName, quantityDelivered } = JSON.parse(event.body || '{}');
 
     if (!orderId) {
       return db.fail(400, 'Missing required field: orderId');
     }
 
-    const checkResult = await tdb.query(
-      'SELECT id, status, quantity, COALESCE(quantity_fulfilled, 0) AS quantity_fulfilled FROM orders WHERE id = $1',
-      [orderId]
-    );
+    // Partial fulfillment mode increments quantity_fulfilled; otherwise the
+    // whole order is fulfilled at once
+    const partial = quantityDelivered != null && quantityDelivered > 0;
 
-    if (checkResult.rows.length === 0) {
-      return db.fail(404, 'Order not found');
-    }
+    const { existing, order, error } = await tdb.withTransaction(async (client) => {
+      // Lock the order so two deliveries against it cannot both add to the old total
+      const checkResult = await client.query(
+        'SELECT id, status, quantity, COALESCE(quantity_fulfilled, 0) AS quantity_fulfilled FROM orders WHERE id = $1 FOR UPDATE',
+        [orderId]
+      );
 
-    const existing = checkResult.rows[0];
+      if (checkResult.rows.length === 0) {
+        return { error: db.fail(404, 'Order not found') };
+      }
 
-    if (existing.status !== 'pending') {
-      return db.fail(400, `Order is already ${existing.status}`);
-    }
+      const existing = checkResult.rows[0];
 
-    if (quantityDelivered != null && quantityDelivered > 0) {
-      // Partial fulfillment mode — increment quantity_fulfilled
-      const newFulfilled = existing.quantity_fulfilled + quantityDelivered;
-      const isComplete = newFulfilled >= existing.quantity;
-
-      const result = await tdb.query(
-        `UPDATE orders
-         SET quantity_fulfilled = $2,
-             status = CASE WHEN $2 >= quantity THEN 'fulfilled' ELSE status END,
-             fulfilled_at = CASE WHEN $2 >= quantity THEN NOW() ELSE fulfilled_at END
-         WHERE id = $1
-         RETURNING id, medication_id, status, fulfilled_at, quantity, quantity_fulfilled`,
-        [orderId, newFulfilled]
-      );
+      if (existing.status !== 'pending') {
+        return { error: db.fail(400, `Order is already ${existing.status}`) };
+      }
+
+      const result = partial
+        ? await client.query(
+          `UPDATE orders
+           SET quantity_fulfilled = $2,
+               status = CASE WHEN $2 >= quantity THEN 'fulfilled' ELSE status END,
+               fulfilled_at = CASE WHEN $2 >= quantity THEN NOW() ELSE fulfilled_at END
+           WHERE id = $1
+           RETURNING id, medication_id, status, fulfilled_at, quantity, quantity_fulfilled`,
+          [orderId, existing.quantity_fulfilled + quantityDelivered]
+        )
+        : await client.query(
+          `UPDATE orders
+           SET status = 'fulfilled', fulfilled_at = NOW(), quantity_fulfilled = quantity
+           WHERE id = $1
+           RETURNING id, medication_id, status, fulfilled_at`,
+          [orderId]
+        );
 
       const order = result.rows[0];
 
+      // Check if supplier_order is fully delivered
+      if (order.status === 'fulfilled') {
+        await checkSupplierOrderCompletion(order.id, client);
+      }
+
+      return { existing, order };
+    });
+    if (error) return error;
+
+    if (partial) {
       await logActivity({
         userId: userId || null,
         actionType: 'order_fulfilled',
@@ -57,19 +75,15 @@ exports.handler = async (event) => {
           medicationName: medicationName || null,
           orderId: order.id,
           quantityDelivered,
-          quantityFulfilled: newFulfilled,
+          quantityFulfilled: order.quantity_fulfilled,
           quantityOrdered: existing.quantity,
           autoFulfilled: true,
-          partial: !isComplete
+          partial: order.status !== 'fulfilled'
         },
         queryFn: tdb.query
       });
 
-      // Check if supplier_order is fully delivered
-      if (isComplete) {
-        await checkSupplierOrderCompletion(order.id, tdb.query);
-      }
-
+      await publish(tdb, 'orders', { medicationIds: [order.medication_id] });
       return db.ok({
         order: {
           id: order.id,
@@ -80,74 +94,57 @@ exports.handler = async (event) => {
           quantityFulfilled: order.quantity_fulfilled
         }
       });
-    } else {
-      // Full fulfillment mode (immediate)
-      const result = await tdb.query(
-        `UPDATE orders
-         SET status = 'fulfilled', fulfilled_at = NOW(), quantity_fulfilled = quantity
-         WHERE id = $1
-         RETURNING id, medication_id, status, fulfilled_at`,
-        [orderId]
-      );
-
-      const order = result.rows[0];
-
-      await logActivity({
-        userId: userId || null,
-        actionType: 'order_fulfilled',
-        entityType: 'medication',
-        entityId: order.medication_id,
-        details: {
-          medicationName: medicationName || null,
-          orderId: order.id
-        },
-        queryFn: tdb.query
-      });
-
-      // Check if supplier_order is fully delivered
-      await checkSupplierOrderCompletion(order.id, tdb.query);
-
-      return db.ok({
-        order: {
-          id: order.id,
-          medicationId: order.medication_id,
-          status: order.status,
-          fulfilledAt: order.fulfilled_at
-        }
-      });
     }
+
+    await logActivity({
+      userId: userId || null,
+      actionType: 'order_fulfilled',
+      entityType: 'medication',
+      entityId: order.medication_id,
+      details: {
+        medicationName: medicationName || null,
+        orderId: order.id
+      },
+      queryFn: tdb.query
+    });
+
+    await publish(tdb, 'orders', { medicationIds: [order.medication_id] });
+    return db.ok({
+      order: {
+        id: order.id,
+        medicationId: order.medication_id,
+        status: order.status,
+        fulfilledAt: order.fulfilled_at
+      }
+    });
   } catch (e) {
     return db.serverError('order-fulfill', e);
   }
-};
+});
 
 // Auto-update supplier_order to 'delivered' when all linked orders are fulfilled.
-// Fetches supplier_order_id and counts the remaining unfulfilled siblings in a
-// single round trip — the previous implementation issued three sequential
-// queries per fulfillment (supplier lookup + pending count + update).
-async function checkSupplierOrderCompletion(orderId, queryFn) {
-  try {
-    const result = await queryFn(
-      `SELECT
-         o.supplier_order_id,
-         (SELECT COUNT(*)::int FROM orders
-           WHERE supplier_order_id = o.supplier_order_id
-             AND status != 'fulfilled') AS pending
-       FROM orders o
-       WHERE o.id = $1 AND o.supplier_order_id IS NOT NULL`,
-      [orderId]
-    );
-    if (result.rows.length === 0) return;
-
-    const { supplier_order_id: soId, pending } = result.rows[0];
-    if (Number(pending) !== 0) return;
-
-    await queryFn(
-      `UPDATE supplier_orders SET status = 'delivered', delivered_at = NOW(), updated_at = NOW()
-       WHERE id = $1 AND status != 'delivered'`,
-      [soId]
-    );
-  } catch (err) {
-    console.error('Supplier order completion check (non-fatal):', err.message);
-  }
+// Runs on the fulfillment's transaction client, so the order and its supplier
+// order change together. Fetches supplier_order_id and counts the remaining
+// unfulfilled siblings in a single round trip.
+async function checkSupplierOrderCompletion(orderId, client) {
+  const result = await client.query(
+    `SELECT
+       o.supplier_order_id,
+       (SELECT COUNT(*)::int FROM orders
+         WHERE supplier_order_id = o.supplier_order_id
+           AND status != 'fulfilled') AS pending
+     FROM orders o
+     WHERE o.id = $1 AND o.supplier_order_id IS NOT NULL`,
+    [orderId]
+  );
+  if (result.rows.length === 0) return;
+
+  const { supplier_order_id: soId, pending } = result.rows[0];
+  if (Number(pending) !== 0) return;
+
+  await client.query(
+    `UPDATE supplier_orders SET status = 'delivered', delivered_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status != 'delivered'`,
+    [soId]
+  );
 }
@@ -1,20 +1,18 @@
 // netlify/functions/order-place.js
 // Creates a new medication order request in the database
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
+const { publish } = require('./_events');
 
 const VALID_URGENCIES = ['urgent', 'routine', 'non-urgent'];
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
-
+exports.handler = withPermission({ POST: 'placeOrders' }, async (event, { tdb, user }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
+    const userId = user.id;
 
     const {
       medicationId,
-      userId,
       quantity,
       urgency,
       notes,
@@ -60,6 +58,7 @@ exports.handler = async (event) => {
       queryFn: tdb.query
     });
 
+    await publish(tdb, 'orders', { medicationIds: [order.medication_id] });
     return db.ok({
       order: {
         id: order.id,
@@ -77,4 +76,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('order-place', e);
   }
-};
+});
@@ -0,0 +1,62 @@
+// netlify/functions/password-change.js
+// Lets the signed-in user replace their own password. Accepts the restricted
+// session login.js issues for temporary or expired passwords, and answers
+// with a full session cookie once the new password is stored.
+const db = require('./_db');
+const bcrypt = require('bcryptjs');
+const auth = require('./_auth');
+const loginGuard = require('./_login-guard');
+const passwordPolicy = require('./_password-policy');
+const { logActivity } = require('./_activity-log');
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
+
+  try {
+    const tdb = db.forTenant(event);
+    if (!tdb) return db.tenantNotFound();
+
+    const { user, session, error } = await auth.requireUser(event, tdb, { allowRestricted: true });
+    if (error) return error;
+
+    const { currentPassword, newPassword } = db.parseBody(event);
+    if (!currentPassword || !newPassword) {
+      return db.fail(400, 'Current and new passwords are required.');
+    }
+
+    // The current-password check counts towards the login lockout like any other guess
+    const guard = await loginGuard.begin(event, tdb, user.username, 'password-change');
+    if (guard.locked) return guard.locked;
+
+    const hashResult = await tdb.query('SELECT password_hash FROM users WHERE id = $1', [user.id]);
+    const currentMatch = await bcrypt.compare(currentPassword, hashResult.rows[0].password_hash);
+    if (!currentMatch) {
+      return guard.failed(user, 'wrong_password');
+    }
+    await guard.succeeded();
+
+    const policy = passwordPolicy.policyFor(tdb.tenant);
+    const problem = passwordPolicy.checkStrength(newPassword, policy, user.username)
+      || await passwordPolicy.checkHistory(user.id, newPassword, policy, tdb.query);
+    if (problem) return db.fail(400, problem, { code: 'PASSWORD_POLICY' });
+
+    await passwordPolicy.setPassword(user.id, newPassword, { mustChange: false }, tdb);
+
+    await logActivity({
+      userId: user.id,
+      actionType: 'password_changed',
+      entityType: 'user',
+      entityId: user.id,
+      details: { username: user.username, fullName: user.full_name, wasRequired: !!session.scope },
+      queryFn: tdb.query
+    });
+
+    const token = auth.issueSession(user, tdb.tenant);
+    return auth.withCookie(
+      db.ok({ message: 'Password changed.', expiresIn: auth.SESSION_TTL_SECONDS }),
+      auth.sessionCookie(token)
+    );
+  } catch (e) {
+    return db.serverError('password-change', e);
+  }
+};
@@ -0,0 +1,12 @@
+// netlify/functions/permissions.js
+// Public endpoint — returns the role permission table from _permissions.js.
+// The frontend fetches this at startup so hasAccessTo/canAccessTab apply the
+// same rules the function handlers enforce.
+const db = require('./_db');
+const { permissionTable } = require('./_permissions');
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET') return db.methodNotAllowed();
+
+  return db.ok({ permissions: permissionTable() });
+};
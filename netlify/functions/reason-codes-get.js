@@ -0,0 +1,19 @@
+// netlify/functions/reason-codes-get.js
+// Returns every reason code, inactive ones included, in display order.
+// The SPA filters by location and is_active itself so it can label old
+// transactions and show deactivated codes in the admin editor.
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { REASON_CODE_COLUMNS, mapReasonCode } = require('./_reason-codes');
+
+exports.handler = withPermission({ GET: 'viewStock' }, async (event, { tdb }) => {
+  try {
+    const result = await tdb.query(
+      `SELECT ${REASON_CODE_COLUMNS} FROM reason_codes ORDER BY sort_order, label`
+    );
+
+    return db.ok({ reasonCodes: result.rows.map(mapReasonCode) });
+  } catch (e) {
+    return db.serverError('reason-codes-get', e);
+  }
+});
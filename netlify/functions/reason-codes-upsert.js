@@ -0,0 +1,89 @@
+// netlify/functions/reason-codes-upsert.js
+// Create or update a reason code (Administrator only), keyed on `code`.
+// Codes are deactivated with isActive: false rather than deleted because
+// transactions.reason_code_id references them.
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { logActivity } = require('./_activity-log');
+const {
+  REASON_CODE_COLUMNS,
+  mapReasonCode,
+  normaliseCode,
+  validateLocationGroups,
+  validateMovementType
+} = require('./_reason-codes');
+
+exports.handler = withPermission({ POST: 'manageReasonCodes' }, async (event, { tdb, user }) => {
+  try {
+    const {
+      code,
+      label,
+      movementType = 'dispense',
+      locationGroups = [],
+      countsAsUsage,
+      requiresNote,
+      requiresWitness,
+      sortOrder,
+      isActive
+    } = db.parseBody(event);
+
+    const reasonCode = normaliseCode(code);
+    if (!reasonCode || !label || !String(label).trim()) {
+      return db.fail(400, 'Missing required fields: code, label');
+    }
+
+    const validationError = validateMovementType(movementType) || validateLocationGroups(locationGroups);
+    if (validationError) return db.fail(400, validationError);
+
+    const order = sortOrder === undefined || sortOrder === null || sortOrder === '' ? 0 : Number(sortOrder);
+    if (!Number.isInteger(order)) return db.fail(400, 'sortOrder must be a whole number');
+
+    const result = await tdb.query(
+      `INSERT INTO reason_codes (code, label, movement_type, location_groups, counts_as_usage, requires_note, requires_witness, sort_order, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (code) DO UPDATE SET
+         label = EXCLUDED.label,
+         movement_type = EXCLUDED.movement_type,
+         location_groups = EXCLUDED.location_groups,
+         counts_as_usage = EXCLUDED.counts_as_usage,
+         requires_note = EXCLUDED.requires_note,
+         requires_witness = EXCLUDED.requires_witness,
+         sort_order = EXCLUDED.sort_order,
+         is_active = EXCLUDED.is_active,
+         updated_at = NOW()
+       RETURNING ${REASON_CODE_COLUMNS}`,
+      [
+        reasonCode,
+        String(label).trim(),
+        movementType,
+        locationGroups === null ? null : locationGroups.map(g => g.trim()),
+        countsAsUsage !== false,
+        requiresNote === true,
+        requiresWitness === true,
+        order,
+        isActive !== false
+      ]
+    );
+
+    const saved = result.rows[0];
+
+    await logActivity({
+      userId: user.id,
+      actionType: 'reason_code_upserted',
+      entityType: 'reason_code',
+      entityId: saved.id,
+      details: {
+        code: saved.code,
+        label: saved.label,
+        movementType: saved.movement_type,
+        countsAsUsage: saved.counts_as_usage,
+        isActive: saved.is_active
+      },
+      queryFn: tdb.query
+    });
+
+    return db.ok({ reasonCode: mapReasonCode(saved) });
+  } catch (e) {
+    return db.serverError('reason-codes-upsert', e);
+  }
+});
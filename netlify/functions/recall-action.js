@@ -0,0 +1,91 @@
+// netlify/functions/recall-action.js
+// Closes or cancels a recall.
+// Close: only once no stock of the recalled batches is left anywhere; the
+// batches stay quarantined for good and the recall becomes its closing report.
+// Cancel: the alert was withdrawn or raised in error — the batches are
+// released back into use. Quantities already pulled stay recorded.
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { logActivity } = require('./_activity-log');
+const { loadRecall } = require('./_recalls');
+const { publish } = require('./_events');
+
+exports.handler = withPermission({ POST: 'manageRecalls' }, async (event, { tdb, user }) => {
+  try {
+    const { id, action, notes } = db.parseBody(event);
+
+    if (!id || !action) return db.fail(400, 'Missing required fields: id, action');
+    if (!['close', 'cancel'].includes(action)) {
+      return db.fail(400, 'Invalid action. Must be: close or cancel');
+    }
+
+    const { error } = await tdb.withTransaction(async (client) => {
+      // Lock the recall so a close cannot race a cancel
+      const locked = await client.query('SELECT status FROM recalls WHERE id = $1 FOR UPDATE', [id]);
+      if (locked.rows.length === 0) return { error: db.fail(404, 'Recall not found') };
+      if (locked.rows[0].status !== 'open') {
+        return { error: db.fail(409, `This recall is already ${locked.rows[0].status}.`, { code: 'RECALL_CLOSED' }) };
+      }
+
+      if (action === 'close') {
+        const outstanding = await client.query(
+          `SELECT l.display_name AS location_name, b.batch_code, i.on_hand
+           FROM batches b
+           JOIN inventory i ON i.batch_id = b.id
+           LEFT JOIN locations l ON l.id = i.location_id
+           WHERE b.recall_id = $1 AND i.on_hand > 0
+           ORDER BY l.display_name, b.batch_code`,
+          [id]
+        );
+        if (outstanding.rows.length > 0) {
+          return {
+            error: db.fail(409, 'Recalled stock is still held. Pull it from every location before closing the recall.', {
+              code: 'RECALL_OUTSTANDING',
+              outstanding: outstanding.rows.map(r => ({ locationName: r.location_name, batchCode: r.batch_code, onHand: r.on_hand }))
+            })
+          };
+        }
+        await client.query(
+          `UPDATE recalls SET status = 'closed', closed_by = $2, closed_at = NOW(), closing_notes = $3 WHERE id = $1`,
+          [id, user.id, notes || null]
+        );
+      } else {
+        await client.query(
+          'UPDATE batches SET quarantined = false, recall_id = NULL WHERE recall_id = $1',
+          [id]
+        );
+        await client.query(
+          `UPDATE recalls SET status = 'cancelled', closed_by = $2, closed_at = NOW(), closing_notes = $3 WHERE id = $1`,
+          [id, user.id, notes || null]
+        );
+      }
+      return {};
+    });
+    if (error) return error;
+
+    const recall = await loadRecall(id, tdb.query);
+
+    await logActivity({
+      userId: user.id,
+      actionType: action === 'close' ? 'recall_closed' : 'recall_cancelled',
+      entityType: 'recall',
+      entityId: recall.id,
+      details: {
+        recallId: recall.id,
+        reference: recall.reference || null,
+        medicationName: recall.medicationName,
+        returnedQty: recall.summary.returnedQty,
+        destroyedQty: recall.summary.destroyedQty,
+        notes: notes || null
+      },
+      queryFn: tdb.query
+    });
+
+    if (action === 'cancel') {
+      await publish(tdb, 'inventory', { medicationIds: [recall.medicationId] });
+    }
+    return db.ok({ recall });
+  } catch (e) {
+    return db.serverError('recall-action', e);
+  }
+});
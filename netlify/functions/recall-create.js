@@ -0,0 +1,57 @@
+// netlify/functions/recall-create.js
+// Opens a recall for one medication and the batch codes listed in a drug
+// alert. Matching batches are quarantined at every location and each location
+// holding them gets a pull-list line with the quantity it held. Codes that
+// match no batch are kept on the recall and reported back.
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { logActivity } = require('./_activity-log');
+const { parseBatchCodes, parseActionClass, openRecall, loadRecall } = require('./_recalls');
+const { publish } = require('./_events');
+
+exports.handler = withPermission({ POST: 'manageRecalls' }, async (event, { tdb, user }) => {
+  try {
+    const body = db.parseBody(event);
+    const { medicationId, reference, reason, notes } = body;
+    const codes = parseBatchCodes(body.batchCodes);
+    const actionClass = parseActionClass(body.actionClass);
+
+    if (!medicationId || codes.length === 0) {
+      return db.fail(400, 'Missing required fields: medicationId, batchCodes');
+    }
+    if (actionClass === undefined) return db.fail(400, 'Invalid actionClass. Must be 1, 2, 3 or 4');
+
+    const medication = await tdb.query('SELECT id FROM medications WHERE id = $1', [medicationId]);
+    if (medication.rows.length === 0) return db.fail(400, `Unknown medication: ${medicationId}`);
+
+    const { recallId, error } = await tdb.withTransaction(client => openRecall(client, {
+      medicationId, codes, reference, reason, notes, actionClass, userId: user.id
+    }));
+    if (error) return error;
+
+    const recall = await loadRecall(recallId, tdb.query);
+
+    await logActivity({
+      userId: user.id,
+      actionType: 'recall_opened',
+      entityType: 'recall',
+      entityId: recallId,
+      details: {
+        recallId,
+        medicationName: recall.medicationName,
+        reference: recall.reference || null,
+        actionClass: recall.actionClass,
+        batchCodes: codes,
+        unmatchedBatchCodes: recall.summary.unmatchedBatchCodes,
+        locations: recall.summary.locations,
+        quarantinedQty: recall.summary.quarantinedQty
+      },
+      queryFn: tdb.query
+    });
+
+    await publish(tdb, 'inventory', { medicationIds: [medicationId] });
+    return db.ok({ recall });
+  } catch (e) {
+    return db.serverError('recall-create', e);
+  }
+});
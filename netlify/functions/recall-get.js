@@ -0,0 +1,68 @@
+// netlify/functions/recall-get.js
+// Lists recalls, or returns one recall with its pull list and summary (the
+// closing report once it is closed)
+// Query params: id (single recall), otherwise optional status
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { mapRecall, loadRecall } = require('./_recalls');
+
+exports.handler = withPermission({ GET: 'viewStock' }, async (event, { tdb }) => {
+  try {
+    const params = event.queryStringParameters || {};
+
+    if (params.id) {
+      const recall = await loadRecall(params.id, tdb.query);
+      if (!recall) return db.fail(404, 'Recall not found');
+      return db.ok({ recall });
+    }
+
+    const result = await tdb.query(`
+      SELECT
+        r.*,
+        CASE WHEN m.strength IS NULL OR m.strength = 'N/A' THEN m.name
+             ELSE m.name || ' ' || m.strength END AS medication_name,
+        ou.full_name AS opened_by_name,
+        cu.full_name AS closed_by_name,
+        COALESCE(lines.location_count, 0)::int AS location_count,
+        COALESCE(lines.quarantined_qty, 0)::int AS quarantined_qty,
+        COALESCE(lines.pulled_qty, 0)::int AS pulled_qty,
+        COALESCE(stock.outstanding_qty, 0)::int AS outstanding_qty
+      FROM recalls r
+      JOIN medications m ON m.id = r.medication_id
+      LEFT JOIN users ou ON ou.id = r.opened_by
+      LEFT JOIN users cu ON cu.id = r.closed_by
+      LEFT JOIN (
+        SELECT recall_id,
+          COUNT(DISTINCT location_id) AS location_count,
+          SUM(quarantined_qty) AS quarantined_qty,
+          SUM(returned_qty + destroyed_qty) AS pulled_qty
+        FROM recall_lines
+        GROUP BY recall_id
+      ) lines ON lines.recall_id = r.id
+      LEFT JOIN (
+        SELECT b.recall_id, SUM(i.on_hand) AS outstanding_qty
+        FROM batches b
+        JOIN inventory i ON i.batch_id = b.id
+        WHERE b.recall_id IS NOT NULL
+        GROUP BY b.recall_id
+      ) stock ON stock.recall_id = r.id
+      WHERE ($1::text IS NULL OR r.status = $1)
+      ORDER BY (r.status = 'open') DESC, r.opened_at DESC
+      LIMIT 50
+    `, [params.status || null]);
+
+    const recalls = result.rows.map(row => ({
+      ...mapRecall(row),
+      summary: {
+        locations: row.location_count,
+        quarantinedQty: row.quarantined_qty,
+        pulledQty: row.pulled_qty,
+        outstandingQty: row.outstanding_qty
+      }
+    }));
+
+    return db.ok({ recalls });
+  } catch (e) {
+    return db.serverError('recall-get', e);
+  }
+});
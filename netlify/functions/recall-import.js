@@ -0,0 +1,98 @@
+// netlify/functions/recall-import.js
+// Imports a drug alert / recall notice file (CSV or JSON, see _recall-notice.js).
+// 'preview' matches the notice against our medications and stock and changes
+// nothing; 'confirm' opens a recall for every product the pharmacist ticked,
+// in one transaction, quarantining the matched batches.
+// Body: { action, content, format, fileName, include: [index], medicationIds: { [index]: medicationId } }
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { logActivity } = require('./_activity-log');
+const { openRecall, loadRecall } = require('./_recalls');
+const { parseRecallNotice, matchRecallNotice } = require('./_recall-notice');
+const { publish } = require('./_events');
+
+const describe = (product) => `Line ${product.line} (${product.productName || product.gtin})`;
+
+exports.handler = withPermission({ POST: 'manageRecalls' }, async (event, { tdb, user }) => {
+  try {
+    const { action = 'preview', content, format, fileName, include, medicationIds } = db.parseBody(event);
+
+    if (!['preview', 'confirm'].includes(action)) {
+      return db.fail(400, 'Invalid action. Must be: preview or confirm');
+    }
+    if (format && !['csv', 'json'].includes(format)) {
+      return db.fail(400, 'Invalid format. Must be: csv or json');
+    }
+
+    const parsed = parseRecallNotice(content, format);
+    if (parsed.error) return db.fail(400, parsed.error, { code: 'NOTICE_INVALID' });
+
+    const products = await matchRecallNotice(parsed.products, tdb.query, medicationIds || {});
+
+    if (action === 'preview') {
+      return db.ok({ fileName: fileName || null, products, errors: parsed.errors });
+    }
+
+    const selected = products.filter(p => Array.isArray(include) && include.map(Number).includes(p.index));
+    if (selected.length === 0) return db.fail(400, 'Select at least one product to quarantine');
+
+    for (const product of selected) {
+      if (!product.medication) {
+        return db.fail(400, `${describe(product)}: choose which medication this is`);
+      }
+      if (!['ready', 'no_stock'].includes(product.status)) {
+        return db.fail(400, `${describe(product)}: none of its batches can be quarantined`);
+      }
+    }
+
+    const { recallIds, error } = await tdb.withTransaction(async (client) => {
+      const ids = [];
+      for (const product of selected) {
+        // Batches another recall already holds stay with that recall
+        const heldElsewhere = new Set(product.batches.filter(b => b.recallId).map(b => b.batchCode.trim().toUpperCase()));
+        const opened = await openRecall(client, {
+          medicationId: product.medication.id,
+          codes: product.batchCodes.filter(code => !heldElsewhere.has(code.toUpperCase())),
+          reference: product.reference,
+          reason: product.reason,
+          actionClass: product.actionClass,
+          sourceFile: fileName || 'uploaded notice',
+          userId: user.id
+        });
+        if (opened.error) return opened;
+        ids.push(opened.recallId);
+      }
+      return { recallIds: ids };
+    });
+    if (error) return error;
+
+    const recalls = [];
+    for (const recallId of recallIds) {
+      const recall = await loadRecall(recallId, tdb.query);
+      recalls.push(recall);
+      await logActivity({
+        userId: user.id,
+        actionType: 'recall_opened',
+        entityType: 'recall',
+        entityId: recallId,
+        details: {
+          recallId,
+          medicationName: recall.medicationName,
+          reference: recall.reference || null,
+          actionClass: recall.actionClass,
+          batchCodes: recall.batchCodes,
+          unmatchedBatchCodes: recall.summary.unmatchedBatchCodes,
+          locations: recall.summary.locations,
+          quarantinedQty: recall.summary.quarantinedQty,
+          sourceFile: recall.sourceFile
+        },
+        queryFn: tdb.query
+      });
+    }
+
+    await publish(tdb, 'inventory', { medicationIds: recalls.map(r => r.medicationId) });
+    return db.ok({ recalls });
+  } catch (e) {
+    return db.serverError('recall-import', e);
+  }
+});
@@ -0,0 +1,125 @@
+// netlify/functions/recall-record.js
+// Records recalled stock pulled from one location: quantities returned to the
+// supplier and/or destroyed. Both leave inventory as a 'removal' transaction
+// and add to the recall line's running totals. Controlled drugs need a witness.
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { logActivity } = require('./_activity-log');
+const { requireWitness } = require('./_controlled-drugs');
+const { lockInventory, stockChanged, isNegativeStockError } = require('./_inventory');
+const { recallReason, loadRecall } = require('./_recalls');
+const { publish } = require('./_events');
+
+// '' / null / undefined count as 0; anything else must be a whole number >= 0
+const toQuantity = (value) => (value === undefined || value === null || value === '' ? 0 : Number(value));
+
+exports.handler = withPermission({ POST: 'pullRecalledStock' }, async (event, { tdb, user }) => {
+  try {
+    const body = db.parseBody(event);
+    const { recallId, batchId, locationId } = body;
+    const returnedQty = toQuantity(body.returnedQty);
+    const destroyedQty = toQuantity(body.destroyedQty);
+
+    if (!recallId || !batchId || !locationId) {
+      return db.fail(400, 'Missing required fields: recallId, batchId, locationId');
+    }
+    if (![returnedQty, destroyedQty].every(q => Number.isInteger(q) && q >= 0) || returnedQty + destroyedQty === 0) {
+      return db.fail(400, 'Enter a whole number of items returned and/or destroyed');
+    }
+    const pulled = returnedQty + destroyedQty;
+
+    const recallRow = await tdb.query(
+      `SELECT r.id, r.reference, r.status, r.medication_id, b.recall_id
+       FROM recalls r
+       LEFT JOIN batches b ON b.id = $2
+       WHERE r.id = $1`,
+      [recallId, batchId]
+    );
+    if (recallRow.rows.length === 0) return db.fail(404, 'Recall not found');
+    const recall = recallRow.rows[0];
+    if (recall.status !== 'open') {
+      return db.fail(409, `This recall is already ${recall.status}.`, { code: 'RECALL_CLOSED' });
+    }
+    if (String(recall.recall_id) !== String(recall.id)) {
+      return db.fail(400, 'That batch is not part of this recall');
+    }
+
+    const { witness, error: witnessError } = await requireWitness(event, tdb, user, batchId, body.witness);
+    if (witnessError) return witnessError;
+    const witnessUserId = witness ? witness.id : null;
+
+    const { locationName, error } = await tdb.withTransaction(async (client) => {
+      // Hold the recall open until this pull commits (recall-action.js locks it to close)
+      const locked = await client.query('SELECT status FROM recalls WHERE id = $1 FOR SHARE', [recall.id]);
+      if (locked.rows[0].status !== 'open') {
+        return { error: db.fail(409, `This recall is already ${locked.rows[0].status}.`, { code: 'RECALL_CLOSED' }) };
+      }
+
+      const onHand = (await lockInventory(client, batchId, [locationId]))[String(locationId)] ?? 0;
+      const location = await client.query('SELECT display_name FROM locations WHERE id = $1', [locationId]);
+      const locationName = location.rows[0] ? location.rows[0].display_name : locationId;
+
+      if (onHand < pulled) {
+        return { error: stockChanged({ onHand, requested: pulled, locationName }) };
+      }
+
+      await client.query(
+        'UPDATE inventory SET on_hand = on_hand - $1 WHERE location_id = $2 AND batch_id = $3',
+        [pulled, locationId, batchId]
+      );
+
+      await client.query(
+        `INSERT INTO transactions
+         (batch_id, location_id, medication_id, user_id, delta, type, reason, witness_user_id, movement_type)
+         VALUES ($1, $2, $3, $4, $5, 'out', $6, $7, 'removal')`,
+        [batchId, locationId, recall.medication_id, user.id, -pulled, recallReason(recall, returnedQty, destroyedQty), witnessUserId]
+      );
+
+      // Stock found after the recall opened has no line yet
+      await client.query(
+        `INSERT INTO recall_lines (recall_id, batch_id, location_id, returned_qty, destroyed_qty, updated_by, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         ON CONFLICT (recall_id, batch_id, location_id) DO UPDATE SET
+           returned_qty = recall_lines.returned_qty + EXCLUDED.returned_qty,
+           destroyed_qty = recall_lines.destroyed_qty + EXCLUDED.destroyed_qty,
+           updated_by = EXCLUDED.updated_by,
+           updated_at = NOW()`,
+        [recall.id, batchId, locationId, returnedQty, destroyedQty, user.id]
+      );
+
+      return { locationName };
+    });
+    if (error) return error;
+
+    const updated = await loadRecall(recall.id, tdb.query);
+    const line = updated.lines.find(l => String(l.batchId) === String(batchId) && String(l.locationId) === String(locationId));
+
+    await logActivity({
+      userId: user.id,
+      witnessUserId,
+      actionType: 'recall_stock_pulled',
+      entityType: 'recall',
+      entityId: recall.id,
+      locationId,
+      details: {
+        recallId: recall.id,
+        reference: recall.reference || null,
+        medicationName: updated.medicationName,
+        batchCode: line ? line.batchCode : null,
+        locationName,
+        returnedQty,
+        destroyedQty,
+        delta: -pulled,
+        outstandingQty: updated.summary.outstandingQty,
+        ...(witness && { witnessName: witness.full_name || witness.username })
+      },
+      queryFn: tdb.query
+    });
+
+    await publish(tdb, 'inventory', { medicationIds: [recall.medication_id] });
+    return db.ok({ recall: updated });
+  } catch (e) {
+    if (isNegativeStockError(e)) return stockChanged();
+    return db.serverError('recall-record', e);
+  }
+});
@@ -3,14 +3,10 @@
 // DELETE THIS FILE after running the migration successfully.
 
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
-
+exports.handler = withPermission({ POST: 'systemAdmin' }, async (event, { tdb }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
-
     const results = [];
 
     // Step 1: Move inventory from med-stock-l1 to cupboard-1
@@ -69,4 +65,4 @@ exports.handler = async (event) => {
   } catch (err) {
     return db.serverError('run-migration-remove-medstock', err);
   }
-};
+});
@@ -6,13 +6,9 @@
 
 const db = require('./_db');
 const bcrypt = require('bcryptjs');
+const { withPermission } = require('./_permissions');
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
-
-  const tdb = db.forTenant(event);
-  if (!tdb) return db.tenantNotFound();
-
+exports.handler = withPermission({ POST: 'systemAdmin' }, async (event, { tdb }) => {
   const body = db.parseBody(event);
   const clean = body.clean === true;
 
@@ -23,7 +19,7 @@ exports.handler = async (event) => {
     console.error('seed-demo-data error:', err);
     return db.fail(500, err.message || 'Seed failed');
   }
-};
+});
 
 // ---------------------------------------------------------------------------
 // Configuration
@@ -162,11 +158,8 @@ function weekdayTs(weekStart, dayOffset) {
 // Main seed function — wrapped in a DB transaction for safety
 // ---------------------------------------------------------------------------
 async function seed(clean, tdb) {
-  const stats = {};
-  const client = await tdb.pool.connect();
-
-  try {
-    await client.query('BEGIN');
+  return tdb.withTransaction(async (client) => {
+    const stats = {};
 
     // ---- Clean (optional) ----
     // Protects pre-populated medications (added via Med Database tab) from being wiped.
@@ -221,6 +214,7 @@ async function seed(clean, tdb) {
     stats.locations = LOCATIONS.length;
 
     // ---- 2. Users ----
+    // Everyone shares DEMO_PASSWORD, so each account must pick its own at first login
     const passwordHash = await bcrypt.hash(DEMO_PASSWORD, 10);
     const userIdMap = {};
     for (const u of USERS) {
@@ -228,12 +222,12 @@ async function seed(clean, tdb) {
       if (existing.rows.length > 0) {
         userIdMap[u.username] = existing.rows[0].id;
         await client.query(
-          'UPDATE users SET password_hash=$1, email=$2, first_name=$3, full_name=$4, role=$5, location=$6, active=true WHERE id=$7',
+          'UPDATE users SET password_hash=$1, email=$2, first_name=$3, full_name=$4, role=$5, location=$6, active=true, must_change_password=true, password_changed_at=NOW() WHERE id=$7',
           [passwordHash, u.email, u.firstName, u.fullName, u.role, u.location, existing.rows[0].id]
         );
       } else {
         const res = await client.query(
-          'INSERT INTO users (username, password_hash, email, first_name, full_name, role, active, location) VALUES ($1,$2,$3,$4,$5,$6,true,$7) RETURNING id',
+          'INSERT INTO users (username, password_hash, email, first_name, full_name, role, active, location, must_change_password, password_changed_at) VALUES ($1,$2,$3,$4,$5,$6,true,$7,true,NOW()) RETURNING id',
           [u.username, passwordHash, u.email, u.firstName, u.fullName, u.role, u.location]
         );
         userIdMap[u.username] = res.rows[0].id;
@@ -406,13 +400,13 @@ async function seed(clean, tdb) {
               dayDate.setDate(dayDate.getDate() + day);
               if (dayDate > TODAY) break; // Don't generate entries for future dates
               const dayItems = day < 4 ? dailyUsage : Math.max(1, weeklyUsage - dailyUsage * 4);
-              txRows.push([weekdayTs(weekStart, day), pharmacistId, locId, batchId, med.id, -dayItems, getReason(locId), 'out']);
+              txRows.push([weekdayTs(weekStart, day), pharmacistId, locId, batchId, med.id, -dayItems, getReason(locId), 'out', 'dispense']);
             }
 
             // Weekly delivery to pharmacy (in)
             if (weekOffset > 0) {
               const deliveryItems = Math.round(weeklyUsage * 1.1);
-              txRows.push([weekdayTs(weekStart, randomInt(0, 2)), pharmacistId, 'pharmacy', batchId, med.id, deliveryItems, `Delivery received - ${deliveryItems} units`, 'in']);
+              txRows.push([weekdayTs(weekStart, randomInt(0, 2)), pharmacistId, 'pharmacy', batchId, med.id, deliveryItems, `Delivery received - ${deliveryItems} units`, 'in', 'delivery']);
             }
 
             // Bi-weekly transfers from Pharmacy to location
@@ -420,23 +414,23 @@ async function seed(clean, tdb) {
               const transferItems = Math.round(weeklyUsage * 1.5);
               const locName = LOCATIONS.find(l => l.id === locId)?.displayName || locId;
               const ts = weekdayTs(weekStart, randomInt(1, 3));
-              txRows.push([ts, pharmacistId, 'pharmacy', batchId, med.id, -transferItems, `Transfer to ${locName}`, 'out']);
-              txRows.push([ts, pharmacistId, locId, batchId, med.id, transferItems, 'Transfer from Pharmacy', 'in']);
+              txRows.push([ts, pharmacistId, 'pharmacy', batchId, med.id, -transferItems, `Transfer to ${locName}`, 'out', 'transfer_out']);
+              txRows.push([ts, pharmacistId, locId, batchId, med.id, transferItems, 'Transfer from Pharmacy', 'in', 'transfer_in']);
             }
           }
         }
       }
 
       // Bulk insert transactions in larger chunks of 500
-      const txCols = 'occurred_at, user_id, location_id, batch_id, medication_id, delta, reason, type';
-      const colCount = 8;
+      const txCols = 'occurred_at, user_id, location_id, batch_id, medication_id, delta, reason, type, movement_type';
+      const colCount = 9;
       for (let i = 0; i < txRows.length; i += 500) {
         const chunk = txRows.slice(i, i + 500);
         const params = [];
         const valueClauses = chunk.map((row, ri) => {
           params.push(...row);
           const off = ri * colCount;
-          return `($${off+1},$${off+2},$${off+3},$${off+4},$${off+5},$${off+6},$${off+7},$${off+8})`;
+          return `($${off+1},$${off+2},$${off+3},$${off+4},$${off+5},$${off+6},$${off+7},$${off+8},$${off+9})`;
         });
         await client.query(`INSERT INTO transactions (${txCols}) VALUES ${valueClauses.join(',')}`, params);
       }
@@ -632,18 +626,9 @@ async function seed(clean, tdb) {
       stats.activityLogEntries = actRows.length;
     }
 
-    // ---- COMMIT — all or nothing ----
-    await client.query('COMMIT');
-
     stats.maturityWeeks = WEEKS_OF_HISTORY;
     stats.loginUsername = 'ABadiani';
     stats.loginPassword = DEMO_PASSWORD;
     return stats;
-
-  } catch (err) {
-    await client.query('ROLLBACK');
-    throw err;
-  } finally {
-    client.release();
-  }
+  });
 }
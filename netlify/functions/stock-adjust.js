@@ -1,73 +1,116 @@
 // netlify/functions/stock-adjust.js
 // Adjusts stock level (stock in, stock out, removal, transfer, etc.)
 // Security: medication_id is derived from batch_id on the server, not trusted from client
+// An optional reasonCode (_reason-codes.js) sets the movement type and may
+// require a reasonNote (kept on the transaction) or a witness. Dispensing is held to FEFO (_fefo.js).
+// Expired batches only go out as waste or a removal unless a pharmacist
+// overrides (expiredOverride: { reason }), which is logged on its own.
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
-
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
-
+const { requireWitness } = require('./_controlled-drugs');
+const { lockBatch, batchQuarantined, checkExpired, lockInventory, stockChanged, isNegativeStockError } = require('./_inventory');
+const { publish } = require('./_events');
+const { adjustmentMovementType } = require('./_movements');
+const { findActiveReasonCode } = require('./_reason-codes');
+const { checkFefo, overrideDetails } = require('./_fefo');
+
+exports.handler = withPermission({ POST: 'adjustStock' }, async (event, { tdb, user }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
-
     const body = db.parseBody(event);
-    console.log('[stock-adjust] body:', JSON.stringify(body));
+
+    // Acting user comes from the session, never from the request body
+    const userId = user.id;
 
     // IDs: accept as-is (string or number) — let PostgreSQL handle type coercion
-    const userId = body.userId;
     const locationId = body.locationId;
     const batchId = body.batchId;
     const delta = (body.delta !== undefined && body.delta !== null) ? Number(body.delta) : undefined;
     const reason = body.reason;
+    const reasonNote = String(body.reasonNote || '').trim() || null;
     const medicationName = body.medicationName;
     const batchCode = body.batchCode;
 
     const missing = [];
-    if (!userId && userId !== 0) missing.push('userId');
     if (!locationId && locationId !== 0) missing.push('locationId');
     if (!batchId && batchId !== 0) missing.push('batchId');
     if (delta === undefined || isNaN(delta)) missing.push('delta');
 
     if (missing.length > 0) {
-      console.log('[stock-adjust] Validation failed. Missing:', missing, 'Raw body:', body);
+      console.log('[stock-adjust] Validation failed. Missing:', missing);
       return db.fail(400, `Missing required fields: ${missing.join(', ')}`);
     }
 
-    await tdb.query('BEGIN');
+    let reasonCode = null;
+    if (body.reasonCode) {
+      reasonCode = await findActiveReasonCode(body.reasonCode, tdb.query);
+      if (!reasonCode) return db.fail(400, `Unknown or inactive reason code: ${body.reasonCode}`);
+      if (reasonCode.requires_note && !reasonNote) {
+        return db.fail(400, `Please add a note for "${reasonCode.label}".`, { code: 'REASON_NOTE_REQUIRED' });
+      }
+    }
 
-    try {
+    // The reason code's movement type is master data and wins over the client's
+    const { movementType, error: movementError } = adjustmentMovementType({
+      movementType: reasonCode ? reasonCode.movement_type : body.movementType,
+      delta,
+      reason
+    });
+    if (movementError) return movementError;
+
+    // Controlled drugs (and reason codes that say so) need a second signatory before anything is written
+    const { witness, error: witnessError } = await requireWitness(event, tdb, user, batchId, body.witness, {
+      requiredFor: reasonCode && reasonCode.requires_witness ? reasonCode.label : null
+    });
+    if (witnessError) return witnessError;
+    const witnessUserId = witness ? witness.id : null;
+
+    const { medicationId, expiredOverride, fefoOverride, error } = await tdb.withTransaction(async (client) => {
       // Security: Derive medication_id from batch_id (do not trust client-provided medicationId)
-      const batchQuery = await tdb.query(
-        'SELECT medication_id FROM batches WHERE id = $1',
-        [batchId]
-      );
+      const batch = await lockBatch(client, batchId);
 
-      if (batchQuery.rows.length === 0) {
-        await tdb.query('ROLLBACK');
-        return db.fail(400, 'Batch not found');
+      if (!batch) {
+        return { error: db.fail(400, 'Batch not found') };
+      }
+      if (batch.quarantined) {
+        return { error: batchQuarantined(batch) };
       }
 
-      const medicationId = batchQuery.rows[0].medication_id;
+      const medicationId = batch.medication_id;
 
-      // Ensure inventory row exists
-      const checkInv = await tdb.query(
-        'SELECT on_hand FROM inventory WHERE location_id = $1 AND batch_id = $2',
-        [locationId, batchId]
-      );
+      let expiredOverride = null;
+      if (delta < 0) {
+        const expired = checkExpired(batch, movementType, user, body.expiredOverride);
+        if (expired.error) return expired;
+        if (expired.override) expiredOverride = { ...expired.override, batchCode: batch.batch_code, expiryDate: batch.expiry_date };
+      }
+
+      let fefoOverride = null;
+      if (movementType === 'dispense') {
+        const fefo = await checkFefo(client, { batchId, locationId, override: body.fefoOverride });
+        if (fefo.error) return fefo;
+        fefoOverride = fefo.override;
+      }
+
+      // Lock the row so concurrent movements of this batch queue behind us
+      const onHand = (await lockInventory(client, batchId, [locationId]))[String(locationId)];
 
-      if (checkInv.rows.length === 0) {
-        await tdb.query(
-          'INSERT INTO inventory (location_id, batch_id, on_hand) VALUES ($1, $2, $3)',
+      if (onHand === undefined) {
+        if (delta < 0) {
+          return { error: stockChanged({ onHand: 0, requested: -delta }) };
+        }
+        // Another request may create the row between our lock and insert
+        await client.query(
+          `INSERT INTO inventory (location_id, batch_id, on_hand) VALUES ($1, $2, $3)
+           ON CONFLICT (location_id, batch_id) DO UPDATE SET on_hand = inventory.on_hand + $3`,
           [locationId, batchId, delta]
         );
       } else {
-        if (checkInv.rows[0].on_hand + delta < 0) {
-          await tdb.query('ROLLBACK');
-          return db.fail(400, 'Insufficient stock. Cannot reduce below zero.');
+        if (onHand + delta < 0) {
+          return { error: stockChanged({ onHand, requested: -delta }) };
         }
 
-        await tdb.query(
+        await client.query(
           'UPDATE inventory SET on_hand = on_hand + $1 WHERE location_id = $2 AND batch_id = $3',
           [delta, locationId, batchId]
         );
@@ -75,38 +118,65 @@ exports.handler = async (event) => {
 
       // Insert transaction record
       const transactionType = delta > 0 ? 'in' : 'out';
-      await tdb.query(
+      await client.query(
         `INSERT INTO transactions
-         (batch_id, location_id, medication_id, user_id, delta, type, reason)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [batchId, locationId, medicationId, userId, delta, transactionType, reason || '']
+         (batch_id, location_id, medication_id, user_id, delta, type, reason, witness_user_id, movement_type, reason_code_id, reason_note,
+          fefo_override_reason, fefo_override_note, fefo_skipped_batch_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+        [batchId, locationId, medicationId, userId, delta, transactionType, reason || '', witnessUserId, movementType, reasonCode ? reasonCode.id : null, reasonNote,
+          fefoOverride ? fefoOverride.reason : null, fefoOverride ? fefoOverride.note : null, fefoOverride ? fefoOverride.skippedBatchId : null]
       );
 
-      await tdb.query('COMMIT');
-
-      const isBatchRemoval = (reason || '').startsWith('Batch removed');
+      return { medicationId, expiredOverride, fefoOverride };
+    });
+    if (error) return error;
+
+    await logActivity({
+      userId,
+      witnessUserId,
+      actionType: movementType === 'removal' ? 'batch_removed' : (delta > 0 ? 'stock_in' : 'stock_out'),
+      entityType: 'medication',
+      entityId: medicationId,
+      locationId,
+      details: {
+        medicationName: medicationName || null,
+        batchId,
+        batchCode: batchCode || null,
+        delta,
+        movementType,
+        ...(reasonCode && { reasonCode: reasonCode.code }),
+        ...(reasonNote && { reasonNote }),
+        reason: reason || '',
+        ...overrideDetails(fefoOverride),
+        ...(witness && { witnessName: witness.full_name || witness.username })
+      },
+      queryFn: tdb.query
+    });
+
+    if (expiredOverride) {
       await logActivity({
         userId,
-        actionType: isBatchRemoval ? 'batch_removed' : (delta > 0 ? 'stock_in' : 'stock_out'),
+        actionType: 'expired_stock_override',
         entityType: 'medication',
         entityId: medicationId,
         locationId,
         details: {
           medicationName: medicationName || null,
           batchId,
-          batchCode: batchCode || null,
+          batchCode: expiredOverride.batchCode || batchCode || null,
+          expiryDate: new Date(expiredOverride.expiryDate).toISOString().slice(0, 10),
           delta,
-          reason: reason || ''
+          movementType,
+          reason: expiredOverride.reason
         },
         queryFn: tdb.query
       });
-
-      return db.ok();
-    } catch (err) {
-      await tdb.query('ROLLBACK');
-      throw err;
     }
+
+    await publish(tdb, 'inventory', { medicationIds: [medicationId] });
+    return db.ok();
   } catch (e) {
+    if (isNegativeStockError(e)) return stockChanged();
     return db.serverError('stock-adjust', e);
   }
-};
+});
@@ -0,0 +1,175 @@
+// netlify/functions/stock-take-action.js
+// Approves or cancels a stock-take session.
+// Approval posts one adjustment per counted line whose count differs from the
+// snapshot: delta = counted - expected, applied to the current on_hand so
+// movements recorded while counting was under way are preserved. Uncounted
+// lines are left untouched. Variances on controlled drugs need a witness.
+// The lines are read again once the session is locked, so a count saved
+// while the approval was on its way is posted (or refused) with the rest.
+const db = require('./_db');
+const { withPermission, forbidden } = require('./_permissions');
+const { logActivity } = require('./_activity-log');
+const { requireWitness } = require('./_controlled-drugs');
+const { stockTakeReason, loadStockTake } = require('./_stock-take');
+const { publish } = require('./_events');
+
+exports.handler = withPermission({ POST: 'stockTake' }, async (event, { tdb, user }) => {
+  try {
+    const body = db.parseBody(event);
+    const { id, action } = body;
+
+    if (!id || !action) return db.fail(400, 'Missing required fields: id, action');
+    if (!['approve', 'cancel'].includes(action)) {
+      return db.fail(400, 'Invalid action. Must be: approve or cancel');
+    }
+    if (action === 'approve') {
+      const denied = forbidden(user, 'approveStockTake');
+      if (denied) return denied;
+    }
+
+    const stockTake = await loadStockTake(id, tdb.query);
+    if (!stockTake) return db.fail(404, 'Stock-take not found');
+    if (stockTake.status !== 'counting') {
+      return db.fail(409, `This stock-take is already ${stockTake.status}.`, { code: 'STOCK_TAKE_CLOSED' });
+    }
+
+    // --- CANCEL ---
+    if (action === 'cancel') {
+      const cancelled = await tdb.query(
+        `UPDATE stock_takes SET status = 'cancelled', closed_by = $2, closed_at = NOW()
+         WHERE id = $1 AND status = 'counting'`,
+        [id, user.id]
+      );
+      if (cancelled.rowCount === 0) {
+        return db.fail(409, 'This stock-take has just been closed by someone else.', { code: 'STOCK_TAKE_CLOSED' });
+      }
+      await logActivity({
+        userId: user.id,
+        actionType: 'stock_take_cancelled',
+        entityType: 'stock_take',
+        entityId: id,
+        locationId: stockTake.locationId,
+        details: { stockTakeId: stockTake.id, locationName: stockTake.locationName, counted: stockTake.summary.counted },
+        queryFn: tdb.query
+      });
+      return db.ok({ stockTake: await loadStockTake(id, tdb.query) });
+    }
+
+    // --- APPROVE ---
+    const { approved, variances, witness, error } = await tdb.withTransaction(async (client) => {
+      // Lock the session so a second approval cannot post the variances twice,
+      // and stock-take-count.js cannot change a count under us
+      const locked = await client.query(
+        'SELECT status FROM stock_takes WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+      if (locked.rows[0].status !== 'counting') {
+        return { error: db.fail(409, `This stock-take is already ${locked.rows[0].status}.`, { code: 'STOCK_TAKE_CLOSED' }) };
+      }
+
+      const approved = await loadStockTake(id, (text, params) => client.query(text, params));
+      const variances = approved.lines.filter(l => l.variance !== null && l.variance !== 0);
+
+      // One witness signs for every controlled drug variance in the session
+      let witness = null;
+      const cdLine = variances.find(l => l.controlledDrug);
+      if (cdLine) {
+        const result = await requireWitness(event, tdb, user, cdLine.batchId, body.witness);
+        if (result.error) return result;
+        witness = result.witness;
+      }
+      const witnessUserId = witness ? witness.id : null;
+
+      const shortfalls = [];
+      for (const line of variances) {
+        const inv = await client.query(
+          'SELECT on_hand FROM inventory WHERE location_id = $1 AND batch_id = $2 FOR UPDATE',
+          [approved.locationId, line.batchId]
+        );
+        const onHand = inv.rows.length > 0 ? inv.rows[0].on_hand : 0;
+        if (onHand + line.variance < 0) {
+          shortfalls.push({ batchId: line.batchId, medicationName: line.medicationName, batchCode: line.batchCode, onHand, variance: line.variance });
+          continue;
+        }
+
+        if (inv.rows.length === 0) {
+          await client.query(
+            'INSERT INTO inventory (location_id, batch_id, on_hand) VALUES ($1, $2, $3)',
+            [approved.locationId, line.batchId, line.variance]
+          );
+        } else {
+          await client.query(
+            'UPDATE inventory SET on_hand = on_hand + $1 WHERE location_id = $2 AND batch_id = $3',
+            [line.variance, approved.locationId, line.batchId]
+          );
+        }
+
+        await client.query(
+          `INSERT INTO transactions
+           (batch_id, location_id, medication_id, user_id, delta, type, reason, witness_user_id, movement_type)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'stock_take')`,
+          [
+            line.batchId,
+            approved.locationId,
+            line.medicationId,
+            user.id,
+            line.variance,
+            line.variance > 0 ? 'in' : 'out',
+            stockTakeReason(approved.id, line.countedQty, line.expectedQty),
+            line.controlledDrug ? witnessUserId : null
+          ]
+        );
+      }
+
+      // Stock has moved out since the snapshot by more than the counted shortfall
+      if (shortfalls.length > 0) {
+        return {
+          error: db.fail(409, 'Stock has been issued since counting started, so some variances would take stock below zero. Recount these lines.', {
+            code: 'STOCK_TAKE_SHORTFALL',
+            shortfalls
+          })
+        };
+      }
+
+      await client.query(
+        `UPDATE stock_takes SET status = 'approved', closed_by = $2, closed_at = NOW() WHERE id = $1`,
+        [id, user.id]
+      );
+
+      return { approved, variances, witness };
+    });
+    if (error) return error;
+
+    await logActivity({
+      userId: user.id,
+      witnessUserId: witness ? witness.id : null,
+      actionType: 'stock_take_approved',
+      entityType: 'stock_take',
+      entityId: id,
+      locationId: approved.locationId,
+      details: {
+        stockTakeId: approved.id,
+        locationName: approved.locationName,
+        counted: approved.summary.counted,
+        uncounted: approved.summary.uncounted,
+        adjustments: variances.map(l => ({
+          medicationName: l.medicationName,
+          batchCode: l.batchCode,
+          expectedQty: l.expectedQty,
+          countedQty: l.countedQty,
+          variance: l.variance
+        })),
+        netVariance: approved.summary.netVariance,
+        ...(witness && { witnessName: witness.full_name || witness.username })
+      },
+      queryFn: tdb.query
+    });
+
+    if (variances.length > 0) {
+      await publish(tdb, 'inventory', { medicationIds: variances.map(l => l.medicationId) });
+    }
+    return db.ok({ stockTake: await loadStockTake(id, tdb.query), adjustments: variances.length });
+  } catch (e) {
+    return db.serverError('stock-take-action', e);
+  }
+});
@@ -0,0 +1,70 @@
+// netlify/functions/stock-take-count.js
+// Records counted quantities against an open stock-take session.
+// Body: { id, counts: [{ batchId, countedQty }] } — countedQty null clears a
+// count. A batch found on the shelf but missing from the snapshot is added as
+// a new line, expected at whatever the location currently holds (usually 0).
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { loadStockTake } = require('./_stock-take');
+
+exports.handler = withPermission({ POST: 'stockTake' }, async (event, { tdb, user }) => {
+  try {
+    const { id, counts } = db.parseBody(event);
+    if (!id) return db.fail(400, 'Missing required field: id');
+    if (!Array.isArray(counts) || counts.length === 0) {
+      return db.fail(400, 'Missing required field: counts');
+    }
+
+    for (const c of counts) {
+      if (c.batchId === undefined || c.batchId === null || c.batchId === '') {
+        return db.fail(400, 'Each count needs a batchId');
+      }
+      if (c.countedQty !== null && (!Number.isInteger(Number(c.countedQty)) || Number(c.countedQty) < 0)) {
+        return db.fail(400, 'Counted quantities must be whole numbers of zero or more');
+      }
+    }
+
+    // All counts in the request are saved, or none are
+    const { error } = await tdb.withTransaction(async (client) => {
+      // Share lock: approval (stock-take-action.js) takes FOR UPDATE, so a
+      // count is either saved before it reads the lines or refused after
+      const session = await client.query('SELECT location_id, status FROM stock_takes WHERE id = $1 FOR SHARE', [id]);
+      if (session.rows.length === 0) return { error: db.fail(404, 'Stock-take not found') };
+      if (session.rows[0].status !== 'counting') {
+        return { error: db.fail(409, `This stock-take is already ${session.rows[0].status}.`, { code: 'STOCK_TAKE_CLOSED' }) };
+      }
+      const locationId = session.rows[0].location_id;
+
+      for (const c of counts) {
+        const countedQty = c.countedQty === null ? null : Number(c.countedQty);
+        const updated = await client.query(
+          `UPDATE stock_take_lines
+           SET counted_qty = $3,
+               counted_by = CASE WHEN $3::int IS NULL THEN NULL ELSE $4::int END,
+               counted_at = CASE WHEN $3::int IS NULL THEN NULL ELSE NOW() END
+           WHERE stock_take_id = $1 AND batch_id = $2`,
+          [id, c.batchId, countedQty, user.id]
+        );
+        if (updated.rowCount > 0 || countedQty === null) continue;
+
+        const inserted = await client.query(
+          `INSERT INTO stock_take_lines (stock_take_id, batch_id, medication_id, expected_qty, counted_qty, counted_by, counted_at)
+           SELECT $1, b.id, b.medication_id, COALESCE(i.on_hand, 0), $3, $4, NOW()
+           FROM batches b
+           LEFT JOIN inventory i ON i.batch_id = b.id AND i.location_id = $5
+           WHERE b.id = $2
+           ON CONFLICT (stock_take_id, batch_id) DO NOTHING`,
+          [id, c.batchId, countedQty, user.id, locationId]
+        );
+        if (inserted.rowCount === 0) return { error: db.fail(400, `Batch not found: ${c.batchId}`) };
+      }
+      return {};
+    });
+    if (error) return error;
+
+    const stockTake = await loadStockTake(id, tdb.query);
+    return db.ok({ stockTake });
+  } catch (e) {
+    return db.serverError('stock-take-count', e);
+  }
+});
@@ -0,0 +1,53 @@
+// netlify/functions/stock-take-get.js
+// Lists stock-take sessions, or returns one session with its count lines
+// Query params: id (single session), otherwise optional locationId and status
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { mapSession, loadStockTake } = require('./_stock-take');
+
+exports.handler = withPermission({ GET: 'stockTake' }, async (event, { tdb }) => {
+  try {
+    const params = event.queryStringParameters || {};
+
+    if (params.id) {
+      const stockTake = await loadStockTake(params.id, tdb.query);
+      if (!stockTake) return db.fail(404, 'Stock-take not found');
+      return db.ok({ stockTake });
+    }
+
+    const result = await tdb.query(`
+      SELECT
+        s.*,
+        l.display_name AS location_name,
+        su.full_name AS started_by_name,
+        cu.full_name AS closed_by_name,
+        COUNT(sl.id)::int AS line_count,
+        COUNT(sl.counted_qty)::int AS counted_count,
+        COUNT(*) FILTER (WHERE sl.counted_qty IS NOT NULL AND sl.counted_qty <> sl.expected_qty)::int AS variance_count
+      FROM stock_takes s
+      LEFT JOIN locations l ON l.id = s.location_id
+      LEFT JOIN users su ON su.id = s.started_by
+      LEFT JOIN users cu ON cu.id = s.closed_by
+      LEFT JOIN stock_take_lines sl ON sl.stock_take_id = s.id
+      WHERE ($1::text IS NULL OR s.location_id = $1)
+        AND ($2::text IS NULL OR s.status = $2)
+      GROUP BY s.id, l.display_name, su.full_name, cu.full_name
+      ORDER BY (s.status = 'counting') DESC, s.started_at DESC
+      LIMIT 50
+    `, [params.locationId || null, params.status || null]);
+
+    const stockTakes = result.rows.map(row => ({
+      ...mapSession(row),
+      summary: {
+        lines: row.line_count,
+        counted: row.counted_count,
+        uncounted: row.line_count - row.counted_count,
+        variances: row.variance_count
+      }
+    }));
+
+    return db.ok({ stockTakes });
+  } catch (e) {
+    return db.serverError('stock-take-get', e);
+  }
+});
@@ -0,0 +1,81 @@
+// netlify/functions/stock-take-start.js
+// Opens a stock-take session for one location and snapshots the expected
+// on_hand of every batch currently held there
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { logActivity } = require('./_activity-log');
+const { loadStockTake } = require('./_stock-take');
+
+exports.handler = withPermission({ POST: 'stockTake' }, async (event, { tdb, user }) => {
+  try {
+    const { locationId, notes } = db.parseBody(event);
+    if (!locationId) return db.fail(400, 'Missing required field: locationId');
+
+    const location = await tdb.query('SELECT id, display_name FROM locations WHERE id = $1', [locationId]);
+    if (location.rows.length === 0) return db.fail(400, `Unknown location: ${locationId}`);
+    const locationName = location.rows[0].display_name || locationId;
+
+    let outcome;
+    try {
+      outcome = await tdb.withTransaction(async (client) => {
+        const existing = await client.query(
+          `SELECT id FROM stock_takes WHERE location_id = $1 AND status = 'counting'`,
+          [locationId]
+        );
+        if (existing.rows.length > 0) {
+          return {
+            error: db.fail(409, `A stock-take is already in progress for ${locationName}.`, {
+              code: 'STOCK_TAKE_OPEN',
+              stockTakeId: existing.rows[0].id
+            })
+          };
+        }
+
+        const inserted = await client.query(
+          `INSERT INTO stock_takes (location_id, notes, started_by)
+           VALUES ($1, $2, $3)
+           RETURNING id`,
+          [locationId, notes || null, user.id]
+        );
+        const id = inserted.rows[0].id;
+
+        // Snapshot: every batch with stock at the location when counting starts
+        await client.query(
+          `INSERT INTO stock_take_lines (stock_take_id, batch_id, medication_id, expected_qty)
+           SELECT $1, i.batch_id, b.medication_id, i.on_hand
+           FROM inventory i
+           JOIN batches b ON b.id = i.batch_id
+           JOIN medications m ON m.id = b.medication_id
+           WHERE i.location_id = $2 AND i.on_hand > 0 AND m.is_active = true`,
+          [id, locationId]
+        );
+
+        return { stockTakeId: id };
+      });
+    } catch (err) {
+      // Lost a race with another start for the same location (one open session index)
+      if (err.code === '23505') {
+        return db.fail(409, `A stock-take is already in progress for ${locationName}.`, { code: 'STOCK_TAKE_OPEN' });
+      }
+      throw err;
+    }
+    if (outcome.error) return outcome.error;
+    const { stockTakeId } = outcome;
+
+    const stockTake = await loadStockTake(stockTakeId, tdb.query);
+
+    await logActivity({
+      userId: user.id,
+      actionType: 'stock_take_started',
+      entityType: 'stock_take',
+      entityId: stockTakeId,
+      locationId,
+      details: { stockTakeId, locationName, lines: stockTake.summary.lines, notes: notes || null },
+      queryFn: tdb.query
+    });
+
+    return db.ok({ stockTake });
+  } catch (e) {
+    return db.serverError('stock-take-start', e);
+  }
+});
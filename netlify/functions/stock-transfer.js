@@ -1,21 +1,25 @@
 // netlify/functions/stock-transfer.js
 // Handles transfers of stock between two locations
 // Security: medication_id is derived from batch_id on the server, not trusted from client
+// The source location is held to FEFO (_fefo.js). Expired batches stay put
+// unless a pharmacist overrides (expiredOverride: { reason }); the override is
+// logged even for bulk transfers.
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
+const { requireWitness } = require('./_controlled-drugs');
+const { lockBatch, batchQuarantined, checkExpired, lockInventory, stockChanged, isNegativeStockError } = require('./_inventory');
+const { publish } = require('./_events');
+const { checkFefo, overrideDetails } = require('./_fefo');
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
-
+exports.handler = withPermission({ POST: 'transferStock' }, async (event, { tdb, user }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
-
     const body = db.parseBody(event);
-    console.log('[stock-transfer] body:', JSON.stringify(body));
+
+    // Acting user comes from the session, never from the request body
+    const userId = user.id;
 
     // IDs: accept as-is (string or number) — let PostgreSQL handle type coercion
-    const userId = body.userId;
     const batchId = body.batchId;
     const sourceLocationId = body.sourceLocationId;
     const targetLocationId = body.targetLocationId;
@@ -34,14 +38,13 @@ exports.handler = async (event) => {
     if (body.quantityBoxes != null) pipelineContext.quantityBoxes = body.quantityBoxes;
 
     const missing = [];
-    if (!userId && userId !== 0) missing.push('userId');
     if (!batchId && batchId !== 0) missing.push('batchId');
     if (!sourceLocationId && sourceLocationId !== 0) missing.push('sourceLocationId');
     if (!targetLocationId && targetLocationId !== 0) missing.push('targetLocationId');
     if (isNaN(quantity)) missing.push('quantity');
 
     if (missing.length > 0) {
-      console.log('[stock-transfer] Validation failed. Missing:', missing, 'Raw body:', body);
+      console.log('[stock-transfer] Validation failed. Missing:', missing);
       return db.fail(400, `Missing or invalid fields: ${missing.join(', ')}`);
     }
 
@@ -49,24 +52,34 @@ exports.handler = async (event) => {
       return db.fail(400, 'Quantity must be a positive integer');
     }
 
-    await tdb.query('BEGIN');
+    // Controlled drugs need a second signatory before anything is written
+    const { witness, error: witnessError } = await requireWitness(event, tdb, user, batchId, body.witness);
+    if (witnessError) return witnessError;
+    const witnessUserId = witness ? witness.id : null;
 
-    try {
+    const { medicationId, sourceLocationName, targetLocationName, expiredOverride, fefoOverride, error } = await tdb.withTransaction(async (client) => {
       // Security: Derive medication_id from batch_id
-      const batchQuery = await tdb.query(
-        'SELECT medication_id FROM batches WHERE id = $1',
-        [batchId]
-      );
+      const batch = await lockBatch(client, batchId);
 
-      if (batchQuery.rows.length === 0) {
-        await tdb.query('ROLLBACK');
-        return db.fail(400, 'Batch not found');
+      if (!batch) {
+        return { error: db.fail(400, 'Batch not found') };
+      }
+      if (batch.quarantined) {
+        return { error: batchQuarantined(batch) };
       }
 
-      const medicationId = batchQuery.rows[0].medication_id;
+      const medicationId = batch.medication_id;
+
+      const expired = checkExpired(batch, 'transfer_out', user, body.expiredOverride);
+      if (expired.error) return expired;
+      const expiredOverride = expired.override && { ...expired.override, batchCode: batch.batch_code, expiryDate: batch.expiry_date };
+
+      const fefo = await checkFefo(client, { batchId, locationId: sourceLocationId, override: body.fefoOverride });
+      if (fefo.error) return fefo;
+      const fefoOverride = fefo.override;
 
       // Get location display names for clean transaction notes
-      const locationsQuery = await tdb.query(
+      const locationsQuery = await client.query(
         'SELECT id, display_name FROM locations WHERE id IN ($1, $2)',
         [sourceLocationId, targetLocationId]
       );
@@ -77,92 +90,111 @@ exports.handler = async (event) => {
       const sourceLocationName = locationMap[sourceLocationId] || sourceLocationId;
       const targetLocationName = locationMap[targetLocationId] || targetLocationId;
 
-      // Check source has enough stock
-      const checkSource = await tdb.query(
-        'SELECT on_hand FROM inventory WHERE location_id = $1 AND batch_id = $2',
-        [sourceLocationId, batchId]
+      // Make sure the target row exists so both rows can be locked together
+      await client.query(
+        `INSERT INTO inventory (location_id, batch_id, on_hand)
+         VALUES ($1, $2, 0)
+         ON CONFLICT (location_id, batch_id) DO NOTHING`,
+        [targetLocationId, batchId]
       );
 
-      if (checkSource.rows.length === 0) {
-        await tdb.query('ROLLBACK');
-        return db.fail(400, 'Source location does not have this batch in inventory');
-      }
+      // Lock source and target so concurrent movements of this batch queue behind us
+      const held = await lockInventory(client, batchId, [sourceLocationId, targetLocationId]);
+      const sourceOnHand = held[String(sourceLocationId)] ?? 0;
 
-      if (checkSource.rows[0].on_hand < quantity) {
-        await tdb.query('ROLLBACK');
-        return db.fail(400, 'Not enough stock at source');
+      if (sourceOnHand < quantity) {
+        return { error: stockChanged({ onHand: sourceOnHand, requested: quantity, locationName: sourceLocationName }) };
       }
 
       // Decrease stock at source
-      await tdb.query(
+      await client.query(
         'UPDATE inventory SET on_hand = on_hand - $1 WHERE location_id = $2 AND batch_id = $3',
         [quantity, sourceLocationId, batchId]
       );
 
       // Record outgoing transaction
-      await tdb.query(
+      await client.query(
         `INSERT INTO transactions
-         (batch_id, location_id, medication_id, user_id, delta, type, reason)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [batchId, sourceLocationId, medicationId, userId, -quantity, 'out', `Transfer to ${targetLocationName}`]
+         (batch_id, location_id, medication_id, user_id, delta, type, reason, witness_user_id, movement_type,
+          fefo_override_reason, fefo_override_note, fefo_skipped_batch_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'transfer_out', $9, $10, $11)`,
+        [batchId, sourceLocationId, medicationId, userId, -quantity, 'out', `Transfer to ${targetLocationName}`, witnessUserId,
+          fefoOverride ? fefoOverride.reason : null, fefoOverride ? fefoOverride.note : null, fefoOverride ? fefoOverride.skippedBatchId : null]
       );
 
-      // Ensure target inventory row exists, then increase stock
-      await tdb.query(
-        `INSERT INTO inventory (location_id, batch_id, on_hand)
-         VALUES ($1, $2, 0)
-         ON CONFLICT (location_id, batch_id) DO NOTHING`,
-        [targetLocationId, batchId]
-      );
-
-      await tdb.query(
+      // Increase stock at target
+      await client.query(
         'UPDATE inventory SET on_hand = on_hand + $1 WHERE location_id = $2 AND batch_id = $3',
         [quantity, targetLocationId, batchId]
       );
 
       // Record incoming transaction
-      await tdb.query(
+      await client.query(
         `INSERT INTO transactions
-         (batch_id, location_id, medication_id, user_id, delta, type, reason)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [batchId, targetLocationId, medicationId, userId, quantity, 'in', `Transfer from ${sourceLocationName}`]
+         (batch_id, location_id, medication_id, user_id, delta, type, reason, witness_user_id, movement_type)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'transfer_in')`,
+        [batchId, targetLocationId, medicationId, userId, quantity, 'in', `Transfer from ${sourceLocationName}`, witnessUserId]
       );
 
-      await tdb.query('COMMIT');
-
-      // Skip activity log for bulk operations (bulk summary is logged separately by the frontend)
-      if (!body.skipActivityLog) {
-        // Use distinct action type for pharmacy supplies vs regular transfers
-        const isPharmacySupply = pipelineContext.pipelineStep === 'pharmacy_supply';
-
-        await logActivity({
-          userId,
-          actionType: isPharmacySupply ? 'pharmacy_supply' : 'stock_transfer',
-          entityType: 'medication',
-          entityId: medicationId,
-          locationId: sourceLocationId,
-          details: {
-            medicationName: medicationName || null,
-            batchId,
-            batchCode: batchCode || null,
+      return { medicationId, sourceLocationName, targetLocationName, expiredOverride, fefoOverride };
+    });
+    if (error) return error;
+
+    // Skip activity log for bulk operations (bulk summary is logged separately by the frontend)
+    if (!body.skipActivityLog) {
+      // Use distinct action type for pharmacy supplies vs regular transfers
+      const isPharmacySupply = pipelineContext.pipelineStep === 'pharmacy_supply';
+
+      await logActivity({
+        userId,
+        witnessUserId,
+        actionType: isPharmacySupply ? 'pharmacy_supply' : 'stock_transfer',
+        entityType: 'medication',
+        entityId: medicationId,
+        locationId: sourceLocationId,
+        details: {
+          medicationName: medicationName || null,
+          batchId,
+          batchCode: batchCode || null,
           delta: quantity,
           sourceLocationId,
           sourceLocationName,
           targetLocationId,
           targetLocationName,
           reason: reason || '',
+          ...overrideDetails(fefoOverride),
+          ...(witness && { witnessName: witness.full_name || witness.username }),
           ...pipelineContext
         },
         queryFn: tdb.query
-        });
-      }
+      });
+    }
 
-      return db.ok();
-    } catch (err) {
-      await tdb.query('ROLLBACK');
-      throw err;
+    if (expiredOverride) {
+      await logActivity({
+        userId,
+        actionType: 'expired_stock_override',
+        entityType: 'medication',
+        entityId: medicationId,
+        locationId: sourceLocationId,
+        details: {
+          medicationName: medicationName || null,
+          batchId,
+          batchCode: expiredOverride.batchCode || batchCode || null,
+          expiryDate: new Date(expiredOverride.expiryDate).toISOString().slice(0, 10),
+          delta: -quantity,
+          movementType: 'transfer_out',
+          targetLocationName,
+          reason: expiredOverride.reason
+        },
+        queryFn: tdb.query
+      });
     }
+
+    await publish(tdb, 'inventory', { medicationIds: [medicationId] });
+    return db.ok();
   } catch (e) {
+    if (isNegativeStockError(e)) return stockChanged();
     return db.serverError('stock-transfer', e);
   }
-};
+});
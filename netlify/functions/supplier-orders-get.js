@@ -1,14 +1,10 @@
 // netlify/functions/supplier-orders-get.js
 // Get supplier order batches with linked order details
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'GET') return db.methodNotAllowed();
-
+exports.handler = withPermission({ GET: 'purchaseOrders' }, async (event, { tdb }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
-
     const params = event.queryStringParameters || {};
     const supplierId = params.supplierId;
     const status = params.status;
@@ -121,4 +117,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('supplier-orders-get', e);
   }
-};
+});
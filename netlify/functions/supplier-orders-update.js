@@ -1,24 +1,21 @@
 // netlify/functions/supplier-orders-update.js
 // Update supplier order status, tracking reference, expected delivery
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
 
 const VALID_STATUSES = ['draft', 'sent', 'confirmed', 'dispatched', 'delivered', 'cancelled'];
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
-
+exports.handler = withPermission({ POST: 'purchaseOrders' }, async (event, { tdb, user }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
+    const userId = user.id;
 
     const {
       supplierOrderId,
       status,
       supplierReference,
       expectedDelivery,
-      notes,
-      userId
+      notes
     } = db.parseBody(event);
 
     if (!supplierOrderId) {
@@ -86,21 +83,23 @@ exports.handler = async (event) => {
     paramIdx++;
     values.push(supplierOrderId);
 
-    const result = await tdb.query(
-      `UPDATE supplier_orders SET ${sets.join(', ')} WHERE id = $${paramIdx} RETURNING *`,
-      values
-    );
+    const updated = await tdb.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE supplier_orders SET ${sets.join(', ')} WHERE id = $${paramIdx} RETURNING *`,
+        values
+      );
 
-    const updated = result.rows[0];
+      // If marked as delivered, auto-fulfill all linked pending orders
+      if (status === 'delivered') {
+        await client.query(
+          `UPDATE orders SET status = 'fulfilled', fulfilled_at = NOW(), quantity_fulfilled = quantity
+           WHERE supplier_order_id = $1 AND status = 'pending'`,
+          [supplierOrderId]
+        );
+      }
 
-    // If marked as delivered, auto-fulfill all linked pending orders
-    if (status === 'delivered') {
-      await tdb.query(
-        `UPDATE orders SET status = 'fulfilled', fulfilled_at = NOW(), quantity_fulfilled = quantity
-         WHERE supplier_order_id = $1 AND status = 'pending'`,
-        [supplierOrderId]
-      );
-    }
+      return result.rows[0];
+    });
 
     await logActivity({
       userId: userId || null,
@@ -135,4 +134,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('supplier-orders-update', e);
   }
-};
+});
@@ -1,14 +1,10 @@
 // netlify/functions/suppliers-get.js
 // Returns all suppliers with optional order count summary
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'GET') return db.methodNotAllowed();
-
+exports.handler = withPermission({ GET: 'purchaseOrders' }, async (event, { tdb }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
-
     const result = await tdb.query(`
       SELECT s.*,
         COALESCE(oc.pending_orders, 0) AS pending_orders,
@@ -52,4 +48,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('suppliers-get', e);
   }
-};
+});
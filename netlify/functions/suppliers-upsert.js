@@ -1,14 +1,12 @@
 // netlify/functions/suppliers-upsert.js
 // Create or update a supplier record
 const db = require('./_db');
+const { withPermission } = require('./_permissions');
 const { logActivity } = require('./_activity-log');
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'POST') return db.methodNotAllowed();
-
+exports.handler = withPermission({ POST: 'manageSuppliers' }, async (event, { tdb, user }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
+    const userId = user.id;
 
     const {
       id,
@@ -19,8 +17,7 @@ exports.handler = async (event) => {
       orderMethod,
       portalUrl,
       notes,
-      isActive,
-      userId
+      isActive
     } = db.parseBody(event);
 
     if (!id || !name) {
@@ -86,4 +83,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('suppliers-upsert', e);
   }
-};
+});
@@ -3,6 +3,7 @@
 // The frontend fetches this at startup to dynamise titles, logos, colors, etc.
 const db = require('./_db');
 const { resolveTenant } = require('./_tenants');
+const passwordPolicy = require('./_password-policy');
 
 exports.handler = async (event) => {
   if (event.httpMethod !== 'GET') return db.methodNotAllowed();
@@ -10,13 +11,16 @@ exports.handler = async (event) => {
   const tenant = resolveTenant(event);
   if (!tenant) return db.tenantNotFound();
 
+  const policy = passwordPolicy.policyFor(tenant);
+
   return db.ok({
     tenant: {
       slug: tenant.slug,
       name: tenant.name,
       brandColors: tenant.brandColors,
       pharmacistEmail: tenant.pharmacistEmail,
-      logos: tenant.logos
+      logos: tenant.logos,
+      passwordPolicy: { ...policy, description: passwordPolicy.describePolicy(policy) }
     }
   });
 };
@@ -0,0 +1,79 @@
+// netlify/functions/users-create.js
+// Creates a user account (Administrator only). The initial password is
+// temporary: the user must replace it at first login.
+const db = require('./_db');
+const bcrypt = require('bcryptjs');
+const { withPermission } = require('./_permissions');
+const { logActivity } = require('./_activity-log');
+const { USER_COLUMNS, mapUser, validateRole, validateLocation } = require('./_users');
+const passwordPolicy = require('./_password-policy');
+
+exports.handler = withPermission({ POST: 'manageUsers' }, async (event, { tdb, user }) => {
+  try {
+    const {
+      username,
+      password,
+      email,
+      firstName,
+      fullName,
+      role,
+      primaryLocation
+    } = db.parseBody(event);
+
+    const trimmedUsername = (username || '').trim();
+    if (!trimmedUsername || !fullName || !role) {
+      return db.fail(400, 'Missing required fields: username, fullName, role');
+    }
+
+    const problem = validateRole(role)
+      || passwordPolicy.checkStrength(password, passwordPolicy.policyFor(tdb.tenant), trimmedUsername)
+      || await validateLocation(primaryLocation, tdb.query);
+    if (problem) return db.fail(400, problem);
+
+    const passwordHash = await bcrypt.hash(password, passwordPolicy.BCRYPT_ROUNDS);
+
+    let created;
+    try {
+      const result = await tdb.query(
+        `INSERT INTO users (username, password_hash, email, first_name, full_name, role, active, location,
+                            must_change_password, password_changed_at)
+         VALUES ($1, $2, $3, $4, $5, $6, true, $7, true, NOW())
+         RETURNING ${USER_COLUMNS}`,
+        [
+          trimmedUsername,
+          passwordHash,
+          email || null,
+          firstName || fullName.split(' ')[0],
+          fullName,
+          role,
+          primaryLocation || null
+        ]
+      );
+      created = result.rows[0];
+    } catch (err) {
+      // 23505 = unique_violation on users.username
+      if (err.code === '23505') {
+        return db.fail(409, `Username "${trimmedUsername}" is already taken.`);
+      }
+      throw err;
+    }
+
+    await logActivity({
+      userId: user.id,
+      actionType: 'user_created',
+      entityType: 'user',
+      entityId: created.id,
+      details: {
+        targetUsername: created.username,
+        targetFullName: created.full_name,
+        role: created.role,
+        primaryLocation: created.location || null
+      },
+      queryFn: tdb.query
+    });
+
+    return db.ok({ user: mapUser(created) });
+  } catch (e) {
+    return db.serverError('users-create', e);
+  }
+});
@@ -0,0 +1,42 @@
+// netlify/functions/users-deactivate.js
+// Deactivates (or reactivates) a user account (Administrator only).
+// Accounts are never deleted: transactions and activity_log rows reference them.
+// A deactivated user's existing session stops working on their next request
+// because _auth.requireUser re-checks users.active.
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { logActivity } = require('./_activity-log');
+const { USER_COLUMNS, mapUser } = require('./_users');
+
+exports.handler = withPermission({ POST: 'manageUsers' }, async (event, { tdb, user }) => {
+  try {
+    const { id, active } = db.parseBody(event);
+
+    if (!id) return db.fail(400, 'Missing required field: id');
+
+    const makeActive = active === true;
+    if (!makeActive && String(id) === String(user.id)) {
+      return db.fail(400, 'You cannot deactivate your own account.');
+    }
+
+    const result = await tdb.query(
+      `UPDATE users SET active = $1 WHERE id = $2 RETURNING ${USER_COLUMNS}`,
+      [makeActive, id]
+    );
+    if (result.rows.length === 0) return db.fail(404, 'User not found');
+    const updated = result.rows[0];
+
+    await logActivity({
+      userId: user.id,
+      actionType: makeActive ? 'user_reactivated' : 'user_deactivated',
+      entityType: 'user',
+      entityId: updated.id,
+      details: { targetUsername: updated.username, targetFullName: updated.full_name },
+      queryFn: tdb.query
+    });
+
+    return db.ok({ user: mapUser(updated) });
+  } catch (e) {
+    return db.serverError('users-deactivate', e);
+  }
+});
@@ -1,13 +1,30 @@
 // netlify/functions/users-list.js
-// Returns all active users for dropdowns/filters
+// Returns all active users for dropdowns/filters.
+// ?include_inactive=true returns every account with profile fields and login
+// lockout status for the Users admin tab (Administrator only).
 const db = require('./_db');
+const { withPermission, forbidden } = require('./_permissions');
+const { USER_COLUMNS, mapUser } = require('./_users');
+const loginGuard = require('./_login-guard');
 
-exports.handler = async (event) => {
-  if (event.httpMethod !== 'GET') return db.methodNotAllowed();
-
+exports.handler = withPermission({ GET: 'viewStock' }, async (event, { tdb, user }) => {
   try {
-    const tdb = db.forTenant(event);
-    if (!tdb) return db.tenantNotFound();
+    const params = event.queryStringParameters || {};
+
+    if (params.include_inactive === 'true') {
+      const denied = forbidden(user, 'manageUsers');
+      if (denied) return denied;
+
+      const [result, locked] = await Promise.all([
+        tdb.query(`SELECT ${USER_COLUMNS} FROM users ORDER BY active DESC, full_name`),
+        loginGuard.lockedUsernames(tdb.query)
+      ]);
+      const users = result.rows.map(row => {
+        const lockedUntil = locked[loginGuard.normaliseUsername(row.username)];
+        return { ...mapUser(row), lockedUntil: lockedUntil ? lockedUntil.toISOString() : null };
+      });
+      return db.ok({ users });
+    }
 
     const result = await tdb.query(
       'SELECT id, username, full_name, role FROM users WHERE active = true ORDER BY full_name'
@@ -16,4 +33,4 @@ exports.handler = async (event) => {
   } catch (e) {
     return db.serverError('users-list', e);
   }
-};
+});
@@ -0,0 +1,37 @@
+// netlify/functions/users-reset-password.js
+// Administrator sets a temporary password for another user's account.
+// The user must replace it at their next login.
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { logActivity } = require('./_activity-log');
+const passwordPolicy = require('./_password-policy');
+
+exports.handler = withPermission({ POST: 'manageUsers' }, async (event, { tdb, user }) => {
+  try {
+    const { id, newPassword } = db.parseBody(event);
+
+    if (!id) return db.fail(400, 'Missing required field: id');
+
+    const existing = await tdb.query('SELECT username FROM users WHERE id = $1', [id]);
+    if (existing.rows.length === 0) return db.fail(404, 'User not found');
+
+    const problem = passwordPolicy.checkStrength(newPassword, passwordPolicy.policyFor(tdb.tenant), existing.rows[0].username);
+    if (problem) return db.fail(400, problem);
+
+    const target = await passwordPolicy.setPassword(id, newPassword, { mustChange: true }, tdb);
+
+    // Never log the password itself
+    await logActivity({
+      userId: user.id,
+      actionType: 'password_reset',
+      entityType: 'user',
+      entityId: target.id,
+      details: { targetUsername: target.username, targetFullName: target.full_name },
+      queryFn: tdb.query
+    });
+
+    return db.ok({ message: `Password reset for ${target.username}.` });
+  } catch (e) {
+    return db.serverError('users-reset-password', e);
+  }
+});
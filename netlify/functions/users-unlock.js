@@ -0,0 +1,34 @@
+// netlify/functions/users-unlock.js
+// Clears a user's failed login attempts so a locked account can sign in
+// again before the lockout window expires (Administrator only)
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { logActivity } = require('./_activity-log');
+const loginGuard = require('./_login-guard');
+
+exports.handler = withPermission({ POST: 'manageUsers' }, async (event, { tdb, user }) => {
+  try {
+    const { id } = db.parseBody(event);
+
+    if (!id) return db.fail(400, 'Missing required field: id');
+
+    const result = await tdb.query('SELECT id, username, full_name FROM users WHERE id = $1', [id]);
+    if (result.rows.length === 0) return db.fail(404, 'User not found');
+    const target = result.rows[0];
+
+    const clearedAttempts = await loginGuard.clearFailures(tdb.query, target.username);
+
+    await logActivity({
+      userId: user.id,
+      actionType: 'account_unlocked',
+      entityType: 'user',
+      entityId: target.id,
+      details: { targetUsername: target.username, targetFullName: target.full_name, clearedAttempts },
+      queryFn: tdb.query
+    });
+
+    return db.ok({ message: `${target.full_name || target.username} can sign in again.`, clearedAttempts });
+  } catch (e) {
+    return db.serverError('users-unlock', e);
+  }
+});
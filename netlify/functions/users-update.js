@@ -0,0 +1,80 @@
+// netlify/functions/users-update.js
+// Updates a user's profile, role and primary location (Administrator only).
+// Passwords and active status have their own functions so each is audited separately.
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { logActivity } = require('./_activity-log');
+const { USER_COLUMNS, mapUser, validateRole, validateLocation } = require('./_users');
+
+exports.handler = withPermission({ POST: 'manageUsers' }, async (event, { tdb, user }) => {
+  try {
+    const { id, email, firstName, fullName, role, primaryLocation } = db.parseBody(event);
+
+    if (!id) return db.fail(400, 'Missing required field: id');
+
+    const existingResult = await tdb.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+    if (existingResult.rows.length === 0) return db.fail(404, 'User not found');
+    const existing = existingResult.rows[0];
+
+    if (role !== undefined) {
+      const problem = validateRole(role);
+      if (problem) return db.fail(400, problem);
+      // Stops the last administrator locking everyone out of user management
+      if (String(existing.id) === String(user.id) && role !== existing.role) {
+        return db.fail(400, 'You cannot change your own role.');
+      }
+    }
+
+    if (primaryLocation !== undefined) {
+      const problem = await validateLocation(primaryLocation, tdb.query);
+      if (problem) return db.fail(400, problem);
+    }
+
+    // Build dynamic update
+    const fields = {
+      email: email !== undefined ? (email || null) : undefined,
+      first_name: firstName !== undefined ? (firstName || null) : undefined,
+      full_name: fullName !== undefined ? fullName : undefined,
+      role,
+      location: primaryLocation !== undefined ? (primaryLocation || null) : undefined
+    };
+
+    const sets = [];
+    const values = [];
+    const changes = {};
+    for (const [column, value] of Object.entries(fields)) {
+      if (value === undefined || value === existing[column]) continue;
+      values.push(value);
+      sets.push(`${column} = $${values.length}`);
+      changes[column] = { from: existing[column], to: value };
+    }
+
+    if (sets.length === 0) {
+      return db.ok({ user: mapUser(existing), changed: false });
+    }
+
+    values.push(id);
+    const result = await tdb.query(
+      `UPDATE users SET ${sets.join(', ')} WHERE id = $${values.length} RETURNING ${USER_COLUMNS}`,
+      values
+    );
+    const updated = result.rows[0];
+
+    await logActivity({
+      userId: user.id,
+      actionType: 'user_updated',
+      entityType: 'user',
+      entityId: updated.id,
+      details: {
+        targetUsername: updated.username,
+        targetFullName: updated.full_name,
+        changes
+      },
+      queryFn: tdb.query
+    });
+
+    return db.ok({ user: mapUser(updated), changed: true });
+  } catch (e) {
+    return db.serverError('users-update', e);
+  }
+});
@@ -1,7 +1,7 @@
 // netlify/functions/verify.js
 // Verifies user password against Neon PostgreSQL with bcrypt hashed passwords
 const db = require('./_db');
-const bcrypt = require('bcryptjs');
+const { verifyCredentials } = require('./_credentials');
 
 exports.handler = async (event) => {
   if (event.httpMethod !== 'POST') return db.methodNotAllowed();
@@ -12,29 +12,8 @@ exports.handler = async (event) => {
 
     const { username, password } = JSON.parse(event.body || '{}');
 
-    if (!username || !password) {
-      return db.fail(400, 'Username and password are required.');
-    }
-
-    const result = await tdb.query(
-      'SELECT password_hash, active FROM users WHERE username = $1',
-      [username]
-    );
-
-    if (result.rows.length === 0) {
-      return db.fail(401, 'Invalid credentials.');
-    }
-
-    const user = result.rows[0];
-
-    if (!user.active) {
-      return db.fail(401, 'Account is inactive.');
-    }
-
-    const passwordMatch = await bcrypt.compare(password, user.password_hash);
-    if (!passwordMatch) {
-      return db.fail(401, 'Invalid credentials.');
-    }
+    const { error } = await verifyCredentials(event, tdb, username, password, 'verify');
+    if (error) return error;
 
     return db.ok({ message: 'Password verified.' });
   } catch (err) {
@@ -0,0 +1,148 @@
+// netlify/functions/waste-record.js
+// Records stock wasted at a location: it leaves inventory as a 'waste'
+// transaction and gets a waste register entry with the reason, disposal
+// method, witness and value. Destruction is always witnessed.
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { logActivity } = require('./_activity-log');
+const { requireWitness } = require('./_controlled-drugs');
+const { lockBatch, batchQuarantined, lockInventory, stockChanged, isNegativeStockError } = require('./_inventory');
+const { WASTE_REASONS, DISPOSAL_METHODS, wasteReason, round2 } = require('./_waste');
+const { getItemsPerBoxMap, getPricePerItemMap } = require('./_intelligence-core');
+const { publish } = require('./_events');
+
+exports.handler = withPermission({ POST: 'recordWaste' }, async (event, { tdb, user }) => {
+  try {
+    const body = db.parseBody(event);
+    const { batchId, locationId, reason, disposalMethod } = body;
+    const quantity = Number(body.quantity);
+    const reasonNote = String(body.reasonNote || '').trim() || null;
+    const disposalNote = String(body.disposalNote || '').trim() || null;
+
+    if (!batchId || !locationId || !reason || !disposalMethod) {
+      return db.fail(400, 'Missing required fields: batchId, locationId, quantity, reason, disposalMethod');
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return db.fail(400, 'Quantity must be a whole number of items greater than 0');
+    }
+    if (!WASTE_REASONS[reason]) {
+      return db.fail(400, `Invalid reason. Must be one of: ${Object.keys(WASTE_REASONS).join(', ')}`);
+    }
+    if (!DISPOSAL_METHODS[disposalMethod]) {
+      return db.fail(400, `Invalid disposalMethod. Must be one of: ${Object.keys(DISPOSAL_METHODS).join(', ')}`);
+    }
+    if (disposalMethod === 'other' && !disposalNote) {
+      return db.fail(400, 'Describe how the stock was disposed of.');
+    }
+
+    const { witness, error: witnessError } = await requireWitness(event, tdb, user, batchId, body.witness, {
+      requiredFor: 'Waste'
+    });
+    if (witnessError) return witnessError;
+
+    // Priced as waste-report.js and the expiry report's value at risk price stock
+    const priceByMed = await getPricePerItemMap(tdb.query, await getItemsPerBoxMap(tdb.query));
+
+    const { record, details, error } = await tdb.withTransaction(async (client) => {
+      const batch = await lockBatch(client, batchId);
+      if (!batch) return { error: db.fail(400, 'Batch not found') };
+      // Recalled stock is pulled against its recall (recall-record.js), not wasted
+      if (batch.quarantined) return { error: batchQuarantined(batch) };
+
+      const info = await client.query(
+        `SELECT
+           CASE WHEN m.strength IS NULL OR m.strength = 'N/A' THEN m.name
+                ELSE m.name || ' ' || m.strength END AS medication_name,
+           l.display_name AS location_name
+         FROM batches b
+         JOIN medications m ON m.id = b.medication_id
+         LEFT JOIN locations l ON l.id = $2
+         WHERE b.id = $1`,
+        [batchId, locationId]
+      );
+      const details = info.rows[0];
+      const locationName = details.location_name || locationId;
+
+      const onHand = (await lockInventory(client, batchId, [locationId]))[String(locationId)] ?? 0;
+      if (onHand < quantity) {
+        return { error: stockChanged({ onHand, requested: quantity, locationName }) };
+      }
+
+      await client.query(
+        'UPDATE inventory SET on_hand = on_hand - $1 WHERE location_id = $2 AND batch_id = $3',
+        [quantity, locationId, batchId]
+      );
+
+      const transaction = await client.query(
+        `INSERT INTO transactions
+         (batch_id, location_id, medication_id, user_id, delta, type, reason, witness_user_id, movement_type)
+         VALUES ($1, $2, $3, $4, $5, 'out', $6, $7, 'waste')
+         RETURNING id`,
+        [batchId, locationId, batch.medication_id, user.id, -quantity,
+          wasteReason({ reason, reasonNote, disposalMethod, disposalNote }), witness ? witness.id : null]
+      );
+
+      const unitCost = priceByMed[batch.medication_id] ?? null;
+      const inserted = await client.query(
+        `INSERT INTO waste_records
+         (transaction_id, batch_id, location_id, medication_id, quantity, reason, reason_note,
+          unit_cost, total_value, disposal_method, disposal_note, recorded_by, witness_user_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         RETURNING id, recorded_at`,
+        [transaction.rows[0].id, batchId, locationId, batch.medication_id, quantity, reason, reasonNote,
+          unitCost, unitCost === null ? null : round2(unitCost * quantity), disposalMethod, disposalNote,
+          user.id, witness ? witness.id : null]
+      );
+
+      return {
+        details: { ...details, medicationId: batch.medication_id, locationName },
+        record: {
+          id: inserted.rows[0].id,
+          recordedAt: inserted.rows[0].recorded_at.toISOString(),
+          medicationName: details.medication_name,
+          batchCode: batch.batch_code || '',
+          locationId,
+          locationName,
+          quantity,
+          reason,
+          reasonNote,
+          disposalMethod,
+          disposalNote,
+          value: unitCost === null ? null : round2(unitCost * quantity),
+          witnessName: witness ? (witness.full_name || witness.username) : null
+        }
+      };
+    });
+    if (error) return error;
+
+    await logActivity({
+      userId: user.id,
+      witnessUserId: witness ? witness.id : null,
+      actionType: 'stock_wasted',
+      entityType: 'medication',
+      entityId: details.medicationId,
+      locationId,
+      details: {
+        wasteRecordId: record.id,
+        medicationName: record.medicationName,
+        batchId,
+        batchCode: record.batchCode,
+        locationName: record.locationName,
+        delta: -quantity,
+        reason,
+        reasonNote,
+        disposalMethod,
+        disposalNote,
+        value: record.value,
+        ...(witness && { witnessName: record.witnessName })
+      },
+      queryFn: tdb.query
+    });
+
+    await publish(tdb, 'inventory', { medicationIds: [details.medicationId] });
+    return db.ok({ record });
+  } catch (e) {
+    if (isNegativeStockError(e)) return stockChanged();
+    return db.serverError('waste-record', e);
+  }
+});
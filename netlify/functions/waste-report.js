@@ -0,0 +1,142 @@
+// netlify/functions/waste-report.js
+// Waste register report: every 'waste' movement in a date range with its
+// register entry, totalled by location, medication and reason. Waste moved
+// through stock-adjust.js (a reason code of type waste) has no register
+// entry; it is listed as unregistered and valued at today's price.
+// Query params: from, to (YYYY-MM-DD, default the last 30 days), locationId, medicationId
+const db = require('./_db');
+const { withPermission } = require('./_permissions');
+const { getItemsPerBoxMap, getPricePerItemMap } = require('./_intelligence-core');
+const { WASTE_REASONS, DISPOSAL_METHODS, round2 } = require('./_waste');
+
+const MAX_ENTRIES = 500;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Adds one entry to the group for `key` in `groups`
+function tally(groups, key, base, entry) {
+  if (!groups[key]) groups[key] = { ...base, entries: 0, quantity: 0, value: 0, unpriced: 0 };
+  const group = groups[key];
+  group.entries++;
+  group.quantity += entry.quantity;
+  if (entry.value === null) group.unpriced++;
+  else group.value = round2(group.value + entry.value);
+}
+
+const byValue = (a, b) => b.value - a.value || b.quantity - a.quantity;
+
+exports.handler = withPermission({ GET: 'wasteReport' }, async (event, { tdb }) => {
+  try {
+    const params = event.queryStringParameters || {};
+    const today = new Date().toISOString().slice(0, 10);
+    const to = params.to || today;
+    const from = params.from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+      return db.fail(400, 'from and to must be dates (YYYY-MM-DD)');
+    }
+
+    const [result, itemsPerBoxByMed] = await Promise.all([
+      tdb.query(`
+        SELECT
+          t.id AS transaction_id,
+          t.occurred_at,
+          t.location_id,
+          l.display_name AS location_name,
+          t.medication_id,
+          CASE WHEN m.strength IS NULL OR m.strength = 'N/A' THEN m.name
+               ELSE m.name || ' ' || m.strength END AS medication_name,
+          b.batch_code,
+          b.expiry_date,
+          b.items_per_box,
+          -t.delta AS quantity,
+          t.reason AS movement_reason,
+          w.id AS waste_id,
+          w.reason,
+          w.reason_note,
+          w.total_value,
+          w.disposal_method,
+          w.disposal_note,
+          u.full_name AS recorded_by_name,
+          wu.full_name AS witness_name
+        FROM transactions t
+        JOIN medications m ON m.id = t.medication_id
+        LEFT JOIN waste_records w ON w.transaction_id = t.id
+        LEFT JOIN batches b ON b.id = t.batch_id
+        LEFT JOIN locations l ON l.id = t.location_id
+        LEFT JOIN users u ON u.id = t.user_id
+        LEFT JOIN users wu ON wu.id = t.witness_user_id
+        WHERE t.movement_type = 'waste'
+          AND t.delta < 0
+          AND t.occurred_at >= $1::date
+          AND t.occurred_at < $2::date + 1
+          AND ($3::text IS NULL OR t.location_id = $3)
+          AND ($4::text IS NULL OR t.medication_id = $4)
+        ORDER BY t.occurred_at DESC, t.id DESC
+      `, [from, to, params.locationId || null, params.medicationId || null]),
+      getItemsPerBoxMap(tdb.query)
+    ]);
+    const priceByMed = await getPricePerItemMap(tdb.query, itemsPerBoxByMed);
+
+    const byLocation = {};
+    const byMedication = {};
+    const byReason = {};
+    const totals = { entries: 0, quantity: 0, value: 0, unpriced: 0, unregistered: 0 };
+
+    const entries = result.rows.map(row => {
+      const registered = row.waste_id != null;
+      let value = row.total_value != null ? Number(row.total_value) : null;
+      if (!registered && priceByMed[row.medication_id] != null) {
+        // Same per-box price as the register uses, spread over this batch's pack size
+        const boxPrice = priceByMed[row.medication_id] * (itemsPerBoxByMed[row.medication_id] || 1);
+        value = round2(boxPrice / (row.items_per_box || itemsPerBoxByMed[row.medication_id] || 1) * row.quantity);
+      }
+      return {
+        id: row.waste_id,
+        transactionId: row.transaction_id,
+        occurredAt: row.occurred_at.toISOString(),
+        locationId: row.location_id,
+        locationName: row.location_name || row.location_id,
+        medicationId: row.medication_id,
+        medicationName: row.medication_name,
+        batchCode: row.batch_code || '',
+        expiryDate: row.expiry_date ? new Date(row.expiry_date).toISOString().slice(0, 10) : null,
+        quantity: row.quantity,
+        registered,
+        reason: registered ? row.reason : 'unregistered',
+        reasonLabel: registered ? WASTE_REASONS[row.reason] : 'Not in register',
+        reasonNote: registered ? (row.reason_note || '') : (row.movement_reason || ''),
+        disposalMethod: row.disposal_method || null,
+        disposalLabel: row.disposal_method ? DISPOSAL_METHODS[row.disposal_method] : null,
+        disposalNote: row.disposal_note || '',
+        value,
+        valueEstimated: !registered && value !== null,
+        recordedBy: row.recorded_by_name || null,
+        witnessName: row.witness_name || null
+      };
+    });
+
+    for (const entry of entries) {
+      tally(byLocation, entry.locationId, { locationId: entry.locationId, locationName: entry.locationName }, entry);
+      tally(byMedication, entry.medicationId, { medicationId: entry.medicationId, medicationName: entry.medicationName }, entry);
+      tally(byReason, entry.reason, { reason: entry.reason, label: entry.reasonLabel }, entry);
+      totals.entries++;
+      totals.quantity += entry.quantity;
+      if (entry.value === null) totals.unpriced++;
+      else totals.value = round2(totals.value + entry.value);
+      if (!entry.registered) totals.unregistered++;
+    }
+
+    return db.ok({
+      from,
+      to,
+      totals,
+      byLocation: Object.values(byLocation).sort(byValue),
+      byMedication: Object.values(byMedication).sort(byValue),
+      byReason: Object.values(byReason).sort(byValue),
+      entries: entries.slice(0, MAX_ENTRIES),
+      truncated: entries.length > MAX_ENTRIES,
+      generatedAt: new Date().toISOString()
+    });
+  } catch (e) {
+    return db.serverError('waste-report', e);
+  }
+});
@@ -0,0 +1,82 @@
+// outbox.js
+// IndexedDB outbox for stock movements recorded while offline.
+// api.js adds an entry (endpoint, payload and the Idempotency-Key it will be
+// sent with) when a queueable POST cannot reach the server, and replays the
+// queue in order once the connection returns. Entries the server refuses
+// (e.g. 409 STOCK_CHANGED) stay here as conflicts until the user retries or
+// discards them. Every change fires a 'clinitrack:outbox-changed' window event.
+
+window.outbox = (function () {
+  const DB_NAME = 'clinitrack';
+  const DB_VERSION = 1;
+  const STORE = 'outbox';
+
+  let dbPromise = null;
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE)) {
+            db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => { dbPromise = null; reject(request.error); };
+      });
+    }
+    return dbPromise;
+  }
+
+  // Run one request against the store and resolve with its result
+  async function withStore(mode, makeRequest) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = makeRequest(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function notifyChanged() {
+    window.dispatchEvent(new CustomEvent('clinitrack:outbox-changed'));
+  }
+
+  /**
+   * Queue a request. entry: { endpoint, payload, key, userId, description }.
+   * Resolves with the stored entry (including its id).
+   */
+  async function add(entry) {
+    const record = { ...entry, status: 'pending', error: '', code: null, createdAt: new Date().toISOString() };
+    const id = await withStore('readwrite', store => store.add(record));
+    notifyChanged();
+    return { ...record, id };
+  }
+
+  // All entries, oldest first
+  async function list() {
+    const entries = await withStore('readonly', store => store.getAll());
+    return entries.sort((a, b) => a.id - b.id);
+  }
+
+  async function update(id, changes) {
+    const current = await withStore('readonly', store => store.get(id));
+    if (!current) return null;
+    const record = { ...current, ...changes };
+    await withStore('readwrite', store => store.put(record));
+    notifyChanged();
+    return record;
+  }
+
+  async function remove(id) {
+    await withStore('readwrite', store => store.delete(id));
+    notifyChanged();
+  }
+
+  const isSupported = () => typeof indexedDB !== 'undefined';
+
+  return { isSupported, add, list, update, remove };
+})();
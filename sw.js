@@ -0,0 +1,140 @@
+// sw.js
+// Service worker: keeps the app usable with no signal (theatres, basements).
+// - The SPA shell and its CDN scripts are cached so the app opens offline.
+// - The last meds-get payload is cached so stock levels can still be viewed.
+// - Everything else under /.netlify/functions/ goes straight to the network;
+//   stock movements made offline are queued by outbox.js, not here.
+// Same-origin scripts are served cache-first, so each carries a version in
+// its URL: when one changes, bump its ?v= here and in index.html, and bump
+// CACHE_VERSION. The fresh index.html then asks for a URL the cache does not
+// have, and never runs against the previous deploy's scripts.
+
+const CACHE_VERSION = 'v5';
+const SHELL_CACHE = `clinitrack-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `clinitrack-data-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+  '/',
+  '/index.html',
+  '/api.js?v=2',
+  '/outbox.js?v=2',
+  '/manifest.json',
+  '/utils/parseGs1Data.js?v=7',
+  '/utils/gtin.js?v=2',
+  '/assets/branding/favicon.png',
+  '/assets/branding/apple-touch-icon.png',
+  '/assets/branding/logo-login.png',
+  '/assets/branding/logo-header.png',
+  '/assets/branding/hospital-logo.png'
+];
+
+// Third-party scripts and styles index.html loads
+const CDN_FILES = [
+  'https://cdn.tailwindcss.com',
+  'https://unpkg.com/react@18/umd/react.production.min.js',
+  'https://unpkg.com/react-dom@18/umd/react-dom.production.min.js',
+  'https://unpkg.com/@babel/standalone/babel.min.js',
+  'https://unpkg.com/html5-qrcode@2.3.8/html5-qrcode.min.js',
+  'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700;800&family=Manrope:wght@600;700;800&display=swap'
+];
+
+const CACHED_DATA_PATHS = ['/.netlify/functions/meds-get'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_FILES);
+    // Fetched with CORS so they also satisfy the crossorigin script tags.
+    // A CDN hiccup should not stop the worker installing.
+    await Promise.all(CDN_FILES.map(url =>
+      cache.add(url).catch(err => console.warn('[sw] could not cache', url, err))
+    ));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, DATA_CACHE];
+    for (const name of await caches.keys()) {
+      if (name.startsWith('clinitrack-') && !keep.includes(name)) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// Logout clears the cached stock data so the next user cannot read it offline
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'clear-data-cache') {
+    event.waitUntil(caches.delete(DATA_CACHE));
+  }
+});
+
+// Network first; fall back to the cached copy, marked so the app can tell
+async function networkFirstData(request) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (!cached) {
+      return new Response(JSON.stringify({ success: false, message: 'You are offline and no stock data has been saved on this device yet.', code: 'OFFLINE' }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    const headers = new Headers(cached.headers);
+    headers.set('X-Served-From-Cache', 'true');
+    return new Response(await cached.blob(), { status: cached.status, headers });
+  }
+}
+
+// App navigation: fresh index.html when online, cached shell when not
+async function networkFirstPage(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put('/index.html', response.clone());
+    return response;
+  } catch (err) {
+    return (await cache.match('/index.html')) || Response.error();
+  }
+}
+
+// Static files: answer from cache, refresh in the background
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const refresh = fetch(request)
+    .then(response => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    if (CACHED_DATA_PATHS.includes(url.pathname)) {
+      event.respondWith(networkFirstData(request));
+    } else if (url.pathname.startsWith('/.netlify/')) {
+      return; // other API calls are never cached
+    } else if (request.mode === 'navigate') {
+      event.respondWith(networkFirstPage(request));
+    } else {
+      event.respondWith(staleWhileRevalidate(request));
+    }
+    return;
+  }
+
+  if (CDN_FILES.some(file => request.url.startsWith(file)) || url.hostname === 'fonts.gstatic.com') {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
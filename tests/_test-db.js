@@ -0,0 +1,73 @@
+// tests/_test-db.js
+// Scratch schema for the tests that run real function handlers against
+// TEST_DATABASE_URL: just the tables and columns those handlers touch, in a
+// schema of their own that is dropped afterwards.
+// inventory is created without migration 010's CHECK (on_hand >= 0), so a
+// level below zero means the row locks failed rather than the backstop firing.
+const { Client } = require('pg');
+
+const DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+const SCHEMA_SQL = `
+  CREATE TABLE users (
+    id SERIAL PRIMARY KEY, username TEXT, email TEXT, first_name TEXT, full_name TEXT,
+    role TEXT, active BOOLEAN DEFAULT TRUE, location TEXT
+  );
+  CREATE TABLE locations (id TEXT PRIMARY KEY, display_name TEXT);
+  CREATE TABLE medications (
+    id SERIAL PRIMARY KEY, name TEXT, strength TEXT,
+    controlled_drug BOOLEAN DEFAULT FALSE, fefo BOOLEAN DEFAULT TRUE
+  );
+  CREATE TABLE batches (
+    id SERIAL PRIMARY KEY, medication_id INTEGER REFERENCES medications(id), batch_code TEXT, brand TEXT,
+    expiry_date DATE, quarantined BOOLEAN DEFAULT FALSE, recall_id INTEGER
+  );
+  CREATE TABLE inventory (
+    location_id TEXT REFERENCES locations(id), batch_id INTEGER REFERENCES batches(id), on_hand INTEGER NOT NULL,
+    PRIMARY KEY (location_id, batch_id)
+  );
+  CREATE TABLE reason_codes (
+    id SERIAL PRIMARY KEY, code TEXT UNIQUE, label TEXT, movement_type TEXT, location_groups TEXT[],
+    counts_as_usage BOOLEAN DEFAULT TRUE, requires_note BOOLEAN DEFAULT FALSE, requires_witness BOOLEAN DEFAULT FALSE,
+    sort_order INTEGER DEFAULT 0, is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(), updated_at TIMESTAMPTZ DEFAULT NOW()
+  );
+  CREATE TABLE transactions (
+    id SERIAL PRIMARY KEY, batch_id INTEGER, location_id TEXT, medication_id INTEGER, user_id INTEGER,
+    delta INTEGER, type TEXT, reason TEXT, witness_user_id INTEGER, movement_type TEXT,
+    reason_code_id INTEGER REFERENCES reason_codes(id), reason_note TEXT,
+    fefo_override_reason TEXT, fefo_override_note TEXT, fefo_skipped_batch_id INTEGER,
+    occurred_at TIMESTAMPTZ DEFAULT NOW()
+  );
+  CREATE TABLE activity_log (
+    id SERIAL PRIMARY KEY, user_id INTEGER, action_type TEXT, entity_type TEXT, entity_id TEXT,
+    location_id TEXT, details JSONB, witness_user_id INTEGER, created_at TIMESTAMPTZ DEFAULT NOW()
+  );
+`;
+
+// Connection string that puts every session on `schema`
+function schemaUrl(schema) {
+  const url = new URL(DATABASE_URL);
+  url.searchParams.set('options', `-c search_path=${schema}`);
+  return url.toString();
+}
+
+/**
+ * Creates `schema` with the tables above and returns a connected client
+ * whose search_path is set to it. dropTestSchema() removes both.
+ */
+async function createTestSchema(schema) {
+  const admin = new Client({ connectionString: DATABASE_URL });
+  await admin.connect();
+  await admin.query(`CREATE SCHEMA ${schema}`);
+  await admin.query(`SET search_path TO ${schema}`);
+  await admin.query(SCHEMA_SQL);
+  return admin;
+}
+
+async function dropTestSchema(admin, schema) {
+  await admin.query(`DROP SCHEMA IF EXISTS ${schema} CASCADE`).catch(() => {});
+  await admin.end();
+}
+
+module.exports = { DATABASE_URL, schemaUrl, createTestSchema, dropTestSchema };
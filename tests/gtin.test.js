@@ -0,0 +1,30 @@
+// tests/gtin.test.js
+// utils/gtin.js: 8-digit codes are only expanded as UPC-E when the scanner
+// says the symbol was UPC-E, so EAN-8s that happen to pass the UPC-E check
+// digit keep their own GTIN.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGtin, normalizeBarcode } = require('../utils/gtin');
+
+test('8-digit codes without a symbology are GTIN-8', () => {
+  assert.deepEqual(parseGtin('12345670'), { gtin: '00000012345670', format: 'GTIN-8', error: null });
+  assert.equal(normalizeBarcode('01234565'), '00000001234565');
+});
+
+test('8-digit codes the scanner read as UPC-E are expanded to UPC-A', () => {
+  assert.deepEqual(parseGtin('01234565', 'UPC_E'), { gtin: '00012345000065', format: 'UPC-E', error: null });
+  assert.equal(normalizeBarcode('01234565', 'upc_e'), '00012345000065');
+  assert.equal(normalizeBarcode('12345670', 'EAN_8'), '00000012345670');
+});
+
+test('a UPC-E with a wrong check digit is reported', () => {
+  const parsed = parseGtin('01234566', 'UPC_E');
+  assert.equal(parsed.gtin, null);
+  assert.match(parsed.error, /not a valid UPC-E/);
+});
+
+test('GTIN-12/13/14 are padded to 14 digits and check digits are enforced', () => {
+  assert.equal(normalizeBarcode('5012345678900'), '05012345678900');
+  assert.equal(parseGtin('5012345678901').gtin, null);
+  assert.equal(normalizeBarcode('ABC-123'), 'ABC-123');
+});
@@ -0,0 +1,28 @@
+// tests/stock-concurrency-client.js
+// One simulated function instance for stock-concurrency.test.js: loads the
+// real stock-adjust and stock-transfer handlers (with their own small pool
+// from _db.js), fires every movement it is sent at once and reports the
+// status and code of each response before exiting.
+// Started with fork(); DATABASE_URL and SESSION_SECRET come from the parent.
+const stockAdjust = require('../netlify/functions/stock-adjust');
+const stockTransfer = require('../netlify/functions/stock-transfer');
+
+const HANDLERS = {
+  'stock-adjust': stockAdjust.handler,
+  'stock-transfer': stockTransfer.handler
+};
+
+process.on('message', async ({ token, calls }) => {
+  const results = await Promise.all(calls.map(async ({ endpoint, body }) => {
+    const response = await HANDLERS[endpoint]({
+      httpMethod: 'POST',
+      path: `/.netlify/functions/${endpoint}`,
+      headers: { host: 'localhost', authorization: `Bearer ${token}` },
+      body: JSON.stringify(body)
+    });
+    const parsed = JSON.parse(response.body || '{}');
+    return { endpoint, body, statusCode: response.statusCode, code: parsed.code || null, message: parsed.message };
+  }));
+
+  process.send(results, () => process.exit(0));
+});
@@ -0,0 +1,138 @@
+/**
+ * GTIN utilities shared by the SPA (window.gtin) and the Netlify functions
+ * (netlify/functions/_barcode-utils.js).
+ *
+ * Every product barcode is stored and compared as its GTIN-14: the GTIN-8,
+ * GTIN-12 (UPC-A), GTIN-13 (EAN-13) or GTIN-14 digits left-padded with zeros,
+ * so a pack scanned from its linear barcode, its DataMatrix (AI 01) or typed
+ * in matches the same medication. UPC-E is expanded to UPC-A first, but only
+ * when the scanner says the symbol was UPC-E: 8 digits alone cannot tell a
+ * UPC-E from an EAN-8, and many EAN-8s also pass the UPC-E check digit.
+ * migrations/019_canonical_gtins.sql applies the same rules to stored barcodes,
+ * where the symbology is not known, so 8 digits are always a GTIN-8 there.
+ *
+ * Codes that are not all digits, or not a GTIN length, are left alone
+ * (trimmed), so internal or non-GS1 codes keep working.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.gtin = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const GTIN_LENGTHS = [8, 12, 13, 14];
+
+  /**
+   * Whether a scanner's format name is UPC-E: html5-qrcode reports 'UPC_E',
+   * the BarcodeDetector API 'upc_e'.
+   */
+  function isUpcESymbology(symbology) {
+    return /^upc[-_ ]?e$/i.test(String(symbology || ''));
+  }
+
+  /**
+   * GS1 mod-10 check digit for the digits before it: weights 3 and 1
+   * alternate from the rightmost digit.
+   *
+   * @param {string} body - The GTIN without its check digit
+   * @returns {number} The check digit
+   */
+  function gtinCheckDigit(body) {
+    let sum = 0;
+    for (let i = body.length - 1, weight = 3; i >= 0; i--, weight = 4 - weight) {
+      sum += Number(body[i]) * weight;
+    }
+    return (10 - (sum % 10)) % 10;
+  }
+
+  /**
+   * Whether `code` is a GTIN-8/12/13/14 with a correct check digit.
+   */
+  function isValidGtin(code) {
+    const digits = String(code || '').trim();
+    return /^\d+$/.test(digits) && GTIN_LENGTHS.includes(digits.length)
+      && gtinCheckDigit(digits.slice(0, -1)) === Number(digits[digits.length - 1]);
+  }
+
+  /**
+   * Expands a UPC-E code to its 12-digit UPC-A. Accepts the 6 data digits
+   * (number system 0 assumed), number system + 6 digits, or all 8 digits
+   * with the check digit, which must then be correct.
+   *
+   * @param {string} code - UPC-E digits
+   * @returns {string|null} The UPC-A, or null if `code` is not a valid UPC-E
+   */
+  function expandUpcE(code) {
+    const digits = String(code || '').trim();
+    if (!/^\d{6,8}$/.test(digits)) return null;
+
+    const system = digits.length === 6 ? '0' : digits[0];
+    if (system !== '0' && system !== '1') return null;
+    const d = digits.length === 6 ? digits : digits.substr(1, 6);
+
+    let body;
+    const last = d[5];
+    if (last <= '2') body = d[0] + d[1] + last + '0000' + d[2] + d[3] + d[4];
+    else if (last === '3') body = d[0] + d[1] + d[2] + '00000' + d[3] + d[4];
+    else if (last === '4') body = d[0] + d[1] + d[2] + d[3] + '00000' + d[4];
+    else body = d[0] + d[1] + d[2] + d[3] + d[4] + '0000' + last;
+
+    const upcA = system + body + gtinCheckDigit(system + body);
+    if (digits.length === 8 && upcA[11] !== digits[7]) return null;
+    return upcA;
+  }
+
+  /**
+   * Reads a scanned or typed barcode as a GTIN.
+   * A code is only expanded as UPC-E when `symbology` says the scanner read a
+   * UPC-E symbol; otherwise (typed in, hardware scanner, stored value) an
+   * 8-digit code is a GTIN-8 (EAN-8).
+   *
+   * @param {string} code - Barcode digits (spaces are ignored)
+   * @param {string} [symbology] - The scanner's format name, e.g. html5-qrcode's
+   *   result.format.formatName
+   * @returns {{ gtin: string|null, format: string|null, error: string|null }}
+   *   gtin is the GTIN-14; all null for a code that is not a GTIN; error set
+   *   (and gtin null) for a GTIN-length code with a wrong check digit
+   */
+  function parseGtin(code, symbology) {
+    const digits = String(code || '').replace(/\s+/g, '');
+    if (!/^\d+$/.test(digits)) return { gtin: null, format: null, error: null };
+
+    if (isUpcESymbology(symbology) && digits.length >= 6 && digits.length <= 8) {
+      const upcA = expandUpcE(digits);
+      if (upcA) return { gtin: upcA.padStart(14, '0'), format: 'UPC-E', error: null };
+      return {
+        gtin: null,
+        format: 'UPC-E',
+        error: `Barcode ${digits} is not a valid UPC-E code. Rescan the pack or check the number.`
+      };
+    }
+    if (!GTIN_LENGTHS.includes(digits.length)) return { gtin: null, format: null, error: null };
+
+    const expected = gtinCheckDigit(digits.slice(0, -1));
+    if (expected !== Number(digits[digits.length - 1])) {
+      return {
+        gtin: null,
+        format: `GTIN-${digits.length}`,
+        error: `Barcode ${digits} has an invalid check digit (expected ${expected}, got ${digits[digits.length - 1]}). Rescan the pack or check the number.`
+      };
+    }
+    return { gtin: digits.padStart(14, '0'), format: `GTIN-${digits.length}`, error: null };
+  }
+
+  /**
+   * Normalizes a barcode to the form it is stored and matched in: the GTIN-14
+   * for a valid GTIN, otherwise the trimmed code unchanged (check digits are
+   * reported by parseGtin, not here).
+   *
+   * @param {string} barcode - Raw barcode string
+   * @param {string} [symbology] - The scanner's format name (see parseGtin)
+   * @returns {string} Normalized barcode
+   */
+  function normalizeBarcode(barcode, symbology) {
+    if (!barcode) return barcode;
+    const parsed = parseGtin(barcode, symbology);
+    return parsed.gtin || String(barcode).trim();
+  }
+
+  return { GTIN_LENGTHS, gtinCheckDigit, isValidGtin, isUpcESymbology, expandUpcE, parseGtin, normalizeBarcode };
+});
@@ -2,13 +2,19 @@
  * GS1 DataMatrix Parser for Medicine Packaging
  *
  * Parses GS1-encoded barcodes commonly found on medication packaging.
- * These barcodes use Application Identifiers (AIs) to encode multiple fields:
- *
- * Supported AIs:
+ * These barcodes use Application Identifiers (AIs) to encode multiple fields.
+ * Every AI in the GS1 General Specifications is recognised (GS1_AI_DEFINITIONS);
+ * the ones the app fills forms from are:
  * - (01): GTIN - 14-digit Global Trade Item Number (product code)
  * - (17): Expiry date in YYMMDD format
  * - (10): Batch/lot number (variable length)
  * - (21): Serial number (variable length)
+ *
+ * All AIs found are returned in `elements`, in scan order — e.g. (240)
+ * additional product id, (422) country of origin, (7003) expiry date and time
+ * and (710)-(716) national healthcare reimbursement numbers (PZN, CIP, CN...).
+ * Problems are reported in `errors` ({ code, message, ai, position }) rather
+ * than thrown, so a pack with one bad element still yields the rest.
  */
 
 // Set to true for detailed parse logging (useful during development/debugging)
@@ -20,81 +26,411 @@ function gs1Log(...args) {
 
 /**
  * GS1 Application Identifier definitions
- * Maps AI codes to their properties (fixed vs variable length)
+ * Maps AI codes to their name and format, as written in the GS1 General
+ * Specifications: components joined by '+', each a character set (N numeric,
+ * X the 82 GS1 characters, Y the 39 used in CPIDs, Z base64url) with a fixed
+ * length ('N6'), a maximum ('X..20') or a range ('N6..12'; 'X0..1' is optional).
+ * - checkDigit: the first component ends in a GS1 mod-10 check digit
+ * - date: the first component is a date ('YYMMDD', 'YYMMDDHHMM' or 'YYYYMMDD')
+ * - decimal: the AI's last digit is the number of decimal places (310n etc.)
  */
 const GS1_AI_DEFINITIONS = {
-  '01': { fixedLength: 14, name: 'GTIN' },
-  '17': { fixedLength: 6, name: 'Expiry Date' },
-  '10': { name: 'Batch/Lot' },
-  '21': { name: 'Serial Number' },
-  '11': { fixedLength: 6, name: 'Production Date' },
-  '30': { name: 'Variable Count' },
+  '00': { format: 'N18', name: 'SSCC', checkDigit: true },
+  '01': { format: 'N14', name: 'GTIN', checkDigit: true },
+  '02': { format: 'N14', name: 'Contained GTIN', checkDigit: true },
+  '03': { format: 'N14', name: 'Made-to-Order GTIN', checkDigit: true },
+  '10': { format: 'X..20', name: 'Batch/Lot' },
+  '11': { format: 'N6', name: 'Production Date', date: 'YYMMDD' },
+  '12': { format: 'N6', name: 'Due Date', date: 'YYMMDD' },
+  '13': { format: 'N6', name: 'Packaging Date', date: 'YYMMDD' },
+  '15': { format: 'N6', name: 'Best Before Date', date: 'YYMMDD' },
+  '16': { format: 'N6', name: 'Sell By Date', date: 'YYMMDD' },
+  '17': { format: 'N6', name: 'Expiry Date', date: 'YYMMDD' },
+  '20': { format: 'N2', name: 'Internal Product Variant' },
+  '21': { format: 'X..20', name: 'Serial Number' },
+  '22': { format: 'X..20', name: 'Consumer Product Variant' },
+  '235': { format: 'X..28', name: 'Third Party Controlled Serial Extension' },
+  '240': { format: 'X..30', name: 'Additional Product Identification' },
+  '241': { format: 'X..30', name: 'Customer Part Number' },
+  '242': { format: 'N..6', name: 'Made-to-Order Variation Number' },
+  '243': { format: 'X..20', name: 'Packaging Component Number' },
+  '250': { format: 'X..30', name: 'Secondary Serial Number' },
+  '251': { format: 'X..30', name: 'Reference to Source Entity' },
+  '253': { format: 'N13+X..17', name: 'Global Document Type Identifier', checkDigit: true },
+  '254': { format: 'X..20', name: 'GLN Extension Component' },
+  '255': { format: 'N13+N..12', name: 'Global Coupon Number', checkDigit: true },
+  '30': { format: 'N..8', name: 'Variable Count' },
+  '37': { format: 'N..8', name: 'Count of Trade Items' },
+  '400': { format: 'X..30', name: 'Customer Purchase Order Number' },
+  '401': { format: 'X..30', name: 'Global Identification Number for Consignment' },
+  '402': { format: 'N17', name: 'Global Shipment Identification Number', checkDigit: true },
+  '403': { format: 'X..30', name: 'Routing Code' },
+  '410': { format: 'N13', name: 'Ship To GLN', checkDigit: true },
+  '411': { format: 'N13', name: 'Bill To GLN', checkDigit: true },
+  '412': { format: 'N13', name: 'Purchased From GLN', checkDigit: true },
+  '413': { format: 'N13', name: 'Ship For GLN', checkDigit: true },
+  '414': { format: 'N13', name: 'Physical Location GLN', checkDigit: true },
+  '415': { format: 'N13', name: 'Invoicing Party GLN', checkDigit: true },
+  '416': { format: 'N13', name: 'Production or Service Location GLN', checkDigit: true },
+  '417': { format: 'N13', name: 'Party GLN', checkDigit: true },
+  '420': { format: 'X..20', name: 'Ship To Postal Code' },
+  '421': { format: 'N3+X..9', name: 'Ship To Postal Code with Country' },
+  '422': { format: 'N3', name: 'Country of Origin' },
+  '423': { format: 'N3+N..12', name: 'Country of Initial Processing' },
+  '424': { format: 'N3', name: 'Country of Processing' },
+  '425': { format: 'N3+N..12', name: 'Country of Disassembly' },
+  '426': { format: 'N3', name: 'Country of Full Process Chain' },
+  '427': { format: 'X..3', name: 'Country Subdivision of Origin' },
+  '4300': { format: 'X..35', name: 'Ship To Company' },
+  '4301': { format: 'X..35', name: 'Ship To Contact' },
+  '4302': { format: 'X..70', name: 'Ship To Address Line 1' },
+  '4303': { format: 'X..70', name: 'Ship To Address Line 2' },
+  '4304': { format: 'X..70', name: 'Ship To Suburb' },
+  '4305': { format: 'X..70', name: 'Ship To Locality' },
+  '4306': { format: 'X..70', name: 'Ship To Region' },
+  '4307': { format: 'X2', name: 'Ship To Country' },
+  '4308': { format: 'X..30', name: 'Ship To Telephone' },
+  '4309': { format: 'N20', name: 'Ship To Geolocation' },
+  '4310': { format: 'X..35', name: 'Return To Company' },
+  '4311': { format: 'X..35', name: 'Return To Contact' },
+  '4312': { format: 'X..70', name: 'Return To Address Line 1' },
+  '4313': { format: 'X..70', name: 'Return To Address Line 2' },
+  '4314': { format: 'X..70', name: 'Return To Suburb' },
+  '4315': { format: 'X..70', name: 'Return To Locality' },
+  '4316': { format: 'X..70', name: 'Return To Region' },
+  '4317': { format: 'X2', name: 'Return To Country' },
+  '4318': { format: 'X..20', name: 'Return To Postal Code' },
+  '4319': { format: 'X..30', name: 'Return To Telephone' },
+  '4320': { format: 'X..35', name: 'Service Code Description' },
+  '4321': { format: 'N1', name: 'Dangerous Goods Flag' },
+  '4322': { format: 'N1', name: 'Authority to Leave Flag' },
+  '4323': { format: 'N1', name: 'Signature Required Flag' },
+  '4324': { format: 'N10', name: 'Not Before Delivery Date Time', date: 'YYMMDDHHMM' },
+  '4325': { format: 'N10', name: 'Not After Delivery Date Time', date: 'YYMMDDHHMM' },
+  '4326': { format: 'N6', name: 'Release Date', date: 'YYMMDD' },
+  '4330': { format: 'N6+X0..1', name: 'Maximum Temperature (Fahrenheit)' },
+  '4331': { format: 'N6+X0..1', name: 'Maximum Temperature (Celsius)' },
+  '4332': { format: 'N6+X0..1', name: 'Minimum Temperature (Fahrenheit)' },
+  '4333': { format: 'N6+X0..1', name: 'Minimum Temperature (Celsius)' },
+  '7001': { format: 'N13', name: 'NATO Stock Number' },
+  '7002': { format: 'X..30', name: 'UN/ECE Meat Carcasses and Cuts Classification' },
+  '7003': { format: 'N10', name: 'Expiry Date and Time', date: 'YYMMDDHHMM' },
+  '7004': { format: 'N..4', name: 'Active Potency' },
+  '7005': { format: 'X..12', name: 'Catch Area' },
+  '7006': { format: 'N6', name: 'First Freeze Date', date: 'YYMMDD' },
+  '7007': { format: 'N6..12', name: 'Harvest Date', date: 'YYMMDD' },
+  '7008': { format: 'X..3', name: 'Species for Fishery Purposes' },
+  '7009': { format: 'X..10', name: 'Fishing Gear Type' },
+  '7010': { format: 'X..2', name: 'Production Method' },
+  '7011': { format: 'N6+N0..4', name: 'Test by Date', date: 'YYMMDD' },
+  '7020': { format: 'X..20', name: 'Refurbishment Lot ID' },
+  '7021': { format: 'X..20', name: 'Functional Status' },
+  '7022': { format: 'X..20', name: 'Revision Status' },
+  '7023': { format: 'X..30', name: 'GIAI of an Assembly' },
+  '7040': { format: 'N1+X3', name: 'GS1 UIC with Extension 1 and Importer Index' },
+  '7041': { format: 'X..4', name: 'UN/CEFACT Freight Unit Type' },
+  '710': { format: 'X..20', name: 'National Healthcare Reimbursement Number (Germany PZN)' },
+  '711': { format: 'X..20', name: 'National Healthcare Reimbursement Number (France CIP)' },
+  '712': { format: 'X..20', name: 'National Healthcare Reimbursement Number (Spain CN)' },
+  '713': { format: 'X..20', name: 'National Healthcare Reimbursement Number (Brazil DRN)' },
+  '714': { format: 'X..20', name: 'National Healthcare Reimbursement Number (Portugal AIM)' },
+  '715': { format: 'X..20', name: 'National Healthcare Reimbursement Number (United States NDC)' },
+  '716': { format: 'X..20', name: 'National Healthcare Reimbursement Number (Italy AIC)' },
+  '7240': { format: 'X..20', name: 'Protocol ID' },
+  '7241': { format: 'N2', name: 'AIDC Media Type' },
+  '7242': { format: 'X..25', name: 'Version Control Number' },
+  '7250': { format: 'N8', name: 'Date of Birth', date: 'YYYYMMDD' },
+  '7251': { format: 'N12', name: 'Date and Time of Birth' },
+  '7252': { format: 'N1', name: 'Biological Sex' },
+  '7253': { format: 'X..40', name: 'Family Name of Person' },
+  '7254': { format: 'X..40', name: 'Given Name of Person' },
+  '7255': { format: 'X..10', name: 'Name Suffix of Person' },
+  '7256': { format: 'X..90', name: 'Full Name of Person' },
+  '7257': { format: 'X..70', name: 'Address of Person' },
+  '7258': { format: 'N1+X1+N1', name: 'Baby Birth Sequence Indicator' },
+  '7259': { format: 'X..40', name: 'Baby of Family Name' },
+  '8001': { format: 'N14', name: 'Roll Products' },
+  '8002': { format: 'X..20', name: 'Cellular Mobile Telephone Identifier' },
+  '8003': { format: 'N14+X0..16', name: 'Global Returnable Asset Identifier', checkDigit: true },
+  '8004': { format: 'X..30', name: 'Global Individual Asset Identifier' },
+  '8005': { format: 'N6', name: 'Price per Unit of Measure' },
+  '8006': { format: 'N14+N2+N2', name: 'Identification of an Individual Trade Item Piece', checkDigit: true },
+  '8007': { format: 'X..34', name: 'International Bank Account Number' },
+  '8008': { format: 'N8+N0..4', name: 'Date and Time of Production' },
+  '8009': { format: 'X..50', name: 'Optically Readable Sensor Indicator' },
+  '8010': { format: 'Y..30', name: 'Component/Part Identifier' },
+  '8011': { format: 'N..12', name: 'Component/Part Identifier Serial Number' },
+  '8012': { format: 'X..20', name: 'Software Version' },
+  '8013': { format: 'X..25', name: 'Global Model Number' },
+  '8014': { format: 'X..25', name: 'Highly Individualised Device Registration Identifier' },
+  '8017': { format: 'N18', name: 'Global Service Relation Number (Provider)', checkDigit: true },
+  '8018': { format: 'N18', name: 'Global Service Relation Number (Recipient)', checkDigit: true },
+  '8019': { format: 'N..10', name: 'Service Relation Instance Number' },
+  '8020': { format: 'X..25', name: 'Payment Slip Reference Number' },
+  '8026': { format: 'N14+N2+N2', name: 'Identification of Pieces of a Trade Item Contained', checkDigit: true },
+  '8030': { format: 'Z..90', name: 'Digital Signature' },
+  '8110': { format: 'X..70', name: 'Coupon Code Identification (North America)' },
+  '8111': { format: 'N4', name: 'Loyalty Points of a Coupon' },
+  '8112': { format: 'X..70', name: 'Positive Offer File Coupon Code (North America)' },
+  '8200': { format: 'X..70', name: 'Extended Packaging URL' },
+  '90': { format: 'X..30', name: 'Information Mutually Agreed Between Trading Partners' }
+};
+
+// AI families whose last digit is a decimal point position (310n, 392n), a
+// sequence number (703s, 723s), plus the company-internal range 91-99
+(function addAiFamilies() {
+  const measures = {
+    '310': 'Net Weight (kg)', '311': 'Length (m)', '312': 'Width (m)', '313': 'Height (m)',
+    '314': 'Area (m²)', '315': 'Net Volume (l)', '316': 'Net Volume (m³)',
+    '320': 'Net Weight (lb)', '321': 'Length (in)', '322': 'Length (ft)', '323': 'Length (yd)',
+    '324': 'Width (in)', '325': 'Width (ft)', '326': 'Width (yd)',
+    '327': 'Height (in)', '328': 'Height (ft)', '329': 'Height (yd)',
+    '330': 'Gross Weight (kg)', '331': 'Logistic Length (m)', '332': 'Logistic Width (m)',
+    '333': 'Logistic Height (m)', '334': 'Logistic Area (m²)', '335': 'Logistic Volume (l)',
+    '336': 'Logistic Volume (m³)', '337': 'Kilograms per Square Metre',
+    '340': 'Gross Weight (lb)', '341': 'Logistic Length (in)', '342': 'Logistic Length (ft)',
+    '343': 'Logistic Length (yd)', '344': 'Logistic Width (in)', '345': 'Logistic Width (ft)',
+    '346': 'Logistic Width (yd)', '347': 'Logistic Height (in)', '348': 'Logistic Height (ft)',
+    '349': 'Logistic Height (yd)', '350': 'Area (in²)', '351': 'Area (ft²)', '352': 'Area (yd²)',
+    '353': 'Logistic Area (in²)', '354': 'Logistic Area (ft²)', '355': 'Logistic Area (yd²)',
+    '356': 'Net Weight (troy oz)', '357': 'Net Volume (oz)', '360': 'Net Volume (qt)',
+    '361': 'Net Volume (gal)', '362': 'Logistic Volume (qt)', '363': 'Logistic Volume (gal)',
+    '364': 'Net Volume (in³)', '365': 'Net Volume (ft³)', '366': 'Net Volume (yd³)',
+    '367': 'Logistic Volume (in³)', '368': 'Logistic Volume (ft³)', '369': 'Logistic Volume (yd³)'
+  };
+  const amounts = {
+    '390': { format: 'N..15', name: 'Amount Payable (Local Currency)' },
+    '391': { format: 'N3+N..15', name: 'Amount Payable with ISO Currency' },
+    '392': { format: 'N..15', name: 'Price (Single Monetary Area)' },
+    '393': { format: 'N3+N..15', name: 'Price with ISO Currency' },
+    '394': { format: 'N4', name: 'Percentage Discount of a Coupon' },
+    '395': { format: 'N6', name: 'Amount Payable per Unit of Measure' }
+  };
+  for (let n = 0; n <= 9; n++) {
+    for (const [prefix, name] of Object.entries(measures)) {
+      GS1_AI_DEFINITIONS[prefix + n] = { format: 'N6', name, decimal: true };
+    }
+    for (const [prefix, def] of Object.entries(amounts)) {
+      GS1_AI_DEFINITIONS[prefix + n] = { ...def, decimal: true };
+    }
+    GS1_AI_DEFINITIONS['703' + n] = { format: 'N3+X..27', name: `Approval Number of Processor ${n}` };
+    GS1_AI_DEFINITIONS['723' + n] = { format: 'X2+X..28', name: `Certification Reference ${n}` };
+    if (n > 0) GS1_AI_DEFINITIONS['9' + n] = { format: 'X..90', name: 'Company Internal Information' };
+  }
+})();
+
+// Symbology identifiers (ISO/IEC 15424) that mark GS1 element string data:
+// GS1-128, GS1 DataBar, GS1 DataMatrix, GS1 QR Code and GS1 DotCode
+const GS1_SYMBOLOGY_IDENTIFIERS = [']C1', ']e0', ']d2', ']Q3', ']J1'];
+
+// Allowed characters for each component type
+const GS1_CHARSETS = {
+  N: /^[0-9]*$/,
+  X: /^[!"%-?A-Z_a-z]*$/,
+  Y: /^[#\-/0-9A-Z]*$/,
+  Z: /^[A-Za-z0-9_\-=]*$/
 };
 
+const gs1FormatCache = {};
+
+/**
+ * Splits an AI format ('N13+X..17') into components { charset, min, max }.
+ */
+function parseAiFormat(format) {
+  if (!gs1FormatCache[format]) {
+    gs1FormatCache[format] = format.split('+').map(part => {
+      const [, charset, first, range, last] = part.match(/^([NXYZ])(\d*)(\.\.)?(\d*)$/);
+      if (!range) return { charset, min: Number(first), max: Number(first) };
+      return { charset, min: first === '' ? 1 : Number(first), max: Number(last) };
+    });
+  }
+  return gs1FormatCache[format];
+}
+
+// Total length of an AI's data when every component is fixed, otherwise null
+function fixedAiLength(def) {
+  const parts = parseAiFormat(def.format);
+  return parts.every(p => p.min === p.max) ? parts.reduce((sum, p) => sum + p.max, 0) : null;
+}
+
+/**
+ * Finds the AI starting at `position`. GS1 AIs are prefix-free, so at most
+ * one of the 2-, 3- and 4-digit candidates is defined.
+ */
+function findAI(str, position) {
+  for (const len of [2, 3, 4]) {
+    const candidate = str.substring(position, position + len);
+    if (candidate.length === len && GS1_AI_DEFINITIONS[candidate]) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Checks the GS1 mod-10 check digit that ends a numeric key (GTIN, GLN, SSCC...).
+ */
+function isValidGs1CheckDigit(digits) {
+  let sum = 0;
+  for (let i = digits.length - 2, weight = 3; i >= 0; i--, weight = 4 - weight) {
+    sum += Number(digits[i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+/**
+ * Parses a GS1 date component ('YYMMDD', 'YYMMDDHHMM' or 'YYYYMMDD').
+ *
+ * @returns {Date|null} Date object, or null if it is not a valid date
+ */
+function parseGs1Date(value, type) {
+  if (type === 'YYYYMMDD') {
+    return calendarDate(Number(value.substring(0, 4)), Number(value.substring(4, 6)), Number(value.substring(6, 8)));
+  }
+  const date = parseYYMMDD(value.substring(0, 6));
+  if (!date || type !== 'YYMMDDHHMM') return date;
+
+  const hh = Number(value.substring(6, 8));
+  const mi = Number(value.substring(8, 10));
+  if (hh > 23 || mi > 59) return null;
+  date.setHours(hh, mi);
+  return date;
+}
+
+/**
+ * Checks an element's value against its AI definition and builds the element:
+ * { ai, name, value }, plus `date` for date AIs and `number`, `decimals` (and
+ * `currency` for 391n/393n) for decimal AIs.
+ *
+ * @returns {{ element: Object, error: Object|null }}
+ */
+function buildElement(ai, value, position) {
+  const def = GS1_AI_DEFINITIONS[ai];
+  const element = { ai, name: def.name, value };
+  const fail = (code, message) => ({ element, error: { code, ai, position, message: `(${ai}) ${message}` } });
+
+  // Split the value across the format's components; only the last may vary in length
+  const parts = parseAiFormat(def.format);
+  const pieces = [];
+  let offset = 0;
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    const piece = i === parts.length - 1 ? value.substring(offset) : value.substring(offset, offset + part.max);
+    if (piece.length < part.min || piece.length > part.max) {
+      return fail('INVALID_LENGTH', `${def.name} has the wrong length (${value.length} characters, format ${def.format})`);
+    }
+    if (!GS1_CHARSETS[part.charset].test(piece)) {
+      return fail('INVALID_CHARACTERS', `${def.name} contains characters not allowed in this field`);
+    }
+    pieces.push(piece);
+    offset += piece.length;
+  }
+
+  if (def.checkDigit && !isValidGs1CheckDigit(pieces[0])) {
+    return fail('INVALID_CHECK_DIGIT', `${def.name} ${pieces[0]} has an invalid check digit`);
+  }
+  if (def.date) {
+    element.date = parseGs1Date(pieces[0], def.date);
+    if (!element.date) return fail('INVALID_DATE', `${def.name} ${pieces[0]} is not a valid date`);
+  }
+  if (def.decimal) {
+    element.decimals = Number(ai[ai.length - 1]);
+    if (pieces.length > 1) element.currency = pieces[0];
+    element.number = Number(pieces[pieces.length - 1]) / Math.pow(10, element.decimals);
+  }
+  return { element, error: null };
+}
+
 /**
  * Parse non-parenthesized GS1 string (raw DataMatrix format)
  *
  * Sequentially reads through the string, identifying AIs and extracting
- * their values based on fixed-length or separator-delimited rules.
+ * their values based on fixed-length or separator-delimited rules. An
+ * unknown AI is reported and skipped up to the next separator.
  *
  * @param {string} input - Normalized GS1 string (with | instead of GS character)
- * @returns {Object} Extracted GS1 fields
+ * @returns {{ elements: Object[], errors: Object[] }}
  */
 function parseNonParenthesizedGs1(input) {
-  const result = {};
+  const elements = [];
+  const errors = [];
   let pos = 0;
 
-  const isKnownAI = (str, position) => {
-    for (const len of [2, 3, 4]) {
-      const candidate = str.substring(position, position + len);
-      if (GS1_AI_DEFINITIONS[candidate]) return candidate;
-    }
-    return null;
-  };
-
   gs1Log('Parsing non-parenthesized GS1:', input);
 
   while (pos < input.length) {
-    const ai = isKnownAI(input, pos);
+    if (input[pos] === '|') { pos++; continue; }
+
+    const ai = findAI(input, pos);
     if (!ai) {
-      gs1Log('Unknown AI at position', pos, '- stopping');
-      break;
+      errors.push({ code: 'UNKNOWN_AI', ai: null, position: pos, message: `Unknown Application Identifier at "${input.substring(pos, pos + 4)}"` });
+      const next = input.indexOf('|', pos);
+      gs1Log('Unknown AI at position', pos, next === -1 ? '- stopping' : '- skipping to next separator');
+      if (next === -1) break;
+      pos = next + 1;
+      continue;
     }
 
-    const aiDef = GS1_AI_DEFINITIONS[ai];
+    const def = GS1_AI_DEFINITIONS[ai];
+    const start = pos;
     pos += ai.length;
 
-    gs1Log('Found AI', ai, '(' + aiDef.name + ') at position', pos);
+    gs1Log('Found AI', ai, '(' + def.name + ') at position', pos);
 
     let value;
-    if (aiDef.fixedLength) {
-      value = input.substring(pos, pos + aiDef.fixedLength);
-      pos += aiDef.fixedLength;
+    const length = fixedAiLength(def);
+    if (length !== null) {
+      // Fixed-length AIs without a predefined length (e.g. 422, 7003) are
+      // still followed by a separator; the loop skips it
+      value = input.substring(pos, pos + length);
+      pos += length;
     } else {
       // Variable-length: read until separator (|) or end of string
-      let endPos = pos;
-      let foundSeparator = false;
-      while (endPos < input.length) {
-        if (input[endPos] === '|') { foundSeparator = true; break; }
-        endPos++;
-      }
-      value = input.substring(pos, endPos);
-      pos = foundSeparator ? endPos + 1 : endPos;
+      const end = input.indexOf('|', pos);
+      value = input.substring(pos, end === -1 ? input.length : end);
+      pos = end === -1 ? input.length : end + 1;
     }
 
-    if (ai === '01') result.gtin = value;
-    else if (ai === '17') result.expiryDateRaw = value;
-    else if (ai === '10') result.batch = value.trim();
-    else if (ai === '21') result.serial = value.trim();
+    const { element, error } = buildElement(ai, value, start);
+    elements.push(element);
+    if (error) errors.push(error);
   }
 
-  gs1Log('Parsing complete:', result);
-  return result;
+  gs1Log('Parsing complete:', elements, errors);
+  return { elements, errors };
+}
+
+/**
+ * Parse a parenthesized (human-readable) GS1 string, e.g.
+ * (01)05012345678901(17)260430(10)LOT12345. "(nn)" only starts an element
+ * when nn is a defined AI, so values may themselves contain brackets.
+ *
+ * @param {string} input - Normalized GS1 string
+ * @returns {{ elements: Object[], errors: Object[] }}
+ */
+function parseParenthesizedGs1(input) {
+  const elements = [];
+  const errors = [];
+  const markers = [];
+  const pattern = /\((\d{2,4})\)/g;
+  let match;
+  while ((match = pattern.exec(input)) !== null) {
+    if (GS1_AI_DEFINITIONS[match[1]]) markers.push({ ai: match[1], index: match.index, start: pattern.lastIndex });
+  }
+
+  markers.forEach((marker, i) => {
+    const end = i + 1 < markers.length ? markers[i + 1].index : input.length;
+    const value = input.substring(marker.start, end).replace(/\|/g, '').trim();
+    const { element, error } = buildElement(marker.ai, value, marker.index);
+    elements.push(element);
+    if (error) errors.push(error);
+  });
+
+  return { elements, errors };
 }
 
 /**
  * Normalizes raw GS1 barcode strings by replacing control characters
- * (ASCII 0x00-0x1F, 0x7F) with a standard separator (|).
+ * (ASCII 0x00-0x1F, 0x7F) with a standard separator (|). Scanners send
+ * FNC1 as GS (0x1D), so separators and a leading FNC1 both become |.
  *
  * @param {string} raw - Raw barcode string from scanner
  * @returns {string} Normalized string with control characters replaced
@@ -107,24 +443,39 @@ function normalizeGs1Raw(raw) {
 }
 
 /**
- * Parses a GS1-encoded barcode string and extracts common Application Identifiers.
+ * Parses a GS1-encoded barcode string and extracts its Application Identifiers.
+ *
+ * A leading symbology identifier (e.g. "]d2" GS1 DataMatrix, "]C1" GS1-128)
+ * is removed and returned as symbologyId. A GS1 one, or a leading FNC1,
+ * marks the data as a GS1 element string whatever AI comes first.
  *
  * @param {string} raw - The raw decoded barcode string
- * @returns {Object} ParsedGs1Data with extracted fields (gtin, batch, serial, expiryDate, etc.)
+ * @returns {Object} ParsedGs1Data with extracted fields (gtin, batch, serial, expiryDate, etc.),
+ *   every element found (elements: [{ ai, name, value, ... }]) and any problems
+ *   (errors: [{ code, message, ai, position }])
  */
 function parseGs1Data(raw) {
-  const result = { raw, isGs1: false, expiryDate: null };
+  const result = { raw, isGs1: false, expiryDate: null, symbologyId: null, elements: [], errors: [] };
 
   if (!raw || raw.length === 0) return result;
 
-  const normalized = normalizeGs1Raw(raw);
+  let data = raw;
+  const symbology = data.match(/^\][A-Za-z][0-9A-Za-z]/);
+  if (symbology) {
+    result.symbologyId = symbology[0];
+    data = data.substring(symbology[0].length);
+  }
+  const elementString = GS1_SYMBOLOGY_IDENTIFIERS.includes(result.symbologyId) || data[0] === '\x1D';
+
+  const normalized = normalizeGs1Raw(data);
 
   gs1Log('Raw input:', raw);
   gs1Log('Normalized:', normalized);
 
   // Detect format
-  const hasParentheses = /\(0[0-9]\)|\(1[0-7]\)|\(2[0-1]\)|\(3[0-9]\)/.test(normalized);
-  const hasGtinPrefix = /^01\d{14}/.test(normalized);
+  const firstBracket = normalized.match(/\((\d{2,4})\)/);
+  const hasParentheses = !!firstBracket && !!GS1_AI_DEFINITIONS[firstBracket[1]];
+  const hasGtinPrefix = elementString || /^01\d{14}/.test(normalized);
   const mmyyyyMatch = normalized.match(/(\d{1,2})\s+(\d{4})/);
   const hasMMYYYY = !!mmyyyyMatch;
 
@@ -136,17 +487,25 @@ function parseGs1Data(raw) {
   result.isGs1 = true;
 
   try {
-    if (hasParentheses) {
-      result.gtin = extractAI(normalized, '01', 14);
-      result.expiryDateRaw = extractAI(normalized, '17', 6);
-      result.batch = extractAI(normalized, '10');
-      result.serial = extractAI(normalized, '21');
-    } else if (hasGtinPrefix) {
-      const parsed = parseNonParenthesizedGs1(normalized);
-      result.gtin = parsed.gtin;
-      result.expiryDateRaw = parsed.expiryDateRaw;
-      result.batch = parsed.batch;
-      result.serial = parsed.serial;
+    if (hasParentheses || hasGtinPrefix) {
+      const parsed = hasParentheses ? parseParenthesizedGs1(normalized) : parseNonParenthesizedGs1(normalized);
+      result.elements = parsed.elements;
+      result.errors = parsed.errors;
+
+      // An AI may only repeat with the same value; the first one is used
+      const values = {};
+      for (const element of parsed.elements) {
+        if (values[element.ai] === undefined) {
+          values[element.ai] = element.value;
+        } else if (values[element.ai] !== element.value) {
+          result.errors.push({ code: 'DUPLICATE_AI', ai: element.ai, position: null, message: `(${element.ai}) appears more than once with different values` });
+        }
+      }
+
+      result.gtin = values['01'] || undefined;
+      result.expiryDateRaw = values['17'] || undefined;
+      result.batch = (values['10'] || '').trim() || undefined;
+      result.serial = (values['21'] || '').trim() || undefined;
     } else if (hasMMYYYY) {
       gs1Log('Parsing alternative format with MM YYYY date');
       result.expiryDate = parseMMYYYY(mmyyyyMatch[0]);
@@ -172,7 +531,9 @@ function parseGs1Data(raw) {
       batch: result.batch,
       expiryDateRaw: result.expiryDateRaw,
       expiryDate: result.expiryDate,
-      serial: result.serial
+      serial: result.serial,
+      elements: result.elements.length,
+      errors: result.errors
     });
   } catch (error) {
     console.warn('GS1 parsing encountered an error:', error);
@@ -181,45 +542,34 @@ function parseGs1Data(raw) {
   return result;
 }
 
-/**
- * Extracts an Application Identifier value from a parenthesized GS1 string.
- *
- * @param {string} input - The GS1 string to parse
- * @param {string} ai - The Application Identifier (e.g., "01", "17", "10")
- * @param {number} [fixedLength] - Fixed length for this AI (optional)
- * @returns {string|undefined} The extracted value, or undefined if not found
- */
-function extractAI(input, ai, fixedLength) {
-  const regex = new RegExp(`\\(${ai}\\)([^(|]+)`);
-  const match = input.match(regex);
-  if (!match) return undefined;
-
-  let value = match[1];
-  if (fixedLength !== undefined) {
-    value = value.substring(0, fixedLength);
-  } else {
-    value = value.replace(/\|+$/, '').trim();
-  }
-  return value || undefined;
-}
-
 /**
  * Parses a GS1 expiry date in YYMMDD format to a JavaScript Date.
- * Assumes 20xx for the year.
+ * Assumes 20xx for the year. A day of 00 means the month has no day given,
+ * and is read as the last day of the month.
  *
  * @param {string} yymmdd - 6-digit date string (e.g., "260430" for April 30, 2026)
  * @returns {Date|null} Date object, or null if parsing fails
  */
 function parseYYMMDD(yymmdd) {
-  if (yymmdd.length !== 6) return null;
+  if (yymmdd.length !== 6 || !/^\d{6}$/.test(yymmdd)) return null;
 
   const yy = parseInt(yymmdd.substring(0, 2), 10);
   const mm = parseInt(yymmdd.substring(2, 4), 10);
   const dd = parseInt(yymmdd.substring(4, 6), 10);
 
-  if (mm < 1 || mm > 12 || dd < 1 || dd > 31) return null;
+  return calendarDate(2000 + yy, mm, dd);
+}
+
+/**
+ * Builds a local Date, or null when the date does not exist (month 13,
+ * Feb 30, etc.). Day 0 gives the last day of the month.
+ */
+function calendarDate(year, mm, dd) {
+  if (mm < 1 || mm > 12 || dd < 0 || dd > 31) return null;
+
+  // Day 0 of next month = last day of this month
+  if (dd === 0) return new Date(year, mm, 0);
 
-  const year = 2000 + yy;
   const date = new Date(year, mm - 1, dd);
 
   // Verify the date is valid (handles Feb 30, etc.)